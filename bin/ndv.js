@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { readFileSync } from "node:fs";
+import { run } from "../src/cli.js";
+
+process.exitCode = run(process.argv.slice(2), {
+  out: (text) => process.stdout.write(text),
+  err: (text) => process.stderr.write(text),
+  readFile: (path) => readFileSync(path === "-" ? 0 : path, "utf8"),
+});
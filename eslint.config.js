@@ -26,4 +26,8 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['bin/**/*.js', 'test/**/*.js', 'src/cli.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
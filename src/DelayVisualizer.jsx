@@ -1,124 +1,72 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { createContext, useContext, useEffect, useId, useMemo, useRef, useState } from "react";
 import { motion } from "framer-motion";
+import {
+  simulate, MAX_SIM_PACKETS, parseTrace, PLACES, PLACE_KINDS, LIGHT_KM_PER_MS, greatCircleKm, routeKm,
+  parsePoint, ORBITS, satellitePath, AQM_SCHEMES, MAX_MC_SAMPLES,
+  km, fmtMs, fmtSignedMs, fmtSpeed, clamp, C_M_PER_S, MEDIA, VF_RANGE, embedMedia,
+  mergeMedia, SAT_DEFAULT, PRESETS, applyPreset, DEFAULT_SCENARIO, LINK_DEFAULTS, ARQ_PROTOCOLS,
+  MAX_LINKS, GEO_INFLATION, geoDistanceKm, LINK_LAYERS, IP_VERSIONS, TRANSPORTS, TUNNELS,
+  DEFAULT_STACK, uniformLinks, QUEUE_MODELS, MAX_UTILIZATION, SCHEDULERS, MAX_CLASSES,
+  DEFAULT_TRAFFIC, classMetrics, BUFFER_UNITS, MAX_PHASES, DEFAULT_AQM, aqmRun, DEFAULT_JITTER,
+  JITTER_NUMBERS, jitterRun, SCENARIO_FIELDS, fieldClamp, withField, sampleRange, computeMetrics,
+  variableFields, goalSeek, sensitivity, BUDGET_PATHS, MAX_BUDGET_PARTS, APP_BUDGETS, budgetCheck,
+  budgetSuggestions, messageDelivery, spaceTime, MAX_SPACETIME_PACKETS, HANDSHAKES, transferTime, traceToScenario, traceComparison,
+  newScenarioId, parseTags, makeEntry, SCENARIO_SORTS, matchesSearch, SAT_NUMBERS, PHASE_NUMBERS,
+  BUDGET_NUMBERS, BUDGET_PART_NUMBERS, readDocument, libraryDocument, encodeState, decodeState,
+  toCsv, resultsCsv, UNIT_SYSTEMS, DISTANCE_SYSTEMS, DEFAULT_UNITS, unitChoices, bestUnit, convert,
+  formatQuantity, readUnits, fieldText, deriveMetrics, derivationMarkdown, derivationLatex,
+  QUIZ_KINDS, QUIZ_LEVELS, MAX_QUIZ_PROBLEMS, DEFAULT_QUIZ, makeQuizSet, readQuizCode, gradeAnswer,
+  quizSolution, quizDocument, quizWorksheet, readQuizHistory,
+} from "./engine";
 import "./dv.css";
 
-const kb = 1024;
-const Mb = 1_000_000; 
-const km = 1000; 
-
-function fmtMs(x) {
-  if (!isFinite(x)) return "∞";
-  if (x < 1) return `${(x * 1000).toFixed(2)} µs`;
-  if (x < 1000) return `${x.toFixed(3)} ms`;
-  return `${(x / 1000).toFixed(3)} s`;
-}
-function clamp(n, min, max) { return Math.min(max, Math.max(min, n)); }
-
-const PROP_SPEEDS = {
-  Fiber: 2.0e8, 
-  Coax: 2.0e8,
-  "Twisted Pair": 2.0e8,
-  "Free Space (RF)": 3.0e8,
-};
-
-const PRESETS = {
-  "HFC (Cable)": {
-    rateMbps: 300, packetKB: 1.5, distanceKm: 20, medium: "Coax",
-    hops: 8, procUsPerHop: 50, queueMsPerHop: 0.2, queueModel: "Fixed", utilization: 0.5,
-  },
-  "DSL (VDSL2)": {
-    rateMbps: 50, packetKB: 1.5, distanceKm: 5, medium: "Twisted Pair",
-    hops: 6, procUsPerHop: 50, queueMsPerHop: 0.3, queueModel: "Fixed", utilization: 0.6,
-  },
-  "FTTH (GPON)": {
-    rateMbps: 1000, packetKB: 1.5, distanceKm: 30, medium: "Fiber",
-    hops: 10, procUsPerHop: 40, queueMsPerHop: 0.1, queueModel: "Fixed", utilization: 0.35,
-  },
-  "4G LTE": {
-    rateMbps: 75, packetKB: 1.5, distanceKm: 3, medium: "Free Space (RF)",
-    hops: 12, procUsPerHop: 80, queueMsPerHop: 0.8, queueModel: "Fixed", utilization: 0.7,
-  },
-  "5G (mid-band)": {
-    rateMbps: 400, packetKB: 1.5, distanceKm: 2, medium: "Free Space (RF)",
-    hops: 12, procUsPerHop: 60, queueMsPerHop: 0.4, queueModel: "Fixed", utilization: 0.5,
-  },
-};
-
-const DEFAULT_SCENARIO = {
-  name: "Scenario",
-  packetKB: 1.5,
-  rateMbps: 1000,
-  distanceKm: 10,
-  medium: "Fiber",
-  hops: 10,
-  procUsPerHop: 50,
-  queueMsPerHop: 0.2,
-  queueModel: "Fixed", 
-  utilization: 0.5,    
-};
-
-function computeMetrics(s) {
-  const bits = s.packetKB * kb * 8;
-  const rate = s.rateMbps * Mb;
-  const distanceM = s.distanceKm * km;
-  const propSpeed = PROP_SPEEDS[s.medium];
-
-  const txPerHop_s = bits / rate; 
-  const txPerHop_ms = txPerHop_s * 1000;
-  let queuePerHop_ms = s.queueMsPerHop;
-  if (s.queueModel === "MM1") {
-    const mu = rate / bits;
-    const rho = clamp(s.utilization, 0, 0.98); 
-    const lambda = rho * mu;
-    const Wq_s = rho / (mu - lambda);
-    queuePerHop_ms = Wq_s * 1000;
-  }
-
-  const dTransTotalMs = txPerHop_ms * s.hops;
-  const dPropMs = (distanceM / propSpeed) * 1000;
-  const dProcTotalMs = (s.procUsPerHop / 1000) * s.hops;
-  const dQueueTotalMs = queuePerHop_ms * s.hops;
-  const totalMs = dTransTotalMs + dPropMs + dProcTotalMs + dQueueTotalMs;
-
-  const parts = [
-    { key: "tx", label: "Transmission (all hops)", value: dTransTotalMs },
-    { key: "prop", label: "Propagation (total)", value: dPropMs },
-    { key: "proc", label: "Processing (all hops)", value: dProcTotalMs },
-    { key: "queue", label: "Queuing (all hops)", value: dQueueTotalMs },
-  ];
-  const maxPart = Math.max(1, ...parts.map(p => p.value));
-
-  return {
-    bits, rate, txPerHop_ms, dTransTotalMs, dPropMs, dProcTotalMs, dQueueTotalMs, totalMs,
-    queuePerHop_ms: queuePerHop_ms,
-    parts, maxPart,
-  };
-}
 const LS_KEY = "ndv_scenarios_v2";
+const UNITS_KEY = "ndv_units";
+const QUIZ_KEY = "ndv_quiz_history";
+
+// The SI/IEC and distance settings. Stored values never change with it; only display does.
+const UnitsContext = createContext(DEFAULT_UNITS);
+const fmtKm = (v, units) => formatQuantity("distance", v, "km", units);
+const fmtMbps = (v, units) => formatQuantity("rate", v, "Mb/s", units);
+const fmtBytes = (v, units) => formatQuantity("size", v, "B", units);
+// Fields with a quantity show their unit with the value, so the label leaves it out.
+const fieldLabel = (f) => `${f.label}${f.unit && !f.quantity ? ` (${f.unit})` : ""}`;
 
 function loadScenarios() {
+  const empty = { scenarios: [], media: {}, warnings: [] };
+  let raw = null;
+  try { raw = localStorage.getItem(LS_KEY); } catch { return empty; }
+  if (!raw) return empty;
   try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return [];
-    const arr = JSON.parse(raw);
-    if (Array.isArray(arr)) return arr;
-  } catch {}
-  return [];
+    const doc = readDocument(JSON.parse(raw));
+    if (doc.kind !== "library") throw new Error("Stored data is not a scenario library.");
+    return { scenarios: doc.scenarios, media: doc.media, warnings: doc.warnings };
+  } catch (err) {
+    return { ...empty, warnings: [`Saved scenarios could not be read and were not loaded: ${err.message}`] };
+  }
 }
-function saveScenarios(arr) {
-  try { localStorage.setItem(LS_KEY, JSON.stringify(arr)); } catch {}
+function saveScenarios(arr, media) {
+  try { localStorage.setItem(LS_KEY, JSON.stringify(libraryDocument(arr, media))); } catch { /* storage full or disabled */ }
 }
-
-function encodeState(sA, sB) {
-  const data = { A: sA, B: sB };
-  return btoa(unescape(encodeURIComponent(JSON.stringify(data))));
+function loadUnits() {
+  try { return readUnits(JSON.parse(localStorage.getItem(UNITS_KEY))); } catch { return DEFAULT_UNITS; }
 }
-function decodeState(str) {
-  try {
-    const obj = JSON.parse(decodeURIComponent(escape(atob(str))));
-    if (obj && typeof obj === "object") return obj;
-  } catch {}
-  return null;
+function saveUnits(units) {
+  try { localStorage.setItem(UNITS_KEY, JSON.stringify(units)); } catch { /* storage full or disabled */ }
+}
+function loadQuizHistory() {
+  try { return readQuizHistory(JSON.parse(localStorage.getItem(QUIZ_KEY))); } catch { return []; }
+}
+function saveQuizHistory(history) {
+  try { localStorage.setItem(QUIZ_KEY, JSON.stringify(history)); } catch { /* storage full or disabled */ }
+}
+function downloadFile(name, text, type = "text/csv") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
 export default function DelayVisualizer() {
@@ -127,17 +75,29 @@ export default function DelayVisualizer() {
   const [compare, setCompare] = useState(false);
 
   const [activeTab, setActiveTab] = useState("overview"); 
-  const [scenarios, setScenarios] = useState(loadScenarios());
+  const [stored] = useState(loadScenarios);
+  const [scenarios, setScenarios] = useState(stored.scenarios);
+  const [media, setMedia] = useState(stored.media);
+  const [problems, setProblems] = useState(stored.warnings.length ? { title: "Saved scenarios were repaired", messages: stored.warnings } : null);
+  const [picked, setPicked] = useState([]);
+  const [baselineId, setBaselineId] = useState(null);
   const [toast, setToast] = useState("");
   const toastTimer = useRef(null);
+  const [units, setUnits] = useState(loadUnits);
 
   useEffect(() => {
     const url = new URL(window.location.href);
     const encoded = url.searchParams.get("s");
     if (encoded) {
-      const obj = decodeState(encoded);
-      if (obj?.A) setA(v => ({ ...v, ...obj.A }));
-      if (obj?.B) { setB(v => ({ ...v, ...obj.B })); setCompare(true); setActiveTab("compare"); }
+      try {
+        const doc = decodeState(encoded);
+        setA(doc.A);
+        if (doc.B) { setB(doc.B); setCompare(true); setActiveTab("compare"); }
+        setMedia(m => mergeMedia(m, doc.A, doc.B));
+        if (doc.warnings.length) setProblems({ title: "The shared link was repaired", messages: doc.warnings });
+      } catch (err) {
+        setProblems({ title: "The shared link could not be opened", messages: [err.message] });
+      }
     }
   }, []);
 
@@ -149,10 +109,11 @@ export default function DelayVisualizer() {
       if (e.key.toLowerCase() === "r") { setA({ ...DEFAULT_SCENARIO, name: "A" }); setB({ ...DEFAULT_SCENARIO, name: "B (compare)" }); setToastMsg("Reset ✔"); }
       if (e.key.toLowerCase() === "s") { shareURL(); }
       const names = Object.keys(PRESETS);
-      if (/^[1-5]$/.test(e.key)) {
+      if (/^[1-9]$/.test(e.key)) {
         const idx = Number(e.key) - 1;
         const p = PRESETS[names[idx]];
-        if (p) setA(a => ({ ...a, ...p }));
+        if (!p) return;
+        setA(a => applyPreset(a, p));
         setToastMsg(`Preset → ${names[idx]}`);
       }
     }
@@ -166,16 +127,22 @@ export default function DelayVisualizer() {
     toastTimer.current = setTimeout(() => setToast(""), 1800);
   }
 
+  function updateUnits(p) {
+    const next = { ...units, ...p };
+    setUnits(next);
+    saveUnits(next);
+  }
+
   function applyPresetTo(sideSetter, name) {
     const p = PRESETS[name];
     if (!p) return;
-    sideSetter(s => ({ ...s, ...p }));
+    sideSetter(s => applyPreset(s, p));
     setToastMsg(`Preset → ${name}`);
   }
 
   function shareURL() {
     const url = new URL(window.location.href);
-    url.searchParams.set("s", encodeState(A, compare ? B : null));
+    url.searchParams.set("s", encodeState(scenA, compare ? scenB : null));
     const str = url.toString();
     if (navigator.clipboard?.writeText) {
       navigator.clipboard.writeText(str).then(() => setToastMsg("Share URL copied"));
@@ -184,8 +151,20 @@ export default function DelayVisualizer() {
     }
   }
 
-  const mA = useMemo(() => computeMetrics(A), [A]);
-  const mB = useMemo(() => computeMetrics(B), [B]);
+  const scenA = useMemo(() => embedMedia(A, media), [A, media]);
+  const scenB = useMemo(() => embedMedia(B, media), [B, media]);
+  const mA = useMemo(() => computeMetrics(scenA), [scenA]);
+  const mB = useMemo(() => computeMetrics(scenB), [scenB]);
+
+  function updateScenarios(arr, nextMedia = media) {
+    setScenarios(arr);
+    setMedia(nextMedia);
+    saveScenarios(arr, nextMedia);
+  }
+  function updateMedia(next) {
+    setMedia(next);
+    saveScenarios(scenarios, next);
+  }
   const diff = useMemo(() => {
     if (!compare) return null;
     return {
@@ -194,150 +173,242 @@ export default function DelayVisualizer() {
       prop: mB.dPropMs - mA.dPropMs,
       proc: mB.dProcTotalMs - mA.dProcTotalMs,
       queue: mB.dQueueTotalMs - mA.dQueueTotalMs,
+      retx: mB.dRetxMs - mA.dRetxMs,
     };
   }, [compare, mA, mB]);
 
   return (
-    <div className="ndv-root ndv-alt">
-      <div className="ndv-container ndv-shell">
-        {}
-        <header className="ndv-header ndv-toolbar">
-          <div className="ndv-title">Network Delay Visualizer — Pro</div>
-          <div className="ndv-toolbar-actions" role="toolbar" aria-label="Global actions">
-            <button className="ndv-btn ndv-btn--ghost" onClick={() => { setA({ ...DEFAULT_SCENARIO, name: "A" }); setB({ ...DEFAULT_SCENARIO, name: "B (compare)" }); setToastMsg("Reset ✔"); }}>
-              Reset
-            </button>
-            <button className="ndv-btn ndv-btn--ghost" onClick={() => setCompare(v => !v)} aria-pressed={compare}>
-              {compare ? "Compare: ON" : "Compare: OFF"}
-            </button>
-            <button className="ndv-btn" onClick={shareURL}>Share</button>
-            <button className="ndv-btn" onClick={() => setActiveTab("help")}>Help ?</button>
-          </div>
-          <p className="ndv-subtitle">
-            Left: scenario manager & inputs. Center: totals, breakdown, and diagram. Right: insights. Press <kbd>C</kbd> to toggle compare, <kbd>S</kbd> to share, <kbd>?</kbd> for help.
-          </p>
-        </header>
+    <UnitsContext.Provider value={units}>
+      <div className="ndv-root ndv-alt">
+        <div className="ndv-container ndv-shell">
+          {}
+          <header className="ndv-header ndv-toolbar">
+            <div className="ndv-title">Network Delay Visualizer — Pro</div>
+            <div className="ndv-toolbar-actions" role="toolbar" aria-label="Global actions">
+              <button className="ndv-btn ndv-btn--ghost" onClick={() => { setA({ ...DEFAULT_SCENARIO, name: "A" }); setB({ ...DEFAULT_SCENARIO, name: "B (compare)" }); setToastMsg("Reset ✔"); }}>
+                Reset
+              </button>
+              <button className="ndv-btn ndv-btn--ghost" onClick={() => setCompare(v => !v)} aria-pressed={compare}>
+                {compare ? "Compare: ON" : "Compare: OFF"}
+              </button>
+              <button className="ndv-btn" onClick={shareURL}>Share</button>
+              <select className="ndv-select ndv-unit" value={units.system} onChange={(e) => updateUnits({ system: e.target.value })} aria-label="Unit prefixes">
+                {Object.entries(UNIT_SYSTEMS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+              <select className="ndv-select ndv-unit" value={units.distance} onChange={(e) => updateUnits({ distance: e.target.value })} aria-label="Distance units">
+                {Object.entries(DISTANCE_SYSTEMS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+              <button className="ndv-btn" onClick={() => setActiveTab("help")}>Help ?</button>
+            </div>
+            <p className="ndv-subtitle">
+              Left: scenario manager & inputs. Center: totals, breakdown, and diagram. Right: insights. Press <kbd>C</kbd> to toggle compare, <kbd>S</kbd> to share, <kbd>?</kbd> for help.
+            </p>
+          </header>
 
-        {}
-        <div className="ndv-app">
           {}
-          <aside className="ndv-dock" aria-label="Controls">
-            <ScenarioManager
-              scenarios={scenarios}
-              setScenarios={(arr) => { setScenarios(arr); saveScenarios(arr); }}
-              loadToA={(obj) => setA(s => ({ ...s, ...obj }))}
-              loadToB={(obj) => setB(s => ({ ...s, ...obj }))}
-            />
+          <div className="ndv-app">
+            {}
+            <aside className="ndv-dock" aria-label="Controls">
+              {problems && <ProblemsCard {...problems} onDismiss={() => setProblems(null)} />}
+              <ScenarioManager
+                scenarios={scenarios}
+                setScenarios={updateScenarios}
+                media={media}
+                A={scenA}
+                B={scenB}
+                compare={compare}
+                loadToA={(obj) => { setA(s => ({ ...s, ...obj })); updateMedia(mergeMedia(media, obj)); setToastMsg(`Loaded ${obj.name || "scenario"} → A`); }}
+                loadToB={(obj) => { setB(s => ({ ...s, ...obj })); updateMedia(mergeMedia(media, obj)); setCompare(true); setToastMsg(`Loaded ${obj.name || "scenario"} → B`); }}
+                picked={picked}
+                setPicked={setPicked}
+                onCompare={() => setActiveTab("compare")}
+                onProblems={setProblems}
+                notify={setToastMsg}
+              />
 
-            <section className="ndv-card">
-              <h2 className="ndv-h2">Presets</h2>
-              <div className="ndv-presets">
-                {Object.keys(PRESETS).map((name) => (
-                  <button key={name} className="ndv-btn" onClick={() => applyPresetTo(setA, name)}>{name}</button>
-                ))}
-              </div>
-            </section>
+              <section className="ndv-card">
+                <h2 className="ndv-h2">Presets</h2>
+                <div className="ndv-presets">
+                  {Object.keys(PRESETS).map((name) => (
+                    <button key={name} className="ndv-btn" onClick={() => applyPresetTo(setA, name)}>{name}</button>
+                  ))}
+                </div>
+              </section>
 
-            <InputsCard title="Scenario A" s={A} setS={setA} />
-            {compare && <InputsCard title="Scenario B" s={B} setS={setB} />}
-          </aside>
+              <InputsCard title="Scenario A" s={A} setS={setA} media={media} />
+              {compare && <InputsCard title="Scenario B" s={B} setS={setB} media={media} />}
+            </aside>
 
-          {}
-          <main className="ndv-canvas" aria-live="polite">
-            <section className="ndv-card ndv-totals ndv-totals--sticky">
-              <div className="ndv-total">
-                <div className="ndv-total-label">Total Delay — A</div>
-                <div className="ndv-total-value">{fmtMs(mA.totalMs)}</div>
-              </div>
-              {compare && (
+            {}
+            <main className="ndv-canvas" aria-live="polite">
+              <section className="ndv-card ndv-totals ndv-totals--sticky">
                 <div className="ndv-total">
-                  <div className="ndv-total-label">Total Delay — B</div>
-                  <div className="ndv-total-value">{fmtMs(mB.totalMs)}</div>
-                </div>
-              )}
-              {compare && (
-                <div className="ndv-total ndv-badge">
-                  <div className="ndv-total-label">Δ (B − A)</div>
-                  <div className="ndv-total-value">{fmtMs(diff.totalMs)}</div>
+                  <div className="ndv-total-label">Total Delay — A</div>
+                  <div className="ndv-total-value">{fmtMs(mA.totalMs)}</div>
+                  {mA.unstable && <UnstableNote />}
+                  <LightBound m={mA} />
+                  <BudgetLine s={scenA} m={mA} />
                 </div>
-              )}
-            </section>
+                {compare && (
+                  <div className="ndv-total">
+                    <div className="ndv-total-label">Total Delay — B</div>
+                    <div className="ndv-total-value">{fmtMs(mB.totalMs)}</div>
+                    {mB.unstable && <UnstableNote />}
+                    <LightBound m={mB} />
+                    <BudgetLine s={scenB} m={mB} />
+                  </div>
+                )}
+                {compare && (
+                  <div className="ndv-total ndv-badge">
+                    <div className="ndv-total-label">Δ (B − A)</div>
+                    <div className="ndv-total-value">{fmtMs(diff.totalMs)}</div>
+                  </div>
+                )}
+              </section>
+
+              {}
+              <section className="ndv-card">
+                <TabBar active={activeTab} setActive={setActiveTab} tabs={[
+                  { id: "overview", label: "Overview" },
+                  { id: "compare", label: "Compare" },
+                  { id: "diagram", label: "Space-Time" },
+                  { id: "derive", label: "Worked Solution" },
+                  { id: "sweep", label: "Sweep" },
+                  { id: "goal", label: "Goal Seek" },
+                  { id: "sensitivity", label: "Sensitivity" },
+                  { id: "classes", label: "Classes" },
+                  { id: "aqm", label: "Bufferbloat" },
+                  { id: "jitter", label: "Jitter" },
+                  { id: "budget", label: "Budget" },
+                  { id: "message", label: "Message" },
+                  { id: "transfer", label: "Transfer" },
+                  { id: "trace", label: "Trace" },
+                  { id: "media", label: "Media" },
+                  { id: "sim", label: "Simulator" },
+                  { id: "quiz", label: "Quiz" },
+                  { id: "help", label: "Help" },
+                ]}/>
+                {activeTab === "overview" && (
+                  <Overview m={mA} />
+                )}
+                {activeTab === "compare" && (
+                  <div className="ndv-stack">
+                    <ComparePanel mA={mA} mB={mB} diff={diff} compare={compare} />
+                    <SavedComparison
+                      entries={picked.map(id => scenarios.find(e => e.id === id)).filter(Boolean)}
+                      baselineId={baselineId}
+                      setBaselineId={setBaselineId}
+                    />
+                  </div>
+                )}
+                {activeTab === "diagram" && (
+                  <DiagramPanel mA={mA} mB={mB} compare={compare} />
+                )}
+                {activeTab === "derive" && (
+                  <DerivationPanel A={scenA} B={scenB} mA={mA} mB={mB} compare={compare} notify={setToastMsg} />
+                )}
+                {activeTab === "sweep" && (
+                  <SweepPanel A={scenA} B={scenB} compare={compare} />
+                )}
+                {activeTab === "goal" && (
+                  <GoalSeekPanel A={scenA} setA={setA} />
+                )}
+                {activeTab === "sensitivity" && (
+                  <SensitivityPanel A={scenA} />
+                )}
+                {activeTab === "classes" && (
+                  <ClassesPanel A={scenA} setA={setA} />
+                )}
+                {activeTab === "aqm" && (
+                  <AqmPanel A={scenA} setA={setA} />
+                )}
+                {activeTab === "jitter" && (
+                  <JitterPanel A={scenA} B={scenB} setA={setA} setB={setB} compare={compare} />
+                )}
+                {activeTab === "budget" && (
+                  <BudgetPanel A={scenA} B={scenB} setA={setA} setB={setB} mA={mA} mB={mB} compare={compare} />
+                )}
+                {activeTab === "message" && (
+                  <MessagePanel m={mA} />
+                )}
+                {activeTab === "transfer" && (
+                  <TransferPanel m={mA} />
+                )}
+                {activeTab === "trace" && (
+                  <TracePanel A={scenA} setA={setA} m={mA} />
+                )}
+                {activeTab === "media" && (
+                  <MediaEditor media={media} setMedia={updateMedia} inUse={[scenA, ...(compare ? [scenB] : [])]} />
+                )}
+                {activeTab === "sim" && (
+                  <SimulatorPanel m={mA} />
+                )}
+                {activeTab === "quiz" && (
+                  <QuizPanel notify={setToastMsg} />
+                )}
+                {activeTab === "help" && (
+                  <HelpPanel />
+                )}
+              </section>
+
+              <section className="ndv-card">
+                <h2 className="ndv-h2">How the math works</h2>
+                <ul className="ndv-list">
+                  <li><strong>Transmission (per hop)</strong>: <code>L / R</code> with <code>L</code> in bits and <code>R</code> in bits/s. With a protocol stack, <code>L</code> is the on-wire size: payload plus every header, fragment and frame.</li>
+                  <li><strong>Propagation (total)</strong>: <code>distance / (VF · c)</code>, where the velocity factor VF is 1/n for a medium with refractive index <code>n</code>.</li>
+                  <li><strong>Processing & Queuing</strong>: added at each hop; totals scale with hop count.</li>
+                  {A.sat && (
+                    <li><strong>Satellite legs</strong>: slant range <code>d = √((R+h)² − (R cos ε)²) − R sin ε</code> for orbit height <code>h</code> and elevation <code>ε</code>, at the speed of light. A bent pipe adds one transmission for up + down; with inter-satellite links every satellite stores and forwards.</li>
+                  )}
+                  {mA.arq.pathLoss > 0 && (
+                    <li><strong>Retransmissions</strong>: a link loses a packet with <code>p = 1 − (1 − loss)(1 − BER)<sup>L</sup></code>; HARQ retries cost <code>T<sub>HARQ</sub>·Σ<sub>k&lt;n</sub> p<sup>k</sup></code> and leave <code>p<sup>n</sup></code>. End-to-end ARQ adds <code>timeout · P / (1 − P)</code> for path loss <code>P</code>.</li>
+                  )}
+                  {[...new Set(mA.links.map(l => l.queueModel))].map((id) => (
+                    <li key={id}><QueueFormula model={id} /></li>
+                  ))}
+                </ul>
+                <button className="ndv-chip" onClick={() => setActiveTab("derive")}>Work it through with these numbers</button>
+              </section>
+            </main>
 
             {}
-            <section className="ndv-card">
-              <TabBar active={activeTab} setActive={setActiveTab} tabs={[
-                { id: "overview", label: "Overview" },
-                { id: "compare", label: "Compare" },
-                { id: "diagram", label: "Path Diagram" },
-                { id: "help", label: "Help" },
-              ]}/>
-              {activeTab === "overview" && (
-                <Overview m={mA} />
-              )}
-              {activeTab === "compare" && (
-                <ComparePanel mA={mA} mB={mB} diff={diff} compare={compare} />
-              )}
-              {activeTab === "diagram" && (
-                <DiagramPanel A={A} mA={mA} B={B} mB={mB} compare={compare} />
-              )}
-              {activeTab === "help" && (
-                <HelpPanel />
-              )}
-            </section>
-
-            <section className="ndv-card">
-              <h2 className="ndv-h2">How the math works</h2>
-              <ul className="ndv-list">
-                <li><strong>Transmission (per hop)</strong>: <code>L / R</code> with <code>L</code> in bits and <code>R</code> in bits/s.</li>
-                <li><strong>Propagation (total)</strong>: <code>distance / speed</code> (fiber/coax ≈ 2×10<sup>8</sup> m/s, RF ≈ 3×10<sup>8</sup> m/s).</li>
-                <li><strong>Processing & Queuing</strong>: added at each hop; totals scale with hop count.</li>
-                <li><strong>M/M/1 queue (optional)</strong>: average wait <code>W<sub>q</sub> = ρ / (μ − λ)</code> where <code>μ</code> is service rate in packets/s and <code>λ = ρμ</code>. Service time is your transmission time.</li>
-              </ul>
-            </section>
-          </main>
+            <aside className="ndv-side" aria-label="Insights">
+              <section className="ndv-card ndv-sticky">
+                <h2 className="ndv-h2">Quick Facts</h2>
+                <ul className="ndv-list">
+                  {Object.entries({ ...MEDIA, ...media }).map(([name, def]) => (
+                    <li key={name}>{name} ≈ {fmtSpeed(def.vf * C_M_PER_S)} ({fmtMs((km * 1000) / (def.vf * C_M_PER_S))}/km)</li>
+                  ))}
+                  <li>Store-and-forward: pay <em>transmission</em> at each hop.</li>
+                </ul>
+              </section>
 
-          {}
-          <aside className="ndv-side" aria-label="Insights">
-            <section className="ndv-card ndv-sticky">
-              <h2 className="ndv-h2">Quick Facts</h2>
-              <ul className="ndv-list">
-                <li>Fiber ≈ 2.0×10⁸ m/s</li>
-                <li>Copper/Coax/Twisted Pair ≈ 2.0×10⁸ m/s</li>
-                <li>RF (air) ≈ 3.0×10⁸ m/s</li>
-                <li>Store-and-forward: pay <em>transmission</em> at each hop.</li>
-              </ul>
-            </section>
-
-            <section className="ndv-card">
-              <h2 className="ndv-h2">What to Try</h2>
-              <ul className="ndv-list">
-                <li>Large L + slow R → transmission dominates.</li>
-                <li>Long distance → propagation dominates.</li>
-                <li>High ρ near 1.0 → queueing explodes (MM1).</li>
-                <li>Reduce hops → linear cut to proc & queue.</li>
-              </ul>
-            </section>
-
-            <section className="ndv-card">
-              <h2 className="ndv-h2">Tips</h2>
-              <ul className="ndv-list">
-                <li>Press <kbd>1–5</kbd> to apply presets to A.</li>
-                <li><kbd>C</kbd> toggle compare, <kbd>S</kbd> share, <kbd>R</kbd> reset, <kbd>?</kbd> help.</li>
-              </ul>
-            </section>
-          </aside>
-        </div>
-
-        <footer className="ndv-footer">
-          Built for mastery — explore, compare, and explain.
-        </footer>
-      </div>
-
-      {}
-      {toast && (
-        <div className="ndv-toast">{toast}</div>
-      )}
-    </div>
+              <section className="ndv-card">
+                <h2 className="ndv-h2">What to Try</h2>
+                <WhatToTry A={scenA} />
+              </section>
+
+              <section className="ndv-card">
+                <h2 className="ndv-h2">Tips</h2>
+                <ul className="ndv-list">
+                  <li>Press <kbd>1–{Object.keys(PRESETS).length}</kbd> to apply presets to A.</li>
+                  <li><kbd>C</kbd> toggle compare, <kbd>S</kbd> share, <kbd>R</kbd> reset, <kbd>?</kbd> help.</li>
+                </ul>
+              </section>
+            </aside>
+          </div>
+
+          <footer className="ndv-footer">
+            Built for mastery — explore, compare, and explain.
+          </footer>
+        </div>
+
+        {}
+        {toast && (
+          <div className="ndv-toast">{toast}</div>
+        )}
+      </div>
+    </UnitsContext.Provider>
   );
 }
 
@@ -359,339 +430,3058 @@ function TabBar({ active, setActive, tabs }) {
   );
 }
 
-function InputsCard({ title, s, setS }) {
+function InputsCard({ title, s, setS, media }) {
+  const patch = (p) => setS(x => ({ ...x, ...p }));
   return (
     <section className="ndv-card">
       <h2 className="ndv-h2">{title}</h2>
 
       <LabeledRange
-        label={`Packet size: ${s.packetKB.toFixed(3)} KB`}
-        min={0.064} max={128} step={0.016}
-        value={s.packetKB}
-        onChange={(v) => setS(x => ({ ...x, packetKB: v }))}
-      />
-
-      <LabeledRange
-        label={`Link rate: ${s.rateMbps} Mb/s`}
-        min={1} max={100000} step={1}
-        value={s.rateMbps}
-        onChange={(v) => setS(x => ({ ...x, rateMbps: Math.round(v) }))}
+        label={s.stack ? "Payload per packet" : "Packet size"} quantity="size" unit="B"
+        min={SCENARIO_FIELDS.packetBytes.min} max={SCENARIO_FIELDS.packetBytes.max} step={1}
+        value={s.packetBytes}
+        onChange={(v) => setS(x => ({ ...x, packetBytes: v }))}
       />
 
-      <div className="ndv-row">
-        <label className="ndv-number" style={{ margin: 0 }}>
-          <span className="ndv-number-label">Medium</span>
-          <select
-            className="ndv-select"
-            value={s.medium}
-            onChange={(e) => setS(x => ({ ...x, medium: e.target.value }))}
-          >
-            {Object.keys(PROP_SPEEDS).map((m) => (
-              <option key={m} value={m}>{m}</option>
-            ))}
-          </select>
-        </label>
+      <StackFields s={s} setS={setS} />
 
-        <LabeledNumber
-          label="Distance (km)"
-          value={s.distanceKm}
-          onChange={(v) => setS(x => ({ ...x, distanceKm: clamp(v, 0, 40000) }))}
-          min={0} max={40000}
-        />
-      </div>
+      <GeoFields s={s} setS={setS} />
 
-      <div className="ndv-row">
-        <LabeledNumber
-          label="Hops"
-          value={s.hops}
-          onChange={(v) => setS(x => ({ ...x, hops: Math.round(clamp(v, 1, 60)) }))}
-          min={1} max={60}
-        />
-        <LabeledNumber
-          label="Processing per hop (µs)"
-          value={s.procUsPerHop}
-          onChange={(v) => setS(x => ({ ...x, procUsPerHop: clamp(v, 0, 10000) }))}
-          min={0} max={10000}
-        />
-      </div>
+      <SatelliteFields s={s} setS={setS} />
 
       <div className="ndv-field">
         <div className="ndv-field-head">
-          <div className="ndv-label">Queue model</div>
-          <div className="ndv-range-meta">{s.queueModel === "MM1" ? `M/M/1 (ρ=${s.utilization.toFixed(2)})` : "Fixed per-hop (ms)"}</div>
+          <div className="ndv-label">Path</div>
+          <div className="ndv-range-meta">{s.links ? `${s.links.length} custom links` : `${s.hops} identical hops`}</div>
         </div>
-        <div className="ndv-cols">
-          <div className="ndv-chip-group">
-            <button className={`ndv-chip ${s.queueModel === "Fixed" ? "ndv-chip--on": ""}`} onClick={() => setS(x => ({ ...x, queueModel: "Fixed" }))}>Fixed</button>
-            <button className={`ndv-chip ${s.queueModel === "MM1" ? "ndv-chip--on": ""}`} onClick={() => setS(x => ({ ...x, queueModel: "MM1" }))}>M/M/1</button>
+        <div className="ndv-chip-group">
+          <button className={`ndv-chip ${!s.links ? "ndv-chip--on" : ""}`} onClick={() => setS(x => ({ ...x, links: null }))}>Uniform</button>
+          <button className={`ndv-chip ${s.links ? "ndv-chip--on" : ""}`} onClick={() => setS(x => ({ ...x, links: x.links || uniformLinks(x) }))}>Per link</button>
+        </div>
+      </div>
+
+      {s.links ? (
+        <PathEditor
+          links={s.links}
+          setLinks={(fn) => setS(x => ({ ...x, links: fn(x.links) }))}
+          media={media}
+          traffic={s.traffic}
+          aqm={s.aqm}
+        />
+      ) : (
+        <>
+          <LabeledRange
+            label="Link rate" quantity="rate" unit="Mb/s"
+            min={SCENARIO_FIELDS.rateMbps.min} max={SCENARIO_FIELDS.rateMbps.max} step={1}
+            value={s.rateMbps}
+            onChange={(v) => setS(x => ({ ...x, rateMbps: fieldClamp("rateMbps", v) }))}
+          />
+
+          <div className="ndv-row">
+            <MediumSelect value={s.medium} media={media} onChange={(medium) => patch({ medium })} />
+
+            <LabeledNumber
+              label="Distance" quantity="distance" unit="km"
+              value={s.distanceKm}
+              onChange={(v) => setS(x => ({ ...x, distanceKm: fieldClamp("distanceKm", v), geo: null }))}
+              min={SCENARIO_FIELDS.distanceKm.min} max={SCENARIO_FIELDS.distanceKm.max}
+            />
           </div>
 
-          {s.queueModel === "Fixed" ? (
+          <div className="ndv-row">
             <LabeledNumber
-              label="Queuing per hop (ms)"
-              value={s.queueMsPerHop}
-              onChange={(v) => setS(x => ({ ...x, queueMsPerHop: clamp(v, 0, 200) }))}
-              min={0} max={200}
+              label="Hops"
+              value={s.hops}
+              onChange={(v) => setS(x => ({ ...x, hops: fieldClamp("hops", v) }))}
+              min={SCENARIO_FIELDS.hops.min} max={SCENARIO_FIELDS.hops.max}
             />
-          ) : (
-            <LabeledRange
-              label={`Utilization ρ: ${(s.utilization * 100).toFixed(0)}%`}
-              min={0} max={0.98} step={0.01}
-              value={s.utilization}
-              onChange={(v) => setS(x => ({ ...x, utilization: clamp(v, 0, 0.98) }))}
+            <LabeledNumber
+              label="Processing per hop" quantity="time" unit="µs"
+              value={s.procUsPerHop}
+              onChange={(v) => setS(x => ({ ...x, procUsPerHop: fieldClamp("procUsPerHop", v) }))}
+              min={SCENARIO_FIELDS.procUsPerHop.min} max={SCENARIO_FIELDS.procUsPerHop.max}
             />
-          )}
-        </div>
-      </div>
+          </div>
+
+          <QueueFields q={s} onChange={patch} />
+          <LossFields l={s} onChange={patch} />
+        </>
+      )}
+
+      <ArqFields s={s} setS={setS} />
     </section>
   );
 }
 
-function Overview({ m }) {
-  return (
-    <div className="ndv-stack">
-      <div className="ndv-cols">
-        <div className="ndv-kvlist">
-          <KV label="Packet size (bits)" value={m.bits.toLocaleString()} />
-          <KV label="Link rate (bps)" value={m.rate.toLocaleString()} />
-          <KV label="Transmission (per hop)" value={fmtMs(m.txPerHop_ms)} />
-          <KV label="Propagation (total)" value={fmtMs(m.dPropMs)} />
-          <KV label="Processing (all hops)" value={fmtMs(m.dProcTotalMs)} />
-          <KV label="Queuing (per hop)" value={fmtMs(m.queuePerHop_ms)} />
-          <KV label="Queuing (all hops)" value={fmtMs(m.dQueueTotalMs)} />
-        </div>
+// Pick endpoints (and waypoints) instead of typing a distance. Every change re-derives
+// distanceKm, so the rest of the model never needs to know where the numbers came from.
+function GeoFields({ s, setS }) {
+  const listId = useId();
+  const units = useContext(UnitsContext);
+  const geo = s.geo;
+  const apply = (g) => setS(x => ({ ...withField(x, "distanceKm", fieldClamp("distanceKm", geoDistanceKm(g))), geo: g }));
+  const patch = (p) => apply({ ...geo, ...p });
+  const start = () => apply({
+    from: parsePoint("New York"),
+    to: parsePoint("London"),
+    waypoints: [],
+    inflation: GEO_INFLATION.default,
+  });
+  const directKm = geo ? greatCircleKm(geo.from, geo.to) : 0;
+  const viaKm = geo ? routeKm([geo.from, ...geo.waypoints, geo.to]) : 0;
 
-        <div className="ndv-totals">
-          <div className="ndv-total">
-            <div className="ndv-total-label">Total end-to-end delay</div>
-            <div className="ndv-total-value">{fmtMs(m.totalMs)}</div>
+  return (
+    <div className="ndv-field">
+      <div className="ndv-field-head">
+        <div className="ndv-label">Distance</div>
+        <div className="ndv-range-meta">{geo ? `${geo.from.name} → ${geo.to.name}` : "Typed in by hand"}</div>
+      </div>
+      <div className="ndv-chip-group">
+        <button className={`ndv-chip ${!geo ? "ndv-chip--on" : ""}`} onClick={() => setS(x => ({ ...x, geo: null }))}>Manual</button>
+        <button className={`ndv-chip ${geo ? "ndv-chip--on" : ""}`} onClick={() => geo || start()}>From locations</button>
+      </div>
+      {geo && (
+        <div className="ndv-stack ndv-stack--tight">
+          <PlaceList id={listId} />
+          <div className="ndv-row">
+            <PlacePicker key="from" label="From" value={geo.from} listId={listId} onChange={(from) => patch({ from })} />
+            <PlacePicker key="to" label="To" value={geo.to} listId={listId} onChange={(to) => patch({ to })} />
+          </div>
+          {geo.waypoints.map((w, i) => (
+            <div key={i} className="ndv-row">
+              <PlacePicker
+                label={`Via ${i + 1}`}
+                value={w}
+                listId={listId}
+                onChange={(p) => patch({ waypoints: geo.waypoints.map((x, j) => (j === i ? p : x)) })}
+              />
+              <button className="ndv-chip" onClick={() => patch({ waypoints: geo.waypoints.filter((_, j) => j !== i) })}>Remove</button>
+            </div>
+          ))}
+          <div className="ndv-row">
+            <LabeledNumber
+              label="Route inflation ×"
+              value={geo.inflation}
+              onChange={(v) => patch({ inflation: clamp(v || GEO_INFLATION.min, GEO_INFLATION.min, GEO_INFLATION.max) })}
+              min={GEO_INFLATION.min} max={GEO_INFLATION.max}
+            />
+            <button className="ndv-chip" onClick={() => patch({ waypoints: [...geo.waypoints, geo.to] })}>Add waypoint</button>
+          </div>
+          <div className="ndv-range-meta">
+            Great circle {fmtKm(directKm, units)}
+            {geo.waypoints.length > 0 && ` · via waypoints ${fmtKm(viaKm, units)}`}
+            {` · × ${geo.inflation} = ${fmtKm(viaKm * geo.inflation, units)} of path`}
           </div>
-
-          <Bars parts={m.parts} maxPart={m.maxPart} />
         </div>
-      </div>
+      )}
     </div>
   );
 }
 
-function ComparePanel({ mA, mB, diff, compare }) {
-  if (!compare) return <div className="ndv-range-meta">Turn on Compare to see side-by-side analysis.</div>;
+function SatelliteFields({ s, setS }) {
+  const listId = useId();
+  const units = useContext(UnitsContext);
+  const sat = s.sat;
+  const patch = (p) => setS(x => ({ ...x, sat: { ...x.sat, ...p } }));
+  const g = sat ? satellitePath(sat) : null;
+  const c = LIGHT_KM_PER_MS;
+  const chip = (on, label, onClick) => (
+    <button className={`ndv-chip ${on ? "ndv-chip--on" : ""}`} onClick={onClick}>{label}</button>
+  );
+
   return (
-    <div className="ndv-scenario-grid">
-      <div>
-        <h3 className="ndv-h3">Scenario A</h3>
-        <Bars parts={mA.parts} maxPart={Math.max(mA.maxPart, mB.maxPart)} />
-        <ul className="ndv-list" style={{ marginTop: 12 }}>
-          <li>Total: {fmtMs(mA.totalMs)}</li>
-          <li>Tx: {fmtMs(mA.dTransTotalMs)}</li>
-          <li>Prop: {fmtMs(mA.dPropMs)}</li>
-          <li>Proc: {fmtMs(mA.dProcTotalMs)}</li>
-          <li>Queue: {fmtMs(mA.dQueueTotalMs)}</li>
-        </ul>
+    <div className="ndv-field">
+      <div className="ndv-field-head">
+        <div className="ndv-label">Satellite segment</div>
+        <div className="ndv-range-meta">{sat ? `${sat.orbit} at ${fmtKm(sat.altitudeKm, units)}, ${sat.mode === "isl" ? "inter-satellite links" : "bent pipe"}` : "Terrestrial only"}</div>
       </div>
-
-      <div>
-        <h3 className="ndv-h3">Scenario B</h3>
-        <Bars parts={mB.parts} maxPart={Math.max(mA.maxPart, mB.maxPart)} />
-        <ul className="ndv-list" style={{ marginTop: 12 }}>
-          <li>Total: {fmtMs(mB.totalMs)}</li>
-          <li>Tx: {fmtMs(mB.dTransTotalMs)}</li>
-          <li>Prop: {fmtMs(mB.dPropMs)}</li>
-          <li>Proc: {fmtMs(mB.dProcTotalMs)}</li>
-          <li>Queue: {fmtMs(mB.dQueueTotalMs)}</li>
-        </ul>
+      <div className="ndv-chip-group">
+        {chip(!sat, "None", () => setS(x => ({ ...x, sat: null })))}
+        {chip(!!sat, "Satellite", () => sat || setS(x => ({ ...x, sat: { ...SAT_DEFAULT } })))}
       </div>
-
-      <div>
-        <h3 className="ndv-h3">Δ (B − A)</h3>
-        <div className="ndv-bars">
-          <DiffBar label="Total" value={diff.totalMs}/>
-          <DiffBar label="Transmission" value={diff.tx}/>
-          <DiffBar label="Propagation" value={diff.prop}/>
-          <DiffBar label="Processing" value={diff.proc}/>
-          <DiffBar label="Queuing" value={diff.queue}/>
+      {sat && (
+        <div className="ndv-stack ndv-stack--tight">
+          <div className="ndv-row">
+            <label className="ndv-number" style={{ margin: 0 }}>
+              <span className="ndv-number-label">Orbit</span>
+              <select className="ndv-select" value={sat.orbit} onChange={(e) => patch({ orbit: e.target.value, altitudeKm: ORBITS[e.target.value].altitudeKm })}>
+                {Object.entries(ORBITS).map(([id, o]) => <option key={id} value={id}>{o.label}</option>)}
+              </select>
+            </label>
+            <LabeledNumber
+              label="Altitude" quantity="distance" unit="km"
+              value={sat.altitudeKm}
+              onChange={(v) => patch({ altitudeKm: clamp(v || SAT_NUMBERS.altitudeKm.min, SAT_NUMBERS.altitudeKm.min, SAT_NUMBERS.altitudeKm.max) })}
+              min={SAT_NUMBERS.altitudeKm.min} max={SAT_NUMBERS.altitudeKm.max}
+            />
+          </div>
+          <div className="ndv-chip-group">
+            {chip(sat.mode === "bent-pipe", "Bent pipe", () => patch({ mode: "bent-pipe" }))}
+            {chip(sat.mode === "isl", "Inter-satellite links", () => patch({ mode: "isl" }))}
+            <span className="ndv-range-meta">·</span>
+            {chip(sat.geometry === "elevation", "Elevation angles", () => patch({ geometry: "elevation" }))}
+            {chip(sat.geometry === "positions", "Ground positions", () => patch({ geometry: "positions" }))}
+          </div>
+          {sat.geometry === "elevation" ? (
+            <div className="ndv-row">
+              <LabeledNumber label="User elevation (°)" value={sat.userElevDeg} onChange={(v) => patch({ userElevDeg: clamp(v || 0, 0, 90) })} min={0} max={90} />
+              <LabeledNumber label="Gateway elevation (°)" value={sat.gwElevDeg} onChange={(v) => patch({ gwElevDeg: clamp(v || 0, 0, 90) })} min={0} max={90} />
+            </div>
+          ) : (
+            <>
+              <PlaceList id={listId} />
+              <div className="ndv-row">
+                <PlacePicker key="user" label="User" value={sat.user} listId={listId} onChange={(user) => patch({ user })} />
+                <PlacePicker key="gateway" label="Gateway" value={sat.gateway} listId={listId} onChange={(gateway) => patch({ gateway })} />
+              </div>
+              {sat.orbit === "GEO" && (
+                <LabeledNumber label="Satellite longitude (°)" value={sat.satLon} onChange={(v) => patch({ satLon: clamp(v || 0, -180, 180) })} min={-180} max={180} />
+              )}
+            </>
+          )}
+          {sat.mode === "isl" && (sat.geometry === "elevation" ? (
+            <div className="ndv-row">
+              <LabeledNumber label="ISL path" quantity="distance" unit="km" value={sat.islKm} onChange={(v) => patch({ islKm: clamp(v || 0, 0, SAT_NUMBERS.islKm.max) })} min={0} max={SAT_NUMBERS.islKm.max} />
+              <LabeledNumber label="ISL hops" value={sat.islHops} onChange={(v) => patch({ islHops: Math.round(clamp(v || 0, 0, SAT_NUMBERS.islHops.max)) })} min={0} max={SAT_NUMBERS.islHops.max} />
+            </div>
+          ) : (
+            <LabeledNumber label="Max ISL hop" quantity="distance" unit="km" value={sat.islHopKm} onChange={(v) => patch({ islHopKm: clamp(v || SAT_NUMBERS.islHopKm.min, SAT_NUMBERS.islHopKm.min, SAT_NUMBERS.islHopKm.max) })} min={SAT_NUMBERS.islHopKm.min} max={SAT_NUMBERS.islHopKm.max} />
+          ))}
+          <div className="ndv-row">
+            <LabeledNumber label="Satellite link rate" quantity="rate" unit="Mb/s" value={sat.rateMbps} onChange={(v) => patch({ rateMbps: clamp(v || 1, 0.001, 1000000) })} min={0.001} max={1000000} />
+            <LabeledNumber label="Processing per satellite hop" quantity="time" unit="µs" value={sat.procUsPerHop} onChange={(v) => patch({ procUsPerHop: fieldClamp("procUsPerHop", v || 0) })} min={0} max={SCENARIO_FIELDS.procUsPerHop.max} />
+          </div>
+          <div className="ndv-range-meta">
+            Up {fmtKm(g.upKm, units)} ({fmtMs(g.upKm / c)}, {g.userElevDeg.toFixed(1)}°) ·
+            {g.islKm.length > 0 && ` ${g.islKm.length} ISL hop${g.islKm.length > 1 ? "s" : ""} ${fmtKm(g.islKm.reduce((a, b) => a + b, 0), units)} (${fmtMs(g.islKm.reduce((a, b) => a + b, 0) / c)}) ·`}
+            {" "}Down {fmtKm(g.downKm, units)} ({fmtMs(g.downKm / c)}, {g.gwElevDeg.toFixed(1)}°)
+          </div>
+          {g.warnings.map((w) => <div key={w} className="ndv-range-meta ndv-warn">{w}</div>)}
         </div>
-      </div>
+      )}
     </div>
   );
 }
 
-function DiagramPanel({ A, mA, B, mB, compare }) {
+function PlaceList({ id }) {
   return (
-    <div className="ndv-stack">
-      <PathDiagram label="A" hops={A.hops} txPerHop_ms={mA.txPerHop_ms} queuePerHop_ms={mA.queuePerHop_ms}/>
-      {compare && (
-        <PathDiagram label="B" hops={B.hops} txPerHop_ms={mB.txPerHop_ms} queuePerHop_ms={mB.queuePerHop_ms}/>
-      )}
-      <ul className="ndv-list">
-        <li>Each hop adds <em>transmission</em>, <em>processing</em>, and <em>queueing</em>. Longer links add <em>propagation</em> once.</li>
-        <li>Glow width hints queueing per hop; dot spacing is constant for clarity.</li>
-      </ul>
-    </div>
+    <datalist id={id}>
+      {PLACES.map(p => <option key={p.name} value={p.name}>{PLACE_KINDS[p.kind]}</option>)}
+    </datalist>
   );
 }
 
-function Bars({ parts, maxPart }) {
+function PlacePicker({ label, value, listId, onChange }) {
+  const [text, setText] = useState(value.name);
+  const [seen, setSeen] = useState(value);
+  const p = parsePoint(text);
+  // A place set from outside (a loaded scenario, a removed waypoint) replaces the text; one
+  // that came from this field's own typing leaves it alone.
+  if (value !== seen) {
+    setSeen(value);
+    if (!p || p.lat !== value.lat || p.lon !== value.lon) setText(value.name);
+  }
   return (
-    <div className="ndv-bars">
-      {parts.map((p) => {
-        const pct = (p.value / maxPart) * 100;
-        return (
-          <div key={p.key} className="ndv-bar-block">
-            <div className="ndv-bar-label">{p.label}: {fmtMs(p.value)}</div>
-            <div className="ndv-bar-rail" role="meter" aria-valuemin={0} aria-valuemax={100} aria-valuenow={+pct.toFixed(1)}>
-              <motion.div
-                className="ndv-bar-fill"
-                initial={{ width: 0 }}
-                animate={{ width: `${pct}%` }}
-                transition={{ type: "spring", stiffness: 140, damping: 20 }}
-              />
-            </div>
-          </div>
-        );
-      })}
-    </div>
+    <label className="ndv-number" style={{ margin: 0 }}>
+      <span className="ndv-number-label">{label}</span>
+      <input
+        className="ndv-input"
+        list={listId}
+        value={text}
+        placeholder="City, IXP, region or lat, long"
+        onChange={(e) => {
+          setText(e.target.value);
+          const next = parsePoint(e.target.value);
+          if (next) onChange(next);
+        }}
+      />
+      <span className={`ndv-range-meta ${p ? "" : "ndv-warn"}`}>
+        {p ? `${p.lat.toFixed(2)}°, ${p.lon.toFixed(2)}°` : "Unknown place; try a listed name or “lat, long”."}
+      </span>
+    </label>
   );
 }
 
-function DiffBar({ label, value }) {
-  const mag = Math.min(100, Math.abs(value) / Math.max(1, Math.abs(value)) * 100); // normalized visual
-  const sign = value === 0 ? 0 : value > 0 ? 1 : -1;
+function StackFields({ s, setS }) {
+  const st = s.stack;
+  const patch = (p) => setS(x => ({ ...x, stack: { ...x.stack, ...p } }));
+  const select = (label, key, options) => (
+    <label className="ndv-number" style={{ margin: 0 }}>
+      <span className="ndv-number-label">{label}</span>
+      <select className="ndv-select" value={st[key]} onChange={(e) => patch({ [key]: e.target.value })}>
+        {Object.keys(options).map((o) => <option key={o} value={o}>{o}</option>)}
+      </select>
+    </label>
+  );
   return (
-    <div className="ndv-bar-block">
-      <div className="ndv-bar-label">{label}: {fmtMs(value)} {sign > 0 ? "↑" : sign < 0 ? "↓" : ""}</div>
-      <div className="ndv-bar-rail ndv-bar-rail--diff">
-        <motion.div
-          className={`ndv-bar-fill ${sign >= 0 ? "ndv-bar-fill--pos" : "ndv-bar-fill--neg"}`}
-          initial={{ width: 0 }}
-          animate={{ width: `${Math.min(100, Math.abs(value))}%` }}
-          transition={{ type: "spring", stiffness: 140, damping: 20 }}
-        />
+    <div className="ndv-field">
+      <div className="ndv-field-head">
+        <div className="ndv-label">Protocol stack</div>
+        <div className="ndv-range-meta">{st ? "Packet size = application payload" : "Packet size = raw bits on the wire"}</div>
       </div>
+      <div className="ndv-chip-group">
+        <button className={`ndv-chip ${!st ? "ndv-chip--on" : ""}`} onClick={() => setS(x => ({ ...x, stack: null }))}>Raw</button>
+        <button className={`ndv-chip ${st ? "ndv-chip--on" : ""}`} onClick={() => setS(x => ({ ...x, stack: x.stack || { ...DEFAULT_STACK } }))}>Encapsulated</button>
+      </div>
+      {st && (
+        <>
+          <div className="ndv-row">
+            {select("Link layer", "link", LINK_LAYERS)}
+            <LabeledNumber
+              label="VLAN tags"
+              value={st.vlanTags}
+              onChange={(v) => patch({ vlanTags: Math.round(clamp(v, 0, 2)) })}
+              min={0} max={2}
+            />
+          </div>
+          <div className="ndv-row">
+            {select("Network", "ip", IP_VERSIONS)}
+            {select("Transport", "transport", TRANSPORTS)}
+          </div>
+          <div className="ndv-row">
+            {select("Tunnel / VPN", "tunnel", TUNNELS)}
+            <LabeledNumber
+              label="Path MTU" quantity="size" unit="B"
+              value={st.pathMtu}
+              onChange={(v) => patch({ pathMtu: Math.round(clamp(v, 68, 65535)) })}
+              min={68} max={65535}
+            />
+          </div>
+        </>
+      )}
     </div>
   );
 }
 
-function PathDiagram({ label, hops, txPerHop_ms, queuePerHop_ms }) {
-  const nodes = new Array(Math.max(2, Math.min(hops + 1, 30))).fill(0);
-  const qGlow = Math.min(24, 4 + (queuePerHop_ms / 2)); // visual hint
+function OverheadBar({ encap }) {
+  const total = encap.wireBits / 8;
   return (
-    <div className="ndv-card">
-      <h2 className="ndv-h2">Path Diagram — {label}</h2>
-      <div className="ndv-path">
-        {nodes.map((_, i) => (
-          <div key={i} className="ndv-path-node">
-            <div className="ndv-path-dot" style={{ boxShadow: `0 0 ${qGlow}px rgba(183,92,255,0.45)` }}/>
-            {i < nodes.length - 1 && (
-              <div className="ndv-path-link">
-                <motion.div
-                  className="ndv-path-flow"
-                  initial={{ left: 0 }}
-                  animate={{ left: "100%" }}
-                  transition={{ repeat: Infinity, duration: Math.max(0.4, txPerHop_ms / 50), ease: "linear" }}
-                />
-              </div>
-            )}
-          </div>
+    <div className="ndv-stack">
+      <div className="ndv-stackbar" role="img" aria-label="On-wire bytes by layer">
+        {encap.layers.map((l, i) => (
+          <div key={l.key} className={`ndv-stackbar-seg ndv-series-${i % 4}`} style={{ width: `${(l.bytes / total) * 100}%` }} title={`${l.label}: ${l.bytes} B`} />
         ))}
       </div>
-      <div className="ndv-kvlist" style={{ marginTop: 10 }}>
-        <KV label="Tx per hop" value={fmtMs(txPerHop_ms)} />
-        <KV label="Queue per hop" value={fmtMs(queuePerHop_ms)} />
-        <KV label="Hop count (nodes shown = hops+1, capped at 30)" value={hops} />
+      <div className="ndv-chip-group ndv-range-meta">
+        {encap.layers.map((l, i) => (
+          <span key={l.key}><i className={`ndv-swatch ndv-series-${i % 4}`} /> {l.label} {l.bytes.toLocaleString()} B</span>
+        ))}
       </div>
     </div>
   );
 }
 
-function ScenarioManager({ scenarios, setScenarios, loadToA, loadToB }) {
-  const [name, setName] = useState("");
+function MediumSelect({ value, media, onChange }) {
+  return (
+    <label className="ndv-number" style={{ margin: 0 }}>
+      <span className="ndv-number-label">Medium</span>
+      <select
+        className="ndv-select"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {Object.keys({ ...MEDIA, ...media }).map((m) => (
+          <option key={m} value={m}>{m}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
 
-  function save(side) {
-    const s = side();
-    const entry = { ...s, savedAt: Date.now() };
-    const arr = [entry, ...scenarios].slice(0, 50);
-    setScenarios(arr);
+// Velocity factor and refractive index are two views of one number: VF = 1/n.
+function MediaEditor({ media, setMedia, inUse }) {
+  const [draft, setDraft] = useState({ name: "", by: "vf", value: 0.997, note: "" });
+  const [error, setError] = useState("");
+  const rows = Object.entries({ ...MEDIA, ...media });
+  const used = new Set(inUse.flatMap(sc => [sc.medium, ...(sc.links ?? []).map(l => l.medium)]));
+  const vfOf = (d) => (d.by === "vf" ? d.value : 1 / d.value);
+
+  function save() {
+    const name = draft.name.trim();
+    const vf = vfOf(draft);
+    if (!name) return setError("Give the medium a name.");
+    if (!(vf >= VF_RANGE.min && vf <= VF_RANGE.max)) {
+      return setError(`Velocity factor must be ${VF_RANGE.min}–${VF_RANGE.max} (refractive index ${1 / VF_RANGE.max}–${1 / VF_RANGE.min}).`);
+    }
+    setMedia({ ...media, [name]: { vf, note: draft.note.trim() } });
+    setDraft({ name: "", by: draft.by, value: draft.value, note: "" });
+    setError("");
+  }
+  function remove(name) {
+    const next = { ...media };
+    delete next[name];
+    setMedia(next);
   }
-  function sideA() { return window.__ndv_getA?.() || {}; }
-  function sideB() { return window.__ndv_getB?.() || {}; }
-  useEffect(() => {
-    return () => {
-      delete window.__ndv_getA;
-      delete window.__ndv_getB;
-    };
-  }, []);
 
   return (
-    <section className="ndv-card">
-      <h2 className="ndv-h2">Scenario Manager</h2>
-      <div className="ndv-stack">
+    <div className="ndv-stack">
+      <div className="ndv-table-wrap">
+        <table className="ndv-table">
+          <thead>
+            <tr><th>Medium</th><th>VF</th><th>n</th><th>Speed</th><th>Per 1000 km</th><th>Note</th><th /></tr>
+          </thead>
+          <tbody>
+            {rows.map(([name, def]) => (
+              <tr key={name}>
+                <td>{name}{media[name] && MEDIA[name] ? " (edited)" : ""}{!MEDIA[name] ? " ★" : ""}</td>
+                <td>{def.vf.toFixed(3)}</td>
+                <td>{(1 / def.vf).toFixed(3)}</td>
+                <td>{fmtSpeed(def.vf * C_M_PER_S)}</td>
+                <td>{fmtMs((1000 * km * 1000) / (def.vf * C_M_PER_S))}</td>
+                <td className="ndv-range-meta">{def.note}</td>
+                <td>
+                  <div className="ndv-chip-group">
+                    <button className="ndv-chip" onClick={() => setDraft({ name, by: "vf", value: +def.vf.toFixed(4), note: def.note })}>Edit</button>
+                    {media[name] && (
+                      <button
+                        className="ndv-chip"
+                        disabled={!MEDIA[name] && used.has(name)}
+                        title={!MEDIA[name] && used.has(name) ? "In use by the current scenario" : undefined}
+                        onClick={() => remove(name)}
+                      >{MEDIA[name] ? "Reset" : "Delete"}</button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="ndv-range-meta">★ your media. Editing a built-in keeps the name and overrides its speed.</div>
+      </div>
+
+      <div className="ndv-stack ndv-stack--tight">
+        <h3 className="ndv-h3">{media[draft.name.trim()] || MEDIA[draft.name.trim()] ? `Edit “${draft.name.trim()}”` : "Add a medium"}</h3>
+        <div className="ndv-row">
+          <input className="ndv-input" placeholder="Name, e.g. Hollow-core fiber" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          <input className="ndv-input" placeholder="Note (optional)" value={draft.note} onChange={(e) => setDraft({ ...draft, note: e.target.value })} />
+        </div>
         <div className="ndv-row">
-          <input className="ndv-input" placeholder="Name (optional)" value={name} onChange={e=>setName(e.target.value)} />
           <div className="ndv-chip-group">
-            <button
-              className="ndv-chip"
-              onClick={() => {
-                const a = window.__ndv_currentA;
-                if (!a) return;
-                const entry = { ...a, name: name || a.name, savedAt: Date.now() };
-                const arr = [entry, ...scenarios].slice(0, 50);
-                setScenarios(arr);
-              }}
-            >Save A</button>
-            <button
+            <button className={`ndv-chip ${draft.by === "vf" ? "ndv-chip--on" : ""}`} onClick={() => setDraft({ ...draft, by: "vf", value: +vfOf(draft).toFixed(4) })}>Velocity factor</button>
+            <button className={`ndv-chip ${draft.by === "n" ? "ndv-chip--on" : ""}`} onClick={() => setDraft({ ...draft, by: "n", value: +(1 / vfOf(draft)).toFixed(4) })}>Refractive index</button>
+          </div>
+          <LabeledNumber
+            label={draft.by === "vf" ? "Velocity factor (× c)" : "Refractive index n"}
+            value={draft.value}
+            onChange={(v) => setDraft({ ...draft, value: v || 0 })}
+            min={draft.by === "vf" ? VF_RANGE.min : 1 / VF_RANGE.max}
+            max={draft.by === "vf" ? VF_RANGE.max : 1 / VF_RANGE.min}
+          />
+        </div>
+        <div className="ndv-chip-group">
+          <button className="ndv-chip ndv-chip--on" onClick={save}>Save medium</button>
+          {vfOf(draft) > 0 && isFinite(vfOf(draft)) && (
+            <span className="ndv-range-meta">{fmtSpeed(vfOf(draft) * C_M_PER_S)}</span>
+          )}
+        </div>
+        {error && <div className="ndv-range-meta ndv-warn">{error}</div>}
+      </div>
+      <ul className="ndv-list">
+        <li>Examples: hollow-core fiber VF ≈ 0.997, RG-58 coax 0.66, LMR-400 0.85, microwave or free-space optics through air ≈ 0.9997, copper in a vacuum ≈ 1, since no dielectric slows it.</li>
+        <li>Your media are saved with the scenario library and travel inside saved scenarios, exports and share links.</li>
+      </ul>
+    </div>
+  );
+}
+
+function QueueFields({ q, onChange }) {
+  const model = QUEUE_MODELS[q.queueModel] ? q.queueModel : "Fixed";
+  const unstable = QUEUE_MODELS[model].infinite && q.utilization >= 1;
+  const scv = q.serviceScv ?? DEFAULT_SCENARIO.serviceScv;
+  const bufferPkts = q.bufferPkts ?? DEFAULT_SCENARIO.bufferPkts;
+  return (
+    <div className="ndv-field">
+      <div className="ndv-field-head">
+        <div className="ndv-label">Queue model</div>
+        <div className={`ndv-range-meta ${unstable ? "ndv-warn" : ""}`}>
+          {model === "Fixed"
+            ? "Fixed per-hop"
+            : unstable
+              ? `${QUEUE_MODELS[model].label} unstable (ρ=${q.utilization.toFixed(2)} ≥ 1)`
+              : `${QUEUE_MODELS[model].label} (ρ=${q.utilization.toFixed(2)})`}
+        </div>
+      </div>
+      <div className="ndv-cols">
+        <div className="ndv-chip-group">
+          {Object.entries(QUEUE_MODELS).map(([id, qm]) => (
+            <button key={id} className={`ndv-chip ${model === id ? "ndv-chip--on": ""}`} onClick={() => onChange({ queueModel: id })}>{qm.label}</button>
+          ))}
+        </div>
+
+        {model === "Fixed" ? (
+          <LabeledNumber
+            label="Queuing per hop" quantity="time" unit="ms"
+            value={q.queueMsPerHop}
+            onChange={(v) => onChange({ queueMsPerHop: fieldClamp("queueMsPerHop", v) })}
+            min={0} max={200}
+          />
+        ) : (
+          <LabeledRange
+            label={`Utilization ρ: ${(q.utilization * 100).toFixed(0)}%`}
+            min={0} max={MAX_UTILIZATION} step={0.01}
+            value={q.utilization}
+            onChange={(v) => onChange({ utilization: fieldClamp("utilization", v) })}
+          />
+        )}
+      </div>
+
+      {model === "MG1" && (
+        <LabeledNumber
+          label="Service-time variance C²ₛ = Var[S] / E[S]²"
+          value={scv}
+          onChange={(v) => onChange({ serviceScv: fieldClamp("serviceScv", v) })}
+          min={0} max={100}
+        />
+      )}
+      {model === "MM1K" && (
+        <LabeledNumber
+          label="Buffer K (packets, incl. in service)"
+          value={bufferPkts}
+          onChange={(v) => onChange({ bufferPkts: fieldClamp("bufferPkts", v) })}
+          min={1} max={10000}
+        />
+      )}
+    </div>
+  );
+}
+
+function QueueFormula({ model }) {
+  const svc = <> Service time <code>S = L / R</code> is your transmission time, <code>μ = 1/S</code> and <code>λ = ρμ</code>.</>;
+  switch (model) {
+    case "MM1":
+      return <><strong>M/M/1 queue</strong>: average wait <code>W<sub>q</sub> = ρ / (μ − λ)</code>; unstable for <code>ρ ≥ 1</code>.{svc}</>;
+    case "MD1":
+      return <><strong>M/D/1 queue</strong> (fixed-size packets): <code>W<sub>q</sub> = ρS / (2(1 − ρ))</code>, half the M/M/1 wait; unstable for <code>ρ ≥ 1</code>.{svc}</>;
+    case "MG1":
+      return <><strong>M/G/1 queue</strong> (Pollaczek–Khinchine): <code>W<sub>q</sub> = λE[S²] / (2(1 − ρ)) = ρS(1 + C<sub>s</sub>²) / (2(1 − ρ))</code> with <code>C<sub>s</sub>² = Var[S] / S²</code>; unstable for <code>ρ ≥ 1</code>.{svc}</>;
+    case "MM1K":
+      return <><strong>M/M/1/K queue</strong> (finite buffer): drop probability <code>P<sub>K</sub> = (1 − ρ)ρ<sup>K</sup> / (1 − ρ<sup>K+1</sup>)</code>, <code>L = ρ/(1 − ρ) − (K+1)ρ<sup>K+1</sup> / (1 − ρ<sup>K+1</sup>)</code>, <code>W<sub>q</sub> = L / (λ(1 − P<sub>K</sub>)) − S</code>. Stays finite for any <code>ρ</code>.{svc}</>;
+    default:
+      return <><strong>Fixed queue</strong>: the per-hop queuing delay you enter is added at each hop.</>;
+  }
+}
+
+function LossFields({ l, onChange }) {
+  return (
+    <div className="ndv-field">
+      <div className="ndv-field-head">
+        <div className="ndv-label">Loss & HARQ</div>
+        <div className="ndv-range-meta">{l.harqMaxTx > 1 ? `HARQ up to ${l.harqMaxTx} tries, ${l.harqRttMs} ms apart` : "No link-layer retransmission"}</div>
+      </div>
+      <div className="ndv-row">
+        <LabeledNumber
+          label="Packet loss (%)"
+          value={+(l.lossRate * 100).toPrecision(6)}
+          onChange={(v) => onChange({ lossRate: fieldClamp("lossRate", (v || 0) / 100) })}
+          min={0} max={100}
+        />
+        <LabeledNumber
+          label="Bit error rate"
+          value={l.ber}
+          onChange={(v) => onChange({ ber: clamp(v || 0, 0, 0.5) })}
+          min={0} max={0.5}
+        />
+      </div>
+      <div className="ndv-row">
+        <LabeledNumber
+          label="HARQ max transmissions"
+          value={l.harqMaxTx}
+          onChange={(v) => onChange({ harqMaxTx: fieldClamp("harqMaxTx", v) })}
+          min={1} max={32}
+        />
+        <LabeledNumber
+          label="HARQ round trip" quantity="time" unit="ms"
+          value={l.harqRttMs}
+          onChange={(v) => onChange({ harqRttMs: fieldClamp("harqRttMs", v) })}
+          min={0} max={1000}
+        />
+      </div>
+    </div>
+  );
+}
+
+function ArqFields({ s, setS }) {
+  const arq = { ...DEFAULT_SCENARIO.arq, ...s.arq };
+  const patch = (p) => setS(x => ({ ...x, arq: { ...DEFAULT_SCENARIO.arq, ...x.arq, ...p } }));
+  return (
+    <div className="ndv-field">
+      <div className="ndv-field-head">
+        <div className="ndv-label">End-to-end ARQ</div>
+        <div className="ndv-range-meta">{arq.protocol === "None" ? "Lost packets stay lost" : `${arq.protocol}, W=${arq.window}`}</div>
+      </div>
+      <div className="ndv-chip-group">
+        {ARQ_PROTOCOLS.map((p) => (
+          <button key={p} className={`ndv-chip ${arq.protocol === p ? "ndv-chip--on" : ""}`} onClick={() => patch({ protocol: p })}>{p}</button>
+        ))}
+      </div>
+      {arq.protocol !== "None" && (
+        <div className="ndv-row">
+          <LabeledNumber
+            label="Window (packets)"
+            value={arq.protocol === "Stop-and-wait" ? 1 : arq.window}
+            onChange={(v) => patch({ window: Math.round(clamp(v, 1, 65535)) })}
+            min={1} max={65535}
+          />
+          <LabeledNumber
+            label="Timeout" quantity="time" unit="ms"
+            value={arq.timeoutMs}
+            onChange={(v) => patch({ timeoutMs: clamp(v, 0, 60000) })}
+            min={0} max={60000}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PathEditor({ links, setLinks, media, traffic, aqm }) {
+  const update = (i, p) => setLinks(arr => arr.map((l, j) => (j === i ? { ...l, ...p } : l)));
+  return (
+    <div className="ndv-stack">
+      {links.map((raw) => ({ ...LINK_DEFAULTS, ...raw })).map((l, i) => (
+        <div key={i} className="ndv-link-edit">
+          <div className="ndv-field-head">
+            <div className="ndv-label">Link {i + 1}</div>
+            <button
               className="ndv-chip"
-              onClick={() => {
-                const b = window.__ndv_currentB;
-                if (!b) return;
-                const entry = { ...b, name: name || b.name, savedAt: Date.now() };
-                const arr = [entry, ...scenarios].slice(0, 50);
-                setScenarios(arr);
-              }}
-            >Save B</button>
+              disabled={links.length <= 1}
+              onClick={() => setLinks(arr => arr.filter((_, j) => j !== i))}
+            >Remove</button>
+          </div>
+          <div className="ndv-row">
+            <LabeledNumber
+              label="Rate" quantity="rate" unit="Mb/s"
+              value={l.rateMbps}
+              onChange={(v) => update(i, { rateMbps: clamp(v, 0.001, 1000000) })}
+              min={0.001} max={1000000}
+            />
+            <MediumSelect value={l.medium} media={media} onChange={(medium) => update(i, { medium })} />
+          </div>
+          <div className="ndv-row">
+            <LabeledNumber
+              label="Length" quantity="distance" unit="km"
+              value={l.distanceKm}
+              onChange={(v) => update(i, { distanceKm: fieldClamp("distanceKm", v) })}
+              min={SCENARIO_FIELDS.distanceKm.min} max={SCENARIO_FIELDS.distanceKm.max}
+            />
+            <LabeledNumber
+              label="Processing" quantity="time" unit="µs"
+              value={l.procUsPerHop}
+              onChange={(v) => update(i, { procUsPerHop: fieldClamp("procUsPerHop", v) })}
+              min={SCENARIO_FIELDS.procUsPerHop.min} max={SCENARIO_FIELDS.procUsPerHop.max}
+            />
+          </div>
+          <QueueFields q={l} onChange={(p) => update(i, p)} />
+          {traffic && (
+            <label className="ndv-number" style={{ margin: 0 }}>
+              <span className="ndv-number-label">Scheduler</span>
+              <select className="ndv-select" value={l.scheduler ?? ""} onChange={(e) => update(i, { scheduler: e.target.value || null })}>
+                <option value="">Path default ({SCHEDULERS[traffic.scheduler]})</option>
+                {Object.entries(SCHEDULERS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </label>
+          )}
+          {aqm && (
+            <div className="ndv-row">
+              <label className="ndv-number" style={{ margin: 0 }}>
+                <span className="ndv-number-label">Queue management</span>
+                <select className="ndv-select" value={l.aqm ?? ""} onChange={(e) => update(i, { aqm: e.target.value || null })}>
+                  <option value="">Path default ({AQM_SCHEMES[aqm.scheme]})</option>
+                  {Object.entries(AQM_SCHEMES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+              </label>
+              <BufferField
+                size={l.bufferSize ?? aqm.bufferSize}
+                unit={l.bufferUnit ?? aqm.bufferUnit}
+                onChange={(p) => update(i, p)}
+              />
+            </div>
+          )}
+          <LossFields l={l} onChange={(p) => update(i, p)} />
+        </div>
+      ))}
+      <button
+        className="ndv-chip"
+        disabled={links.length >= MAX_LINKS}
+        onClick={() => setLinks(arr => [...arr, { ...arr[arr.length - 1] }])}
+      >Add link</button>
+    </div>
+  );
+}
+
+function Overview({ m }) {
+  const units = useContext(UnitsContext);
+  const bps = (v) => formatQuantity("rate", v, "b/s", units);
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-cols">
+        <div className="ndv-kvlist">
+          {m.encap ? (
+            <>
+              <KV label="Payload" value={fmtBytes(m.encap.payloadBits / 8, units)} />
+              <KV label="Overhead" value={fmtBytes(m.encap.overheadBits / 8, units)} />
+              <KV label="On-wire" value={fmtBytes(m.bits / 8, units)} />
+              <KV label="Goodput efficiency" value={`${(m.encap.efficiency * 100).toFixed(1)}%`} />
+              {m.encap.fragments > 1 && <KV label="IP fragments" value={m.encap.fragments} />}
+            </>
+          ) : (
+            <KV label="Packet size" value={`${fmtBytes(m.bits / 8, units)} (${m.bits.toLocaleString()} bits)`} />
+          )}
+          <KV label={`Bottleneck rate (link ${m.bottleneck + 1})`} value={bps(m.rate)} />
+          <KV label="Transmission (bottleneck hop)" value={fmtMs(m.txPerHop_ms)} />
+          <KV label="Transmission (all hops)" value={fmtMs(m.dTransTotalMs)} />
+          <KV label="Propagation (total)" value={fmtMs(m.dPropMs)} />
+          <KV label="Processing (all hops)" value={fmtMs(m.dProcTotalMs)} />
+          <KV label="Queuing (mean per hop)" value={fmtMs(m.queuePerHop_ms)} />
+          <KV label="Queuing (all hops)" value={fmtMs(m.dQueueTotalMs)} />
+          {m.dropProb > 0 && (
+            <KV label="Drop probability (end-to-end)" value={`${(m.dropProb * 100).toFixed(3)}%`} />
+          )}
+          {m.arq.pathLoss > 0 && (
+            <>
+              <KV label="Path loss after HARQ" value={`${(m.arq.pathLoss * 100).toFixed(3)}%`} />
+              <KV label="Retransmissions (expected)" value={fmtMs(m.dRetxMs)} />
+              <KV label="Retransmission jitter (σ)" value={fmtMs(m.retxStdMs)} />
+            </>
+          )}
+          {m.arq.protocol !== "None" && (
+            <>
+              <KV label={`${m.arq.protocol} efficiency`} value={`${(m.arq.efficiency * 100).toFixed(1)}%`} />
+              <KV label="Throughput (bottleneck × efficiency)" value={bps(m.rate * m.arq.efficiency)} />
+            </>
+          )}
+        </div>
+
+        <div className="ndv-totals">
+          <div className="ndv-total">
+            <div className="ndv-total-label">Total end-to-end delay</div>
+            <div className="ndv-total-value">{fmtMs(m.totalMs)}</div>
+            {m.unstable && <UnstableNote />}
+            {m.arq.protocol !== "None" && m.arq.timeoutMs < 2 * (m.totalMs - m.arq.extraMs) && (
+              <div className="ndv-range-meta ndv-warn">ARQ timeout is shorter than the round trip: expect spurious retransmissions.</div>
+            )}
+          </div>
+
+          <Bars parts={m.parts} maxPart={m.maxPart} />
+        </div>
+      </div>
+
+      {m.encap && <OverheadBar encap={m.encap} />}
+
+      <LinkTable m={m} />
+    </div>
+  );
+}
+
+function LinkTable({ m }) {
+  const units = useContext(UnitsContext);
+  return (
+    <div className="ndv-table-wrap">
+      <table className="ndv-table">
+        <thead>
+          <tr>
+            <th>Link</th><th>Rate</th><th>Medium</th><th>Length</th>
+            <th>Tx</th><th>Prop</th><th>Proc</th><th>Queue</th><th>HARQ</th><th>Loss</th><th>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {m.links.map((l, i) => (
+            <tr key={i} className={i === m.bottleneck ? "ndv-row--bottleneck" : undefined}>
+              <td>{i + 1}{l.segment ? ` · ${l.segment}` : ""}{i === m.bottleneck ? " ◆" : ""}</td>
+              <td>{fmtMbps(l.rateMbps, units)}</td>
+              <td>{l.medium}</td>
+              <td>{fmtKm(l.distanceKm, units)}</td>
+              <td>{fmtMs(l.txMs)}</td>
+              <td>{fmtMs(l.propMs)}</td>
+              <td>{fmtMs(l.procMs)}</td>
+              <td>{l.unstable ? "unstable" : fmtMs(l.queueMs)}{l.dropProb > 0 ? ` (${(l.dropProb * 100).toFixed(2)}% drop)` : ""}</td>
+              <td>{fmtMs(l.retxMs)}</td>
+              <td>{l.errProb > 0 ? `${(l.errProb * 100).toFixed(2)}% → ${(l.residualLoss * 100).toFixed(4)}%` : "—"}</td>
+              <td>{fmtMs(l.totalMs)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="ndv-range-meta">◆ bottleneck (lowest-rate) link</div>
+    </div>
+  );
+}
+
+function ComparePanel({ mA, mB, diff, compare }) {
+  if (!compare) return <div className="ndv-range-meta">Turn on Compare to see side-by-side analysis.</div>;
+  return (
+    <div className="ndv-scenario-grid">
+      <div>
+        <h3 className="ndv-h3">Scenario A</h3>
+        <Bars parts={mA.parts} maxPart={Math.max(mA.maxPart, mB.maxPart)} />
+        <ul className="ndv-list" style={{ marginTop: 12 }}>
+          <li>Total: {fmtMs(mA.totalMs)}</li>
+          <li>Tx: {fmtMs(mA.dTransTotalMs)}</li>
+          <li>Prop: {fmtMs(mA.dPropMs)}</li>
+          <li>Proc: {fmtMs(mA.dProcTotalMs)}</li>
+          <li>Queue: {fmtMs(mA.dQueueTotalMs)}</li>
+          <li>Retx: {fmtMs(mA.dRetxMs)}</li>
+        </ul>
+      </div>
+
+      <div>
+        <h3 className="ndv-h3">Scenario B</h3>
+        <Bars parts={mB.parts} maxPart={Math.max(mA.maxPart, mB.maxPart)} />
+        <ul className="ndv-list" style={{ marginTop: 12 }}>
+          <li>Total: {fmtMs(mB.totalMs)}</li>
+          <li>Tx: {fmtMs(mB.dTransTotalMs)}</li>
+          <li>Prop: {fmtMs(mB.dPropMs)}</li>
+          <li>Proc: {fmtMs(mB.dProcTotalMs)}</li>
+          <li>Queue: {fmtMs(mB.dQueueTotalMs)}</li>
+          <li>Retx: {fmtMs(mB.dRetxMs)}</li>
+        </ul>
+      </div>
+
+      <div>
+        <h3 className="ndv-h3">Δ (B − A)</h3>
+        <div className="ndv-bars">
+          <DiffBar label="Total" value={diff.totalMs}/>
+          <DiffBar label="Transmission" value={diff.tx}/>
+          <DiffBar label="Propagation" value={diff.prop}/>
+          <DiffBar label="Processing" value={diff.proc}/>
+          <DiffBar label="Queuing" value={diff.queue}/>
+          <DiffBar label="Retransmissions" value={diff.retx}/>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DiagramPanel({ mA, mB, compare }) {
+  const units = useContext(UnitsContext);
+  const [packets, setPackets] = useState(1);
+  const [spacing, setSpacing] = useState("hops");
+  const runs = useMemo(() => [
+    { label: "A", m: mA, st: spaceTime(mA, packets) },
+    ...(compare ? [{ label: "B", m: mB, st: spaceTime(mB, packets) }] : []),
+  ], [mA, mB, compare, packets]);
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-card">
+        <h2 className="ndv-h2">Space-Time Diagram</h2>
+        <div className="ndv-chip-group">
+          <LabeledNumber label="Packets" value={packets} onChange={v => setPackets(clamp(Math.round(v), 1, MAX_SPACETIME_PACKETS))} min={1} max={MAX_SPACETIME_PACKETS}/>
+          <button className={`ndv-chip ${spacing === "hops" ? "ndv-chip--on" : ""}`} onClick={() => setSpacing("hops")}>Nodes evenly spaced</button>
+          <button className={`ndv-chip ${spacing === "distance" ? "ndv-chip--on" : ""}`} onClick={() => setSpacing("distance")}>Nodes to distance</button>
+        </div>
+        <SpaceTimeDiagram runs={runs} spacing={spacing}/>
+      </div>
+      <div className={compare ? "ndv-cols" : "ndv-stack"}>
+        {runs.map(({ label, m }) => (
+          <div key={label} className="ndv-kvlist">
+            <KV label={`${compare ? `${label}: ` : ""}Bottleneck (link ${m.bottleneck + 1})`} value={fmtMbps(m.links[m.bottleneck].rateMbps, units)} />
+            <KV label="Tx at bottleneck" value={fmtMs(m.txPerHop_ms)} />
+            <KV label="Mean queue per hop" value={fmtMs(m.queuePerHop_ms)} />
+            <KV label="Hop count" value={m.hops} />
+          </div>
+        ))}
+      </div>
+      <ul className="ndv-list">
+        <li>Time runs down the page. Each packet leaves a band per link: the top edge is its first bit, the bottom edge its last bit, and the slant is the propagation delay.</li>
+        <li>Bars at a node mark processing, queue waits (including waiting behind the previous packet) and retransmissions.</li>
+        <li>Scroll to zoom in time, Shift+scroll to zoom across the path, drag to pan. Hover anything for its exact times.</li>
+      </ul>
+    </div>
+  );
+}
+
+// Every component of the scenario's delay with its numbers substituted, A beside B when comparing.
+function DerivationPanel({ A, B, mA, mB, compare, notify }) {
+  const units = useContext(UnitsContext);
+  const sides = useMemo(
+    () => [deriveMetrics(A, units, mA), ...(compare ? [deriveMetrics(B, units, mB)] : [])],
+    [A, B, mA, mB, compare, units]
+  );
+  function copy(text, what) {
+    if (navigator.clipboard?.writeText) {
+      navigator.clipboard.writeText(text).then(() => notify(`${what} copied`));
+    } else {
+      prompt(`Copy the ${what}:`, text);
+    }
+  }
+
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-chip-group">
+        <button className="ndv-chip" onClick={() => copy(sides.map(d => derivationMarkdown(d, units)).join("\n"), "Markdown")}>Copy Markdown</button>
+        <button className="ndv-chip" onClick={() => copy(sides.map(d => derivationLatex(d)).join("\n"), "LaTeX")}>Copy LaTeX</button>
+        <span className="ndv-range-meta">The LaTeX needs amsmath for align*.</span>
+      </div>
+      <div className={compare ? "ndv-cols" : "ndv-stack"}>
+        {sides.map((d, i) => (
+          <div key={i} className="ndv-stack">
+            <h3 className="ndv-h3">{compare ? `${i ? "B" : "A"}: ` : ""}{d.name}</h3>
+            <DerivationSteps steps={d.steps} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function DerivationSteps({ steps }) {
+  return steps.map(st => (
+    <div key={st.key} className="ndv-derive-step">
+      <div className="ndv-field-head">
+        <div className="ndv-label">{st.label}</div>
+        {st.valueMs != null && <div className="ndv-range-meta">{fmtMs(st.valueMs)}</div>}
+      </div>
+      {st.rows.map((r, j) => (
+        <div key={j}>
+          {r.label && <div className="ndv-range-meta">{r.label}</div>}
+          <code className="ndv-derive-eq">{r.text}</code>
+        </div>
+      ))}
+    </div>
+  ));
+}
+
+function Bars({ parts, maxPart }) {
+  return (
+    <div className="ndv-bars">
+      {parts.map((p) => {
+        const pct = isFinite(p.value) ? (p.value / maxPart) * 100 : 100;
+        return (
+          <div key={p.key} className="ndv-bar-block">
+            <div className="ndv-bar-label">{p.label}: {fmtMs(p.value)}</div>
+            <div className="ndv-bar-rail" role="meter" aria-valuemin={0} aria-valuemax={100} aria-valuenow={+pct.toFixed(1)}>
+              <motion.div
+                className="ndv-bar-fill"
+                initial={{ width: 0 }}
+                animate={{ width: `${pct}%` }}
+                transition={{ type: "spring", stiffness: 140, damping: 20 }}
+              />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function LightBound({ m }) {
+  const units = useContext(UnitsContext);
+  if (!(m.lightMs > 0)) return null;
+  return (
+    <div className="ndv-range-meta" title={`${fmtKm(m.lightKm, units)} at c`}>
+      Speed-of-light bound {fmtMs(m.lightMs)}{isFinite(m.totalMs) && ` · ${(m.totalMs / m.lightMs).toFixed(1)}× slower`}
+    </div>
+  );
+}
+
+function BudgetLine({ s, m }) {
+  if (!s.budget) return null;
+  const c = budgetCheck(s.budget, m);
+  return (
+    <div className={`ndv-range-meta ${c.pass ? "ndv-pass" : "ndv-warn"}`}>
+      {s.budget.name}: {fmtMs(c.totalMs)} of {fmtMs(s.budget.limitMs)} · {c.pass ? `${fmtMs(c.headroomMs)} headroom` : `${fmtMs(-c.headroomMs)} over`}
+    </div>
+  );
+}
+
+function UnstableNote() {
+  return <div className="ndv-range-meta ndv-warn">Unstable: ρ ≥ 1 on an infinite queue, so the wait grows without bound.</div>;
+}
+
+function DiffBar({ label, value }) {
+  const mag = Math.min(100, Math.abs(value) / Math.max(1, Math.abs(value)) * 100); // normalized visual
+  const sign = value === 0 ? 0 : value > 0 ? 1 : -1;
+  return (
+    <div className="ndv-bar-block">
+      <div className="ndv-bar-label">{label}: {fmtMs(value)} {sign > 0 ? "↑" : sign < 0 ? "↓" : ""}</div>
+      <div className="ndv-bar-rail ndv-bar-rail--diff">
+        <motion.div
+          className={`ndv-bar-fill ${sign >= 0 ? "ndv-bar-fill--pos" : "ndv-bar-fill--neg"}`}
+          initial={{ width: 0 }}
+          animate={{ width: `${Math.min(100, Math.abs(value))}%` }}
+          transition={{ type: "spring", stiffness: 140, damping: 20 }}
+        />
+      </div>
+    </div>
+  );
+}
+
+const ST_W = 720, ST_H = 440, ST_PAD = { l: 76, r: 24, t: 30, b: 12 };
+const FULL_VIEW = { x0: 0, x1: 1, t0: 0, t1: 1 };
+
+// Round tick values between a and b, about n of them.
+function niceTicks(a, b, n = 6) {
+  const raw = (b - a) / n;
+  if (!(raw > 0)) return [a];
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(k => k * mag).find(k => k >= raw);
+  const out = [];
+  for (let v = Math.ceil(a / step) * step; v <= b + step * 1e-9; v += step) out.push(v);
+  return out;
+}
+
+// Where each node of a run sits across the path, from 0 (source) to 1. Runs share the scale
+// so A and B line up: by hop count, or by distance when `spacing` is "distance".
+function nodePositions(runs, spacing) {
+  const dist = runs.map(r => r.m.links.reduce((acc, l) => [...acc, acc.at(-1) + l.distanceKm], [0]));
+  const maxKm = Math.max(...dist.map(d => d.at(-1)));
+  const maxHops = Math.max(...runs.map(r => r.m.links.length));
+  return runs.map((r, i) => (spacing === "distance" && maxKm > 0 ? dist[i].map(d => d / maxKm) : dist[i].map((_, k) => k / maxHops)));
+}
+
+function SpaceTimeDiagram({ runs, spacing }) {
+  const units = useContext(UnitsContext);
+  const clipId = useId();
+  const wrapRef = useRef(null);
+  const svgRef = useRef(null);
+  const drag = useRef(null);
+  const [view, setView] = useState(FULL_VIEW);
+  const [tip, setTip] = useState(null);
+
+  const shown = runs.filter(r => isFinite(r.st.endMs));
+  const endMs = Math.max(0, ...shown.map(r => r.st.endMs)) || 1;
+  const xs = nodePositions(runs, spacing);
+  const plotW = ST_W - ST_PAD.l - ST_PAD.r, plotH = ST_H - ST_PAD.t - ST_PAD.b;
+  const sx = (f) => ST_PAD.l + ((f - view.x0) / (view.x1 - view.x0)) * plotW;
+  const sy = (ms) => ST_PAD.t + ((ms / endMs - view.t0) / (view.t1 - view.t0)) * plotH;
+
+  // Zoom by `factor` about a point given as a fraction of the plot, keeping it in place.
+  function zoom(axis, factor, at = 0.5) {
+    setView(v => {
+      const [a, b] = axis === "x" ? [v.x0, v.x1] : [v.t0, v.t1];
+      const span = clamp((b - a) * factor, 1e-6, 1);
+      const lo = clamp(a + (b - a) * at - span * at, 0, 1 - span);
+      return axis === "x" ? { ...v, x0: lo, x1: lo + span } : { ...v, t0: lo, t1: lo + span };
+    });
+  }
+
+  // React registers wheel listeners as passive, so add ours directly to be able to stop the page scrolling.
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    function onWheel(e) {
+      e.preventDefault();
+      const r = svg.getBoundingClientRect();
+      const k = ST_W / r.width;
+      const axis = e.shiftKey ? "x" : "t";
+      const at = axis === "x"
+        ? ((e.clientX - r.left) * k - ST_PAD.l) / plotW
+        : ((e.clientY - r.top) * k - ST_PAD.t) / plotH;
+      zoom(axis, e.deltaY > 0 ? 1.25 : 0.8, clamp(at, 0, 1));
+    }
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, [plotW, plotH]);
+
+  function onPointerDown(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = { x: e.clientX, y: e.clientY, view };
+    setTip(null);
+  }
+  function onPointerMove(e) {
+    const d = drag.current;
+    if (!d) return;
+    const k = ST_W / svgRef.current.getBoundingClientRect().width;
+    const shift = (lo, hi, px, size) => {
+      const span = hi - lo;
+      const next = clamp(lo - (px * k / size) * span, 0, 1 - span);
+      return [next, next + span];
+    };
+    const [x0, x1] = shift(d.view.x0, d.view.x1, e.clientX - d.x, plotW);
+    const [t0, t1] = shift(d.view.t0, d.view.t1, e.clientY - d.y, plotH);
+    setView({ x0, x1, t0, t1 });
+  }
+  const endDrag = () => { drag.current = null; };
+
+  const hover = (lines) => ({
+    onPointerMove: (e) => {
+      if (drag.current) return;
+      const r = wrapRef.current.getBoundingClientRect();
+      setTip({ x: e.clientX - r.left, y: e.clientY - r.top, lines });
+    },
+    onPointerLeave: () => setTip(null),
+  });
+  const nodeName = (i, n) => (i === 0 ? "source" : i === n ? "destination" : `node ${i}`);
+
+  const tView0 = view.t0 * endMs, tView1 = view.t1 * endMs;
+  const longest = xs.reduce((a, x) => (x.length > a.length ? x : a));
+  const every = Math.ceil(longest.filter(f => f >= view.x0 && f <= view.x1).length / 12) || 1;
+
+  return (
+    <figure className="ndv-chart ndv-st" ref={wrapRef}>
+      <div className="ndv-chip-group">
+        <button className="ndv-chip" onClick={() => zoom("t", 0.5)}>Zoom in</button>
+        <button className="ndv-chip" onClick={() => zoom("t", 2)}>Zoom out</button>
+        <button className="ndv-chip" onClick={() => setView(FULL_VIEW)}>Reset view</button>
+        <span className="ndv-range-meta">Showing {fmtMs(tView0)} – {fmtMs(tView1)}</span>
+      </div>
+      <svg
+        ref={svgRef} viewBox={`0 0 ${ST_W} ${ST_H}`} role="img" aria-label="Space-time diagram"
+        onPointerDown={onPointerDown} onPointerMove={onPointerMove} onPointerUp={endDrag} onPointerCancel={endDrag}
+      >
+        <defs>
+          <clipPath id={clipId}><rect x={ST_PAD.l - 8} y={ST_PAD.t} width={plotW + 16} height={plotH} /></clipPath>
+        </defs>
+        {niceTicks(tView0, tView1).map((v) => (
+          <g key={v}>
+            <line className="ndv-chart-grid" x1={ST_PAD.l} x2={ST_W - ST_PAD.r} y1={sy(v)} y2={sy(v)} />
+            <text className="ndv-chart-tick" x={ST_PAD.l - 10} y={sy(v) + 4} textAnchor="end">{fmtMs(v)}</text>
+          </g>
+        ))}
+        {longest.map((f, i) => f >= view.x0 && f <= view.x1 && (i % every === 0 || i === longest.length - 1) && (
+          <text key={i} className="ndv-chart-tick" x={sx(f)} y={ST_PAD.t - 10} textAnchor="middle">
+            {i === 0 ? "Src" : i === longest.length - 1 ? "Dst" : i}
+          </text>
+        ))}
+        <g clipPath={`url(#${clipId})`}>
+          {runs.map((r, ri) => xs[ri].map((f, i) => (
+            <line
+              key={`n${ri}-${i}`} className={`ndv-st-node ${ri ? "ndv-chart-line--dashed" : ""}`}
+              x1={sx(f)} x2={sx(f)} y1={ST_PAD.t} y2={ST_H - ST_PAD.b}
+              {...hover([`${r.label}: ${nodeName(i, xs[ri].length - 1)}`, `${fmtKm(r.m.links.slice(0, i).reduce((a, l) => a + l.distanceKm, 0), units)} from the source`])}
+            />
+          )))}
+          {shown.map((r) => {
+            const ri = runs.indexOf(r);
+            const x = xs[ri];
+            const tone = `ndv-series-${ri}`;
+            const side = ri ? 1 : -7;
+            const bar = (key, cls, node, from, to, lines) => to > from && (
+              <rect key={key} className={`ndv-st-wait ndv-st-wait--${cls}`} x={sx(x[node]) + side} width={6} y={sy(from)} height={Math.max(1, sy(to) - sy(from))} {...hover(lines)} />
+            );
+            const n = x.length - 1;
+            const who = (k) => `${runs.length > 1 ? `${r.label}: ` : ""}packet ${k + 1}`;
+            return (
+              <g key={r.label}>
+                {r.st.hops.map(({ link: l, packets }, i) => packets.map((p, k) => (
+                  <g key={`${i}-${k}`}>
+                    {bar("proc", "proc", i, p.at, p.queueStart, [`${who(k)} processed at ${nodeName(i, n)}`, `${fmtMs(p.at)} → ${fmtMs(p.queueStart)} (${fmtMs(l.procMs)})`])}
+                    {bar("queue", "queue", i, p.queueStart, p.txStart, [
+                      `${who(k)} waits at ${nodeName(i, n)}`,
+                      `${fmtMs(p.queueStart)} → ${fmtMs(p.txStart)} (${fmtMs(p.txStart - p.queueStart)})`,
+                      ...(p.txStart - p.queueStart > l.queueMs + 1e-12 ? [`${fmtMs(l.queueMs)} mean queue, the rest behind packet ${k}`] : []),
+                    ])}
+                    <polygon
+                      className={`ndv-chart-area ndv-st-band ${tone}`}
+                      points={`${sx(x[i])},${sy(p.txStart)} ${sx(x[i])},${sy(p.txEnd)} ${sx(x[i + 1])},${sy(p.lastBitMs)} ${sx(x[i + 1])},${sy(p.firstBitMs)}`}
+                      {...hover([
+                        `${who(k)} on link ${i + 1}: ${fmtMbps(l.rateMbps, units)} · ${fmtKm(l.distanceKm, units)}`,
+                        `Transmission ${fmtMs(p.txStart)} → ${fmtMs(p.txEnd)} (${fmtMs(l.txMs)})`,
+                        `First bit arrives ${fmtMs(p.firstBitMs)}, last bit ${fmtMs(p.lastBitMs)}`,
+                        `Propagation ${fmtMs(l.propMs)}`,
+                      ])}
+                    />
+                    <line className={`ndv-st-bit ${tone}`} x1={sx(x[i])} y1={sy(p.txStart)} x2={sx(x[i + 1])} y2={sy(p.firstBitMs)} />
+                    <line className={`ndv-st-bit ${tone}`} x1={sx(x[i])} y1={sy(p.txEnd)} x2={sx(x[i + 1])} y2={sy(p.lastBitMs)} />
+                    {bar("retx", "retx", i + 1, p.lastBitMs, p.doneMs, [`${who(k)}: expected HARQ retransmissions on link ${i + 1}`, `${fmtMs(p.lastBitMs)} → ${fmtMs(p.doneMs)} (${fmtMs(l.retxMs)})`])}
+                  </g>
+                )))}
+                {bar("arq", "retx", n, r.st.endMs - r.st.arqMs, r.st.endMs, [`${runs.length > 1 ? `${r.label}: ` : ""}expected end-to-end ARQ`, `${fmtMs(r.st.endMs - r.st.arqMs)} → ${fmtMs(r.st.endMs)} (${fmtMs(r.st.arqMs)})`])}
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+      {tip && (
+        <div className="ndv-st-tip" style={{ left: tip.x + 12, top: tip.y + 12 }}>
+          {tip.lines.map((t, i) => <div key={i}>{t}</div>)}
+        </div>
+      )}
+      <div className="ndv-chip-group ndv-range-meta">
+        {runs.map((r, i) => (
+          <span key={r.label}>
+            <i className={`ndv-swatch ndv-series-${i}`} /> {r.label}: {isFinite(r.st.endMs) ? `done at ${fmtMs(r.st.endMs)}` : "unstable, the queue never drains"}
+          </span>
+        ))}
+        <span><i className="ndv-swatch ndv-st-wait--proc" /> processing</span>
+        <span><i className="ndv-swatch ndv-st-wait--queue" /> queue wait</span>
+        <span><i className="ndv-swatch ndv-st-wait--retx" /> retransmission</span>
+      </div>
+    </figure>
+  );
+}
+
+function defaultAxis(key) {
+  const f = SCENARIO_FIELDS[key];
+  const log = f.min > 0 && f.max / f.min >= 100;
+  return { key, lo: f.min, hi: f.max, log };
+}
+
+function AxisControls({ title, axis, setAxis }) {
+  const f = SCENARIO_FIELDS[axis.key];
+  const bound = (v) => fieldClamp(axis.key, v);
+  return (
+    <div className="ndv-field">
+      <div className="ndv-field-head">
+        <div className="ndv-label">{title}</div>
+        <div className="ndv-chip-group">
+          <button className={`ndv-chip ${!axis.log ? "ndv-chip--on" : ""}`} onClick={() => setAxis({ ...axis, log: false })}>Linear</button>
+          <button className={`ndv-chip ${axis.log ? "ndv-chip--on" : ""}`} onClick={() => setAxis({ ...axis, log: true })}>Log</button>
+        </div>
+      </div>
+      <div className="ndv-row">
+        <label className="ndv-number" style={{ margin: 0 }}>
+          <span className="ndv-number-label">Input</span>
+          <select className="ndv-select" value={axis.key} onChange={(e) => setAxis(defaultAxis(e.target.value))}>
+            {Object.entries(SCENARIO_FIELDS).map(([k, fd]) => <option key={k} value={k}>{fieldLabel(fd)}</option>)}
+          </select>
+        </label>
+        <div className="ndv-row">
+          <LabeledNumber key={`${axis.key}-lo`} label="From" value={axis.lo} onChange={(v) => setAxis({ ...axis, lo: bound(v) })} min={f.min} max={f.max} quantity={f.quantity} unit={f.unit} />
+          <LabeledNumber key={`${axis.key}-hi`} label="To" value={axis.hi} onChange={(v) => setAxis({ ...axis, hi: bound(v) })} min={f.min} max={f.max} quantity={f.quantity} unit={f.unit} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SweepPanel({ A, B, compare }) {
+  const [mode, setMode] = useState("1d");
+  const [xAxis, setXAxis] = useState(() => defaultAxis("packetBytes"));
+  const [yAxis, setYAxis] = useState(() => ({ ...defaultAxis("utilization"), hi: 0.95 }));
+  const xf = SCENARIO_FIELDS[xAxis.key];
+  const yf = SCENARIO_FIELDS[yAxis.key];
+  const units = useContext(UnitsContext);
+  const fmtX = (key) => (v) => fieldText(key, v, units, 3);
+
+  const sweep = useMemo(() => {
+    if (mode !== "1d") return null;
+    const xs = sampleRange(xAxis.lo, xAxis.hi, 60, xAxis.log, xf.integer);
+    const run = (s) => xs.map(x => ({ x, m: computeMetrics(withField(s, xAxis.key, x)) }));
+    return { a: run(A), b: compare ? run(B) : null };
+  }, [mode, xAxis, xf, A, B, compare]);
+
+  const grid = useMemo(() => {
+    if (mode !== "2d") return null;
+    const xs = sampleRange(xAxis.lo, xAxis.hi, 24, xAxis.log, xf.integer);
+    const ys = sampleRange(yAxis.lo, yAxis.hi, 24, yAxis.log, yf.integer);
+    const cells = ys.map(y => xs.map(x => computeMetrics(withField(withField(A, xAxis.key, x), yAxis.key, y)).totalMs));
+    return { xs, ys, cells };
+  }, [mode, xAxis, yAxis, xf, yf, A]);
+
+  function stacked(rows, side, dashed) {
+    const keys = rows[0].m.parts.map(p => p.key);
+    let base = rows.map(r => ({ x: r.x, y: 0 }));
+    return keys.map((k, i) => {
+      const points = rows.map((r, j) => ({ x: r.x, y: base[j].y + r.m.parts[i].value }));
+      const s = {
+        key: `${side}-${k}`,
+        label: dashed ? (i === keys.length - 1 ? `${side} total` : undefined) : `${side}: ${rows[0].m.parts[i].label}`,
+        points, tone: i, dashed, base: dashed ? undefined : base,
+      };
+      base = points;
+      return s;
+    });
+  }
+
+  function exportCsv() {
+    if (mode === "1d") {
+      const keys = sweep.a[0].m.parts.map(p => p.key);
+      const sides = [["A", sweep.a], ...(sweep.b ? [["B", sweep.b]] : [])];
+      const header = [xAxis.key, ...sides.flatMap(([n]) => [...keys.map(k => `${n}_${k}_ms`), `${n}_total_ms`])];
+      const rows = sweep.a.map((r, j) => [r.x, ...sides.flatMap(([, rs]) => [...rs[j].m.parts.map(p => p.value), rs[j].m.totalMs])]);
+      downloadFile(`sweep-${xAxis.key}.csv`, toCsv([header, ...rows]));
+    } else {
+      const rows = grid.ys.flatMap((y, i) => grid.xs.map((x, j) => [x, y, grid.cells[i][j]]));
+      downloadFile(`heatmap-${xAxis.key}-${yAxis.key}.csv`, toCsv([[xAxis.key, yAxis.key, "A_total_ms"], ...rows]));
+    }
+  }
+
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-field-head">
+        <div className="ndv-chip-group">
+          <button className={`ndv-chip ${mode === "1d" ? "ndv-chip--on" : ""}`} onClick={() => setMode("1d")}>Sweep one input</button>
+          <button className={`ndv-chip ${mode === "2d" ? "ndv-chip--on" : ""}`} onClick={() => setMode("2d")}>Heatmap of two</button>
+        </div>
+        <button className="ndv-chip" onClick={exportCsv}>Export CSV</button>
+      </div>
+      <AxisControls title={mode === "1d" ? "Sweep" : "X axis"} axis={xAxis} setAxis={setXAxis} />
+      {mode === "2d" && <AxisControls title="Y axis" axis={yAxis} setAxis={setYAxis} />}
+
+      {mode === "1d" ? (
+        <LineChart
+          title={`Total delay vs ${xf.label.toLowerCase()}`}
+          xLog={xAxis.log}
+          xLabel={fieldLabel(xf)}
+          yLabel="Delay"
+          xFormat={fmtX(xAxis.key)}
+          yFormat={fmtMs}
+          series={[...stacked(sweep.a, "A", false), ...(sweep.b ? stacked(sweep.b, "B", true) : [])]}
+        />
+      ) : (
+        <Heatmap grid={grid} xLabel={xf.label} yLabel={yf.label} fmtXv={fmtX(xAxis.key)} fmtYv={fmtX(yAxis.key)} />
+      )}
+      <ul className="ndv-list">
+        <li>Each sample is Scenario A (and B when compare is on) with only the swept input changed. On a per-link path the value is applied to every link.</li>
+      </ul>
+    </div>
+  );
+}
+
+function Heatmap({ grid, xLabel, yLabel, fmtXv, fmtYv }) {
+  const W = 640, H = 360, pad = { l: 80, r: 16, t: 10, b: 44 };
+  const finite = grid.cells.flat().filter(isFinite);
+  const lo = Math.log(Math.max(1e-6, Math.min(...finite)));
+  const hi = Math.log(Math.max(1e-6, Math.max(...finite)));
+  const cw = (W - pad.l - pad.r) / grid.xs.length;
+  const ch = (H - pad.t - pad.b) / grid.ys.length;
+  const color = (v) => {
+    if (!isFinite(v)) return "var(--rail)";
+    const t = hi > lo ? (Math.log(Math.max(1e-6, v)) - lo) / (hi - lo) : 0;
+    return `hsl(${190 - 190 * t}, 90%, ${40 + 15 * t}%)`;
+  };
+  const every = (arr) => arr.filter((_, i) => i % Math.ceil(arr.length / 5) === 0);
+  return (
+    <figure className="ndv-chart">
+      <svg viewBox={`0 0 ${W} ${H}`} role="img" aria-label={`Total delay over ${xLabel} and ${yLabel}`}>
+        {grid.ys.map((y, i) => grid.xs.map((x, j) => (
+          <rect
+            key={`${i}-${j}`}
+            x={pad.l + j * cw} y={H - pad.b - (i + 1) * ch}
+            width={cw + 0.5} height={ch + 0.5}
+            fill={color(grid.cells[i][j])}
+          >
+            <title>{`${xLabel} ${fmtXv(x)}, ${yLabel} ${fmtYv(y)}: ${fmtMs(grid.cells[i][j])}`}</title>
+          </rect>
+        )))}
+        {every(grid.xs).map((x) => (
+          <text key={`x${x}`} className="ndv-chart-tick" x={pad.l + (grid.xs.indexOf(x) + 0.5) * cw} y={H - pad.b + 16} textAnchor="middle">{fmtXv(x)}</text>
+        ))}
+        {every(grid.ys).map((y) => (
+          <text key={`y${y}`} className="ndv-chart-tick" x={pad.l - 6} y={H - pad.b - (grid.ys.indexOf(y) + 0.5) * ch + 4} textAnchor="end">{fmtYv(y)}</text>
+        ))}
+        <text className="ndv-chart-tick" x={(W + pad.l) / 2} y={H - 4} textAnchor="middle">{xLabel}</text>
+      </svg>
+      <div className="ndv-field-head ndv-range-meta">
+        <span>{yLabel} ↑ · {xLabel} →</span>
+        <span>
+          <i className="ndv-swatch" style={{ background: color(Math.exp(lo)) }} /> {fmtMs(Math.exp(lo))}
+          {" … "}
+          <i className="ndv-swatch" style={{ background: color(Math.exp(hi)) }} /> {fmtMs(Math.exp(hi))}
+          {finite.length < grid.cells.flat().length && " · grey = unstable"}
+        </span>
+      </div>
+    </figure>
+  );
+}
+
+function GoalSeekPanel({ A, setA }) {
+  const [targetMs, setTargetMs] = useState(20);
+  const [metric, setMetric] = useState("total");
+  const [picked, setKey] = useState("rateMbps");
+  const fields = variableFields(A);
+  const key = fields.some(([k]) => k === picked) ? picked : fields[0][0];
+  const f = SCENARIO_FIELDS[key];
+  const r = useMemo(() => goalSeek(A, key, metric, targetMs), [A, key, metric, targetMs]);
+  const metrics = [{ key: "total", label: "Total delay" }, ...computeMetrics(A).parts];
+  const metricLabel = metrics.find(x => x.key === metric).label;
+  const units = useContext(UnitsContext);
+  const fmtX = (v) => fieldText(key, v, units);
+
+  let verdict;
+  if (r.none) {
+    verdict = <div className="ndv-warn">No {f.label.toLowerCase()} in [{fmtX(f.min)}, {fmtX(f.max)}] reaches {fmtMs(targetMs)}. Best is {fmtMs(r.best.value)} at {fmtX(r.best.x)}.</div>;
+  } else if (r.all) {
+    verdict = <div>{r.flat ? `${f.label} does not change ${metricLabel.toLowerCase()} here; ` : ""}Every {f.label.toLowerCase()} in [{fmtX(f.min)}, {fmtX(f.max)}] stays within {fmtMs(targetMs)}.</div>;
+  } else {
+    verdict = (
+      <ul className="ndv-list">
+        {r.boundaries.map((b, i) => (
+          <li key={i}>
+            {f.label} {b.kind === "max" ? "at most" : "at least"} <strong>{fmtX(b.x)}</strong> → {fmtMs(b.value)}
+            {" "}<button className="ndv-chip" onClick={() => setA(x => withField(x, key, b.x))}>Apply to A</button>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-row">
+        <LabeledNumber label="Target" value={targetMs} onChange={(v) => setTargetMs(Math.max(0, v || 0))} min={0} quantity="time" unit="ms" />
+        <label className="ndv-number" style={{ margin: 0 }}>
+          <span className="ndv-number-label">Keep under target</span>
+          <select className="ndv-select" value={metric} onChange={(e) => setMetric(e.target.value)}>
+            {metrics.map(x => <option key={x.key} value={x.key}>{x.label}</option>)}
+          </select>
+        </label>
+      </div>
+      <label className="ndv-number">
+        <span className="ndv-number-label">Solve for</span>
+        <select className="ndv-select" value={key} onChange={(e) => setKey(e.target.value)}>
+          {fields.map(([k, fd]) => <option key={k} value={k}>{fieldLabel(fd)}</option>)}
+        </select>
+      </label>
+
+      <div className="ndv-total">
+        <div className="ndv-total-label">{metricLabel} ≤ {fmtMs(targetMs)} for Scenario A</div>
+        {verdict}
+      </div>
+
+      <LineChart
+        title={`${metricLabel} vs ${f.label.toLowerCase()}`}
+        xLog={f.min > 0 && f.max / f.min >= 100}
+        xLabel={fieldLabel(f)}
+        yLabel="Delay"
+        xFormat={fmtX}
+        yFormat={fmtMs}
+        series={[
+          { key: "metric", label: metricLabel, points: r.samples },
+          { key: "target", label: "Target", dashed: true, tone: 1, points: r.samples.map(p => ({ x: p.x, y: targetMs })) },
+        ]}
+        marker={r.boundaries[0] && { x: r.boundaries[0].x, label: "solution" }}
+      />
+      <ul className="ndv-list">
+        <li>The search covers the same bounds the Scenario inputs allow. On a per-link path the value is applied to every link.</li>
+      </ul>
+    </div>
+  );
+}
+
+function SensitivityPanel({ A }) {
+  const [pct, setPct] = useState(10);
+  const [custom, setCustom] = useState(false);
+  const [ranges, setRanges] = useState({});
+  const base = useMemo(() => computeMetrics(A).totalMs, [A]);
+  const rows = useMemo(() => sensitivity(A, { pct, ranges: custom ? ranges : {} }), [A, pct, custom, ranges]);
+  const span = Math.max(1e-9, ...rows.flatMap(r => [r.lowMs, r.highMs]).filter(isFinite).map(v => Math.abs(v - base)));
+  const units = useContext(UnitsContext);
+  const fmtX = (r, v) => fieldText(r.key, v, units);
+  // ∂T/∂x per unit of the Value column, not of the stored unit.
+  const slope = (r) => {
+    const f = SCENARIO_FIELDS[r.key];
+    if (!isFinite(r.derivative)) return "—";
+    if (!f.quantity) return `${r.derivative.toPrecision(3)} ms${f.unit ? ` per ${f.unit}` : ""}`;
+    const shown = bestUnit(f.quantity, r.value, f.unit, units);
+    return `${(r.derivative * convert(f.quantity, 1, shown, f.unit)).toPrecision(3)} ms per ${shown}`;
+  };
+  const bar = (v) => (isFinite(v) ? Math.min(50, (Math.abs(v - base) / span) * 50) : 50);
+  const rangeOf = (r) => ranges[r.key] || { lo: r.lowValue, hi: r.highValue };
+  const rangeInput = (r, side) => {
+    const f = SCENARIO_FIELDS[r.key];
+    return (
+      <NumberInput
+        label={`${r.label} ${side === "lo" ? "low" : "high"}`} className="ndv-input ndv-input--sm"
+        value={rangeOf(r)[side]} min={f.min} max={f.max} quantity={f.quantity} unit={f.unit}
+        onChange={(v) => setRanges(x => ({ ...x, [r.key]: { ...rangeOf(r), [side]: v || 0 } }))}
+      />
+    );
+  };
+
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-row">
+        <div className="ndv-chip-group">
+          <button className={`ndv-chip ${!custom ? "ndv-chip--on" : ""}`} onClick={() => setCustom(false)}>± percent</button>
+          <button className={`ndv-chip ${custom ? "ndv-chip--on" : ""}`} onClick={() => setCustom(true)}>Low / high bounds</button>
+        </div>
+        {!custom && (
+          <LabeledNumber label="Swing (± %)" value={pct} onChange={(v) => setPct(clamp(v || 0, 0, 99))} min={0} max={99} />
+        )}
+      </div>
+
+      <div className="ndv-total">
+        <div className="ndv-total-label">Scenario A total: {fmtMs(base)} — inputs ranked by effect</div>
+      </div>
+
+      <div className="ndv-tornado">
+        {rows.map(r => (
+          <div key={r.key} className="ndv-tornado-row" title={`${fmtX(r, r.lowValue)} → ${fmtMs(r.lowMs)}; ${fmtX(r, r.highValue)} → ${fmtMs(r.highMs)}`}>
+            <div className="ndv-tornado-label">{r.label}</div>
+            <div className="ndv-tornado-rail">
+              {[["low", r.lowMs], ["high", r.highMs]].map(([side, v]) => (
+                <div
+                  key={side}
+                  className={`ndv-tornado-bar ndv-tornado-bar--${side}`}
+                  style={{
+                    width: `${bar(v)}%`,
+                    ...(v >= base ? { left: "50%" } : { right: "50%" }),
+                  }}
+                />
+              ))}
+            </div>
+            <div className="ndv-range-meta">{isFinite(r.swing) ? `Δ ${fmtMs(r.swing)}` : "→ unstable"}</div>
+          </div>
+        ))}
+        <div className="ndv-chip-group ndv-range-meta">
+          <span><i className="ndv-swatch ndv-tornado-bar--low" /> low input</span>
+          <span><i className="ndv-swatch ndv-tornado-bar--high" /> high input</span>
+          <span>centre line = current total</span>
+        </div>
+      </div>
+
+      <div className="ndv-table-wrap">
+        <table className="ndv-table">
+          <thead>
+            <tr><th>Input</th><th>Value</th><th>Low → total</th><th>High → total</th><th>∂T/∂x</th><th>Elasticity</th></tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.key}>
+                <td>{r.label}</td>
+                <td>{fmtX(r, r.value)}</td>
+                <td>
+                  {custom ? rangeInput(r, "lo") : fmtX(r, r.lowValue)} → {fmtMs(r.lowMs)}
+                </td>
+                <td>
+                  {custom ? rangeInput(r, "hi") : fmtX(r, r.highValue)} → {fmtMs(r.highMs)}
+                </td>
+                <td>{slope(r)}</td>
+                <td>{isFinite(r.elasticity) ? r.elasticity.toFixed(3) : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="ndv-range-meta">Elasticity is the % change in total delay per 1% change in the input.</div>
+      </div>
+    </div>
+  );
+}
+
+const TRY_PCT = 10;
+
+function WhatToTry({ A }) {
+  const tips = useMemo(() => {
+    const base = computeMetrics(A).totalMs;
+    return sensitivity(A, { pct: TRY_PCT })
+      .map(r => ({ ...r, gain: base - Math.min(r.lowMs, r.highMs), dir: r.highMs < r.lowMs ? "Raise" : "Lower" }))
+      .filter(r => r.gain > 0 && isFinite(r.gain))
+      .sort((a, b) => b.gain - a.gain)
+      .slice(0, 4);
+  }, [A]);
+  if (!tips.length) return <div className="ndv-range-meta">No single ±{TRY_PCT}% change lowers the total.</div>;
+  return (
+    <ul className="ndv-list">
+      {tips.map(t => (
+        <li key={t.key}>{t.dir} {t.label.toLowerCase()} {TRY_PCT}% → −{fmtMs(t.gain)} (elasticity {isFinite(t.elasticity) ? t.elasticity.toFixed(2) : "—"}).</li>
+      ))}
+    </ul>
+  );
+}
+
+function ClassesPanel({ A, setA }) {
+  const t = A.traffic;
+  const results = useMemo(() => (A.traffic ? classMetrics(A) : []), [A]);
+  const units = useContext(UnitsContext);
+  if (!t) {
+    return (
+      <div className="ndv-stack">
+        <div className="ndv-range-meta">Split scenario A’s load into traffic classes to see how each one fares under FIFO, strict priority or weighted fair queuing.</div>
+        <button className="ndv-chip" onClick={() => setA(x => ({ ...x, traffic: DEFAULT_TRAFFIC }))}>Add traffic classes</button>
+      </div>
+    );
+  }
+  const setT = (p) => setA(x => ({ ...x, traffic: { ...x.traffic, ...p } }));
+  const setClass = (i, p) => setT({ classes: t.classes.map((c, j) => (j === i ? { ...c, ...p } : c)) });
+  const shareSum = t.classes.reduce((a, c) => a + c.share, 0) || 1;
+  const overrides = (A.links ?? []).filter(l => l.scheduler && l.scheduler !== t.scheduler).length;
+  const maxPart = Math.max(1e-9, ...results.map(r => r.maxPart));
+
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-chip-group">
+        {Object.entries(SCHEDULERS).map(([id, label]) => (
+          <button key={id} className={`ndv-chip ${t.scheduler === id ? "ndv-chip--on" : ""}`} onClick={() => setT({ scheduler: id })}>{label}</button>
+        ))}
+        <button className="ndv-chip" onClick={() => setA(x => ({ ...x, traffic: null }))}>Remove classes</button>
+      </div>
+      <div className="ndv-range-meta">
+        Load per link is the link’s utilization ρ, split by share.
+        {overrides > 0 && ` ${overrides} link${overrides > 1 ? "s" : ""} override the scheduler in the per-link editor.`}
+      </div>
+
+      <div className="ndv-table-wrap">
+        <table className="ndv-table">
+          <thead>
+            <tr><th>Class</th><th>Share of load</th><th>Packet (B)</th><th>Priority</th><th>Weight</th><th /></tr>
+          </thead>
+          <tbody>
+            {t.classes.map((c, i) => (
+              <tr key={i}>
+                <td><input className="ndv-input ndv-input--sm" value={c.name} onChange={(e) => setClass(i, { name: e.target.value })} aria-label="Class name" /></td>
+                <td>
+                  <input className="ndv-input ndv-input--sm" type="number" min={0} max={100} value={+(c.share * 100).toFixed(2)}
+                    onChange={(e) => setClass(i, { share: clamp((parseFloat(e.target.value) || 0) / 100, 0, 1) })} aria-label="Share (%)" />
+                  <span className="ndv-range-meta"> {((c.share / shareSum) * 100).toFixed(0)}%</span>
+                </td>
+                <td>
+                  <input className="ndv-input ndv-input--sm" type="number" min={SCENARIO_FIELDS.packetBytes.min} max={SCENARIO_FIELDS.packetBytes.max} value={c.packetBytes}
+                    onChange={(e) => setClass(i, { packetBytes: fieldClamp("packetBytes", parseFloat(e.target.value) || 0) })} aria-label="Packet size (bytes)" />
+                  {c.packetBytes >= 1000 && <span className="ndv-range-meta"> {fmtBytes(c.packetBytes, units)}</span>}
+                </td>
+                <td>
+                  <input className="ndv-input ndv-input--sm" type="number" min={0} max={7} value={c.priority}
+                    onChange={(e) => setClass(i, { priority: Math.round(clamp(parseFloat(e.target.value) || 0, 0, 7)) })} aria-label="Priority (0 = highest)" />
+                </td>
+                <td>
+                  <input className="ndv-input ndv-input--sm" type="number" min={0.01} max={100} value={c.weight}
+                    onChange={(e) => setClass(i, { weight: clamp(parseFloat(e.target.value) || 0.01, 0.01, 100) })} aria-label="WFQ weight" />
+                </td>
+                <td>
+                  <button className="ndv-chip" disabled={t.classes.length <= 1} onClick={() => setT({ classes: t.classes.filter((_, j) => j !== i) })}>Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="ndv-chip-group">
+          <button
+            className="ndv-chip"
+            disabled={t.classes.length >= MAX_CLASSES}
+            onClick={() => setT({ classes: [...t.classes, { name: `Class ${t.classes.length + 1}`, share: 0.1, packetBytes: 1500, priority: t.classes.length, weight: 1 }] })}
+          >Add class</button>
+          <span className="ndv-range-meta">Priority 0 is served first; weights only matter for WFQ / DRR.</span>
+        </div>
+      </div>
+
+      <div className="ndv-table-wrap">
+        <table className="ndv-table">
+          <thead>
+            <tr><th>Class</th><th>Total</th><th>Tx</th><th>Prop</th><th>Proc</th><th>Queue</th><th>Retx</th></tr>
+          </thead>
+          <tbody>
+            {results.map((r, i) => (
+              <tr key={i}>
+                <td><i className={`ndv-swatch ndv-series-${i % 5}`} /> {r.name}</td>
+                <td>{fmtMs(r.totalMs)}</td>
+                {r.parts.map(p => <td key={p.key}>{p.key === "queue" && r.unstable ? "unstable" : fmtMs(p.value)}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {results.some(r => r.unstable) && (
+        <div className="ndv-range-meta ndv-warn">Some classes are unstable: the capacity they are given is smaller than their load, so their queue grows without bound.</div>
+      )}
+      <OverlayBars series={results.map(r => r.parts)} maxPart={maxPart} />
+      <ul className="ndv-list">
+        <li>FIFO: everyone waits <code>R / (1 − ρ)</code>, with <code>R = Σ λᵢE[Sᵢ²]/2</code> the mean residual work.</li>
+        <li>Strict priority (non-preemptive): class <code>k</code> waits <code>R / ((1 − σₖ₋₁)(1 − σₖ))</code>, where <code>σₖ</code> is the load of classes at priority ≤ k.</li>
+        <li>WFQ / DRR (approximate): each class runs as its own M/G/1 queue on the larger of its weight share and the capacity the other classes leave idle, plus one packet in service from another class.</li>
+      </ul>
+    </div>
+  );
+}
+
+function BufferField({ size, unit, onChange }) {
+  const b = BUFFER_UNITS[unit];
+  return (
+    <div className="ndv-row" style={{ margin: 0 }}>
+      <LabeledNumber
+        key={unit}
+        label="Buffer"
+        value={size}
+        onChange={(v) => onChange({ bufferSize: clamp(v || 0, b.min, b.max), bufferUnit: unit })}
+        min={b.min} max={b.max}
+        quantity={unit === "bytes" ? "size" : "time"} unit={unit === "bytes" ? "B" : "ms"}
+      />
+      <label className="ndv-number">
+        <span className="ndv-number-label">Sized in</span>
+        <select
+          className="ndv-select"
+          value={unit}
+          onChange={(e) => {
+            const u = BUFFER_UNITS[e.target.value];
+            onChange({ bufferUnit: e.target.value, bufferSize: clamp(size, u.min, u.max) });
+          }}
+        >
+          {Object.entries(BUFFER_UNITS).map(([id, u]) => <option key={id} value={id}>{u.label}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+function AqmPanel({ A, setA }) {
+  const a = A.aqm;
+  const runs = useMemo(
+    () => (A.aqm ? Object.keys(AQM_SCHEMES).map(id => ({ id, run: aqmRun(A, id) })) : []),
+    [A]
+  );
+  if (!a) {
+    return (
+      <div className="ndv-stack">
+        <div className="ndv-range-meta">
+          Give scenario A’s links a finite buffer and run bulk uploads across it to see bufferbloat: how far a
+          standing queue pushes up latency for everything else, and how much of it AQM takes away.
+        </div>
+        <button className="ndv-chip" onClick={() => setA(x => ({ ...x, aqm: DEFAULT_AQM }))}>Model buffers and AQM</button>
+      </div>
+    );
+  }
+  const setAqm = (p) => setA(x => ({ ...x, aqm: { ...x.aqm, ...p } }));
+  const setPhase = (i, p) => setAqm({ profile: a.profile.map((ph, j) => (j === i ? { ...ph, ...p } : ph)) });
+  const picked = runs.find(r => r.id === a.scheme);
+  const tail = runs.find(r => r.id === "TailDrop");
+  const shown = a.scheme === "TailDrop" ? [picked] : [picked, tail];
+  const overrides = (A.links ?? []).filter(l => (l.aqm && l.aqm !== a.scheme) || l.bufferSize != null).length;
+
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-chip-group">
+        {Object.entries(AQM_SCHEMES).map(([id, label]) => (
+          <button key={id} className={`ndv-chip ${a.scheme === id ? "ndv-chip--on" : ""}`} onClick={() => setAqm({ scheme: id })}>{label}</button>
+        ))}
+        <button className="ndv-chip" onClick={() => setA(x => ({ ...x, aqm: null }))}>Remove</button>
+      </div>
+      <BufferField size={a.bufferSize} unit={a.bufferUnit} onChange={setAqm} />
+      {(a.scheme === "CoDel" || a.scheme === "FQCoDel") && (
+        <div className="ndv-row">
+          <LabeledNumber label="Target" quantity="time" unit="ms" value={a.targetMs} onChange={(v) => setAqm({ targetMs: clamp(v || 0, 0.1, 1000) })} min={0.1} max={1000} />
+          <LabeledNumber label="Interval" quantity="time" unit="ms" value={a.intervalMs} onChange={(v) => setAqm({ intervalMs: clamp(v || 0, 1, 10000) })} min={1} max={10000} />
+        </div>
+      )}
+      {a.scheme === "RED" && (
+        <div className="ndv-row">
+          <LabeledNumber label="Min threshold (% of buffer)" value={a.redMinPct} onChange={(v) => setAqm({ redMinPct: clamp(v || 0, 0, a.redMaxPct - 1) })} min={0} max={99} />
+          <LabeledNumber label="Max threshold (% of buffer)" value={a.redMaxPct} onChange={(v) => setAqm({ redMaxPct: clamp(v || 0, a.redMinPct + 1, 100) })} min={1} max={100} />
+          <LabeledNumber label="Max drop probability" value={a.redMaxP} onChange={(v) => setAqm({ redMaxP: clamp(v || 0, 0.001, 1) })} min={0.001} max={1} />
+        </div>
+      )}
+      <div className="ndv-range-meta">
+        The buffer applies to every hop{overrides > 0 ? `, except ${overrides} link${overrides > 1 ? "s" : ""} with their own settings in the per-link editor` : ""}.
+      </div>
+
+      <div className="ndv-table-wrap">
+        <table className="ndv-table">
+          <thead>
+            <tr><th>Phase</th><th>Duration (s)</th><th>Bulk TCP flows</th><th /></tr>
+          </thead>
+          <tbody>
+            {a.profile.map((ph, i) => (
+              <tr key={i}>
+                <td>{i + 1}</td>
+                <td>
+                  <input className="ndv-input ndv-input--sm" type="number" min={PHASE_NUMBERS.durationS.min} max={PHASE_NUMBERS.durationS.max} value={ph.durationS}
+                    onChange={(e) => setPhase(i, { durationS: clamp(parseFloat(e.target.value) || 0, PHASE_NUMBERS.durationS.min, PHASE_NUMBERS.durationS.max) })}
+                    aria-label="Duration (s)" />
+                </td>
+                <td>
+                  <input className="ndv-input ndv-input--sm" type="number" min={0} max={PHASE_NUMBERS.flows.max} value={ph.flows}
+                    onChange={(e) => setPhase(i, { flows: Math.round(clamp(parseFloat(e.target.value) || 0, 0, PHASE_NUMBERS.flows.max)) })}
+                    aria-label="Bulk TCP flows" />
+                </td>
+                <td>
+                  <button className="ndv-chip" disabled={a.profile.length <= 1} onClick={() => setAqm({ profile: a.profile.filter((_, j) => j !== i) })}>Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="ndv-chip-group">
+          <button className="ndv-chip" disabled={a.profile.length >= MAX_PHASES} onClick={() => setAqm({ profile: [...a.profile, { durationS: 5, flows: 0 }] })}>Add phase</button>
+          <span className="ndv-range-meta">0 flows is an idle phase; the queue drains.</span>
+        </div>
+      </div>
+
+      <div className="ndv-table-wrap">
+        <table className="ndv-table">
+          <thead>
+            <tr><th>Queue management</th><th>Standing queue</th><th>Latency under load</th><th>p95</th><th>Drop rate</th><th>Utilization</th></tr>
+          </thead>
+          <tbody>
+            {runs.map(({ id, run }) => (
+              <tr key={id} className={id === a.scheme ? "ndv-row--bottleneck" : undefined}>
+                <td>{AQM_SCHEMES[id]}</td>
+                <td>{fmtMs(run.summary.queueMs)}</td>
+                <td>{fmtMs(run.summary.latencyMs)}</td>
+                <td>{fmtMs(run.summary.p95LatencyMs)}</td>
+                <td>{(run.summary.dropRate * 100).toFixed(2)}%</td>
+                <td>{(run.summary.utilization * 100).toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="ndv-range-meta">
+        Idle one-way delay is {fmtMs(picked.run.summary.baseMs)}. Figures average over the phases with flows running;
+        latency is what a sparse flow such as a ping or a call sees alongside the uploads.
+      </div>
+
+      <LineChart
+        title="Latency under load and standing queue"
+        xLabel="Time (s)"
+        yLabel="Delay"
+        xFormat={(x) => x.toFixed(1)}
+        yFormat={fmtMs}
+        series={shown.flatMap(({ id, run }, i) => [
+          { key: `${id}-lat`, label: `${AQM_SCHEMES[id]}: latency`, tone: i, points: run.series.map(p => ({ x: p.tS, y: p.latencyMs })) },
+          { key: `${id}-queue`, label: `${AQM_SCHEMES[id]}: standing queue`, tone: i, dashed: true, points: run.series.map(p => ({ x: p.tS, y: p.queueMs })) },
+        ])}
+      />
+      <LineChart
+        title="Drop rate"
+        xLabel="Time (s)"
+        yLabel="Dropped"
+        xFormat={(x) => x.toFixed(1)}
+        yFormat={(y) => `${(y * 100).toFixed(1)}%`}
+        series={shown.map(({ id, run }, i) => ({ key: id, label: AQM_SCHEMES[id], tone: i, points: run.series.map(p => ({ x: p.tS, y: p.dropRate })) }))}
+      />
+      <ul className="ndv-list">
+        <li>Flows are TCP Reno in the fluid model: the window grows one packet per round trip and halves on loss, so a big tail-drop buffer fills up and stays full.</li>
+        <li>RED drops early with a probability that rises with the average queue, between the two thresholds.</li>
+        <li>CoDel watches how long packets sit in the queue. Once that stays above target for an interval it drops, more often the longer it persists.</li>
+        <li>FQ-CoDel runs CoDel per flow and serves sparse flows first, so a ping or a call skips the bulk queue.</li>
+      </ul>
+    </div>
+  );
+}
+
+const CDF_POINTS = 400;
+
+// At most CDF_POINTS points along the empirical CDF (or 1 − CDF for the tail view).
+function cdfPoints(sorted, tail) {
+  const n = sorted.length;
+  const step = Math.max(1, Math.floor(n / CDF_POINTS));
+  const pts = [];
+  for (let i = 0; i < n; i += step) pts.push({ x: sorted[i], y: tail ? 1 - i / n : (i + 1) / n });
+  pts.push({ x: sorted[n - 1], y: tail ? 1 / n : 1 });
+  return pts;
+}
+
+function JitterFields({ title, s, setS }) {
+  const j = { ...DEFAULT_JITTER, ...s.jitter };
+  const set = (key, v) => {
+    const f = JITTER_NUMBERS[key];
+    const x = clamp(v || 0, f.min, f.max);
+    setS(x0 => ({ ...x0, jitter: { ...DEFAULT_JITTER, ...x0.jitter, [key]: f.integer ? Math.round(x) : x } }));
+  };
+  return (
+    <div className="ndv-stack ndv-stack--tight">
+      <div className="ndv-label">{title}</div>
+      <div className="ndv-row">
+        {Object.entries(JITTER_NUMBERS).map(([key, f]) => (
+          <LabeledNumber key={key} label={f.label} value={j[key]} onChange={(v) => set(key, v)} min={f.min} max={f.max} quantity={f.quantity} unit={f.unit} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function JitterPanel({ A, B, setA, setB, compare }) {
+  const [opts, setOpts] = useState({ samples: 20000, seed: 1 });
+  const [runs, setRuns] = useState(null);
+  const [tail, setTail] = useState(false);
+  const set = (p) => setOpts(o => ({ ...o, ...p }));
+
+  function run() {
+    const list = [{ key: "A", s: A }, ...(compare ? [{ key: "B", s: B }] : [])];
+    setRuns(list.map(({ key, s }) => ({ key, name: s.name, r: jitterRun(s, opts) })));
+  }
+  const done = runs ? runs.filter(x => !x.r.unstable && x.r.sorted.length) : [];
+
+  return (
+    <div className="ndv-stack">
+      <JitterFields title="Scenario A" s={A} setS={setA} />
+      {compare && <JitterFields title="Scenario B" s={B} setS={setB} />}
+      <div className="ndv-row">
+        <LabeledNumber
+          label="Samples"
+          value={opts.samples}
+          onChange={(v) => set({ samples: Math.round(clamp(v || 1, 1, MAX_MC_SAMPLES)) })}
+          min={1} max={MAX_MC_SAMPLES}
+        />
+        <LabeledNumber
+          label="Seed"
+          value={opts.seed}
+          onChange={(v) => set({ seed: Math.round(clamp(v || 0, 0, 2 ** 32 - 1)) })}
+          min={0} max={2 ** 32 - 1}
+        />
+      </div>
+      <button className="ndv-btn" onClick={run}>Sample delays</button>
+
+      {!runs ? (
+        <div className="ndv-range-meta">
+          Draws packets one at a time through the path{compare ? " of A and B" : ""}, each with its own processing time,
+          queue wait, retransmissions and route. The same seed always gives the same result.
+        </div>
+      ) : (
+        <>
+          <div className="ndv-table-wrap">
+            <table className="ndv-table">
+              <thead>
+                <tr><th>Scenario</th><th>Mean</th><th>p50</th><th>p95</th><th>p99</th><th>p99.9</th><th>Max</th><th>IPDV mean</th><th>IPDV p99</th><th>Lost</th></tr>
+              </thead>
+              <tbody>
+                {runs.map(({ key, name, r }) => (r.unstable ? (
+                  <tr key={key}><td>{name}</td><td colSpan={9}>Unstable: a queue has ρ ≥ 1, so waits grow without bound.</td></tr>
+                ) : (
+                  <tr key={key}>
+                    <td>{name}</td>
+                    <td>{fmtMs(r.stats.mean)}</td>
+                    <td>{fmtMs(r.stats.p50)}</td>
+                    <td>{fmtMs(r.stats.p95)}</td>
+                    <td>{fmtMs(r.stats.p99)}</td>
+                    <td>{fmtMs(r.stats.p999)}</td>
+                    <td>{fmtMs(r.stats.max)}</td>
+                    <td>{fmtMs(r.ipdv.meanAbs)}</td>
+                    <td>{fmtMs(r.ipdv.p99Abs)}</td>
+                    <td>{r.lost.toLocaleString()}</td>
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+            <div className="ndv-range-meta">
+              The analytic mean is {runs.map(x => `${fmtMs(x.r.m.totalMs)} for ${x.name}`).join(" and ")}.
+              IPDV is the change in delay between consecutive packets (RFC 3393).
+            </div>
+          </div>
+
+          {done.length > 0 && (
+            <>
+              <div className="ndv-chip-group">
+                <button className={`ndv-chip ${!tail ? "ndv-chip--on" : ""}`} onClick={() => setTail(false)}>CDF</button>
+                <button className={`ndv-chip ${tail ? "ndv-chip--on" : ""}`} onClick={() => setTail(true)}>Tail (1 − CDF, log)</button>
+              </div>
+              <LineChart
+                title={tail ? "Share of packets slower than" : "Share of packets delivered within"}
+                yLog={tail}
+                xLabel="End-to-end delay"
+                yLabel={tail ? "1 − F" : "F"}
+                xFormat={fmtMs}
+                yFormat={(y) => (tail ? y.toExponential(0) : `${(y * 100).toFixed(0)}%`)}
+                series={done.map(({ key, name, r }) => ({ key, label: name, points: cdfPoints(r.sorted, tail) }))}
+                marker={done.length === 1 ? { x: done[0].r.stats.p99, label: "p99" } : undefined}
+              />
+              <div className="ndv-cols">
+                {done.map(({ key, name, r }) => (
+                  <div key={key} className="ndv-stack ndv-stack--tight">
+                    <div className="ndv-label">{name}</div>
+                    <Histogram values={r.delays} />
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+          <div className="ndv-range-meta">
+            Packets are drawn independently, so back-to-back packets do not share a busy period the way they would in a
+            real queue; IPDV comes out on the high side. Route changes are the exception: they last for runs of packets.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function BudgetPanel({ A, B, setA, setB, mA, mB, compare }) {
+  const b = A.budget;
+  const check = b ? budgetCheck(b, mA) : null;
+  const target = check && !check.pass ? check.targetMs : null;
+  const tips = useMemo(() => (target != null ? budgetSuggestions(A, target) : []), [A, target]);
+  const setBudget = (p) => setA(x => ({ ...x, budget: { ...x.budget, ...p } }));
+  const setPart = (i, p) => setBudget({ parts: b.parts.map((x, j) => (j === i ? { ...x, ...p } : x)) });
+  const units = useContext(UnitsContext);
+  const fmtX = (t, v) => fieldText(t.key, v, units);
+
+  const picker = (
+    <div className="ndv-chip-group">
+      {Object.entries(APP_BUDGETS).map(([id, p]) => (
+        <button key={id} className={`ndv-chip ${b?.name === p.name ? "ndv-chip--on" : ""}`} onClick={() => setA(x => ({ ...x, budget: p }))}>{p.name}</button>
+      ))}
+      <button
+        className={`ndv-chip ${b && !Object.values(APP_BUDGETS).some(p => p.name === b.name) ? "ndv-chip--on" : ""}`}
+        onClick={() => setA(x => ({ ...x, budget: { ...(x.budget ?? APP_BUDGETS.voip), name: "Custom" } }))}
+      >Custom</button>
+      {b && <button className="ndv-chip" onClick={() => setA(x => ({ ...x, budget: null }))}>Remove</button>}
+    </div>
+  );
+  if (!b) {
+    return (
+      <div className="ndv-stack">
+        <div className="ndv-range-meta">Pick an application to check scenario A against its end-to-end latency budget, or start a custom one.</div>
+        {picker}
+      </div>
+    );
+  }
+
+  const items = [
+    ...b.parts.map(p => ({ label: p.label, ms: p.ms })),
+    { label: `Network (${BUDGET_PATHS[b.path].toLowerCase()})`, ms: check.networkMs, network: true },
+  ];
+  const scale = Math.max(b.limitMs, isFinite(check.totalMs) ? check.totalMs : 0) || 1;
+
+  return (
+    <div className="ndv-stack">
+      {picker}
+      <div className="ndv-row">
+        <label className="ndv-number" style={{ margin: 0 }}>
+          <span className="ndv-number-label">Name</span>
+          <input className="ndv-input" value={b.name} onChange={(e) => setBudget({ name: e.target.value })} />
+        </label>
+        <LabeledNumber
+          label="Budget"
+          value={b.limitMs}
+          onChange={(v) => setBudget({ limitMs: clamp(v || 0, BUDGET_NUMBERS.limitMs.min, BUDGET_NUMBERS.limitMs.max) })}
+          min={BUDGET_NUMBERS.limitMs.min} max={BUDGET_NUMBERS.limitMs.max}
+          quantity="time" unit="ms"
+        />
+        <label className="ndv-number" style={{ margin: 0 }}>
+          <span className="ndv-number-label">Network counts</span>
+          <select className="ndv-select" value={b.path} onChange={(e) => setBudget({ path: e.target.value })}>
+            {Object.entries(BUDGET_PATHS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="ndv-table-wrap">
+        <table className="ndv-table">
+          <thead><tr><th>Item</th><th>Time (ms)</th><th>Share of budget</th><th /></tr></thead>
+          <tbody>
+            {b.parts.map((p, i) => (
+              <tr key={i}>
+                <td><input className="ndv-input ndv-input--sm" value={p.label} onChange={(e) => setPart(i, { label: e.target.value })} aria-label="Item" /></td>
+                <td>
+                  <input className="ndv-input ndv-input--sm" type="number" min={0} value={p.ms}
+                    onChange={(e) => setPart(i, { ms: clamp(parseFloat(e.target.value) || 0, 0, BUDGET_PART_NUMBERS.ms.max) })} aria-label="Time (ms)" />
+                </td>
+                <td>{((p.ms / b.limitMs) * 100).toFixed(1)}%</td>
+                <td><button className="ndv-chip" onClick={() => setBudget({ parts: b.parts.filter((_, j) => j !== i) })}>Remove</button></td>
+              </tr>
+            ))}
+            <tr className="ndv-row--bottleneck">
+              <td>{items[items.length - 1].label}</td>
+              <td>{fmtMs(check.networkMs)}</td>
+              <td>{((check.networkMs / b.limitMs) * 100).toFixed(1)}%</td>
+              <td />
+            </tr>
+          </tbody>
+        </table>
+        <div className="ndv-chip-group">
+          <button
+            className="ndv-chip"
+            disabled={b.parts.length >= MAX_BUDGET_PARTS}
+            onClick={() => setBudget({ parts: [...b.parts, { label: `Item ${b.parts.length + 1}`, ms: 0 }] })}
+          >Add item</button>
+          {compare && <button className="ndv-chip" onClick={() => setB(x => ({ ...x, budget: b }))}>Use for B too</button>}
+        </div>
+      </div>
+
+      <div className="ndv-budget" role="img" aria-label={`${fmtMs(check.totalMs)} against a ${fmtMs(b.limitMs)} budget`}>
+        {items.map((it, i) => (
+          <div
+            key={i}
+            className={`ndv-budget-seg ndv-series-${it.network ? 0 : (i % 4) + 1}`}
+            style={{ width: `${(Math.min(it.ms, scale) / scale) * 100}%` }}
+            title={`${it.label}: ${fmtMs(it.ms)}`}
+          />
+        ))}
+        <div className="ndv-budget-limit" style={{ left: `${(b.limitMs / scale) * 100}%` }} />
+      </div>
+
+      <div className="ndv-total">
+        <div className="ndv-total-label">Scenario A: {fmtMs(check.totalMs)} of {fmtMs(b.limitMs)}</div>
+        <div className={check.pass ? "ndv-pass" : "ndv-warn"}>
+          {check.pass ? `Pass, with ${fmtMs(check.headroomMs)} headroom.` : `Over budget by ${fmtMs(-check.headroomMs)}.`}
+        </div>
+        {compare && B.budget && (() => {
+          const cb = budgetCheck(B.budget, mB);
+          return (
+            <div className="ndv-range-meta">
+              Scenario B ({B.budget.name}): {fmtMs(cb.totalMs)} of {fmtMs(B.budget.limitMs)}: {cb.pass ? `pass, ${fmtMs(cb.headroomMs)} headroom` : `${fmtMs(-cb.headroomMs)} over`}.
+            </div>
+          );
+        })()}
+      </div>
+
+      {!check.pass && (check.targetMs > 0 ? (
+        <div className="ndv-stack ndv-stack--tight">
+          <div className="ndv-label">To get back under, the one-way path needs ≤ {fmtMs(check.targetMs)}. Any one of these would do:</div>
+          {tips.length ? (
+            <ul className="ndv-list">
+              {tips.map(t => (
+                <li key={t.key}>
+                  {t.label} from {fmtX(t, t.from)} to <strong>{fmtX(t, t.to)}</strong> → {fmtMs(t.totalMs)}
+                  {" "}<button className="ndv-chip" onClick={() => setA(x => withField(x, t.key, t.to))}>Apply to A</button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="ndv-range-meta">No single input within its allowed range gets there; change several, or shorten the path.</div>
+          )}
+        </div>
+      ) : (
+        <div className="ndv-range-meta ndv-warn">The non-network items alone use up the budget; no network change can fix it.</div>
+      ))}
+      <ul className="ndv-list">
+        <li>The network share is the mean one-way total from the model, doubled for round-trip budgets. Check the Jitter tab for the tail, which a jitter buffer has to absorb.</li>
+        <li>Budgets are saved with the scenario, in the library and in share links.</li>
+      </ul>
+    </div>
+  );
+}
+
+function MessagePanel({ m }) {
+  const units = useContext(UnitsContext);
+  const [opts, setOpts] = useState({ messageBytes: 1048576, mtuBytes: 1500, headerBytes: 40, switching: "sf" });
+  const set = (p) => setOpts(o => ({ ...o, ...p }));
+
+  const sf = useMemo(() => messageDelivery(m, { ...opts, switching: "sf" }), [m, opts]);
+  const cut = useMemo(() => messageDelivery(m, { ...opts, switching: "cut" }), [m, opts]);
+  const whole = useMemo(
+    () => messageDelivery(m, { ...opts, mtuBytes: opts.messageBytes + opts.headerBytes, switching: "sf" }),
+    [m, opts]
+  );
+  const sweep = useMemo(() => {
+    const lo = Math.log(16);
+    const hi = Math.log(Math.max(32, Math.min(65535 - opts.headerBytes, opts.messageBytes)));
+    const sizes = Array.from({ length: 48 }, (_, i) => Math.round(Math.exp(lo + ((hi - lo) * i) / 47)));
+    const at = (payload, switching) => messageDelivery(m, { ...opts, mtuBytes: payload + opts.headerBytes, switching }).totalMs;
+    return {
+      sf: sizes.map(x => ({ x, y: at(x, "sf") })),
+      cut: sizes.map(x => ({ x, y: at(x, "cut") })),
+    };
+  }, [m, opts]);
+  const best = sweep[opts.switching].reduce((b, p) => (p.y < b.y ? p : b));
+  const chosen = opts.switching === "cut" ? cut : sf;
+
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-row">
+        <LabeledNumber
+          label="Message size" quantity="size" unit="B"
+          value={opts.messageBytes}
+          onChange={(v) => set({ messageBytes: clamp(v, 1, 1024 ** 3) })}
+          min={1} max={1024 ** 3}
+        />
+        <LabeledNumber
+          label="MTU (incl. header)" quantity="size" unit="B"
+          value={opts.mtuBytes}
+          onChange={(v) => set({ mtuBytes: Math.round(clamp(v, opts.headerBytes + 1, 65535)) })}
+          min={opts.headerBytes + 1} max={65535}
+        />
+      </div>
+      <div className="ndv-row">
+        <LabeledNumber
+          label="Header per packet" quantity="size" unit="B"
+          value={opts.headerBytes}
+          onChange={(v) => set({ headerBytes: Math.round(clamp(v, 0, 1024)) })}
+          min={0} max={1024}
+        />
+        <div className="ndv-chip-group">
+          <button className={`ndv-chip ${opts.switching === "sf" ? "ndv-chip--on" : ""}`} onClick={() => set({ switching: "sf" })}>Store-and-forward</button>
+          <button className={`ndv-chip ${opts.switching === "cut" ? "ndv-chip--on" : ""}`} onClick={() => set({ switching: "cut" })}>Cut-through</button>
+        </div>
+      </div>
+
+      <div className="ndv-cols">
+        <div className="ndv-kvlist">
+          <KV label="Packets P" value={chosen.packets.toLocaleString()} />
+          <KV label="Packet size L (bits)" value={chosen.fullBits.toLocaleString()} />
+          <KV label="Header overhead (bits)" value={chosen.overheadBits.toLocaleString()} />
+          <KV label="First packet delivered" value={fmtMs(chosen.firstPacketMs)} />
+          <KV label="Store-and-forward, pipelined" value={fmtMs(sf.totalMs)} />
+          <KV label="Cut-through" value={fmtMs(cut.totalMs)} />
+          <KV label="Unsegmented message" value={fmtMs(whole.totalMs)} />
+          <KV label={`(N + P − 1)·L/R, N=${m.hops}`} value={fmtMs(sf.classicMs)} />
+        </div>
+        <div className="ndv-totals">
+          <div className="ndv-total">
+            <div className="ndv-total-label">Message delivered ({opts.switching === "cut" ? "cut-through" : "store-and-forward"})</div>
+            <div className="ndv-total-value">{fmtMs(chosen.totalMs)}</div>
+          </div>
+          <div className="ndv-range-meta">
+            Best payload per packet: {fmtBytes(best.x, units)} → {fmtMs(best.y)}
+          </div>
+        </div>
+      </div>
+
+      <LineChart
+        title="Delivery time vs payload per packet"
+        xLog
+        xLabel="Payload per packet"
+        yLabel="Delivery time"
+        xFormat={(x) => fmtBytes(Math.round(x), units)}
+        yFormat={fmtMs}
+        series={[
+          { key: "sf", label: "Store-and-forward", points: sweep.sf },
+          { key: "cut", label: "Cut-through", points: sweep.cut },
+        ]}
+        marker={{ x: best.x, label: "best" }}
+      />
+      <ul className="ndv-list">
+        <li>Small packets pipeline well across hops but pay the header on every packet; large packets waste time waiting at each store-and-forward hop.</li>
+        <li>Queuing is not included: the message has the path to itself. <code>(N + P − 1)·L/R</code> assumes equal-rate links and ignores propagation and processing.</li>
+      </ul>
+    </div>
+  );
+}
+
+function TransferPanel({ m }) {
+  const units = useContext(UnitsContext);
+  const [opts, setOpts] = useState({ objectBytes: 512000, handshake: "TCP + TLS 1.3", initCwnd: 10, mssBytes: 1460, rwndBytes: 1048576 });
+  const set = (p) => setOpts(o => ({ ...o, ...p }));
+  const r = useMemo(() => transferTime(m, opts), [m, opts]);
+
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-row">
+        <LabeledNumber
+          label="Object size" quantity="size" unit="B"
+          value={opts.objectBytes}
+          onChange={(v) => set({ objectBytes: clamp(v, 1, 10 * 1024 ** 3) })}
+          min={1} max={10 * 1024 ** 3}
+        />
+        <label className="ndv-number" style={{ margin: 0 }}>
+          <span className="ndv-number-label">Connection setup</span>
+          <select className="ndv-select" value={opts.handshake} onChange={(e) => set({ handshake: e.target.value })}>
+            {Object.keys(HANDSHAKES).map((h) => <option key={h} value={h}>{h} ({HANDSHAKES[h]} RTT)</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="ndv-row">
+        <LabeledNumber
+          label="Initial cwnd (segments)"
+          value={opts.initCwnd}
+          onChange={(v) => set({ initCwnd: Math.round(clamp(v, 1, 1000)) })}
+          min={1} max={1000}
+        />
+        <LabeledNumber
+          label="MSS" quantity="size" unit="B"
+          value={opts.mssBytes}
+          onChange={(v) => set({ mssBytes: Math.round(clamp(v, 88, 65495)) })}
+          min={88} max={65495}
+        />
+      </div>
+      <LabeledNumber
+        label="Receive window cap" quantity="size" unit="B"
+        value={opts.rwndBytes}
+        onChange={(v) => set({ rwndBytes: clamp(v, 1024, 1024 ** 3) })}
+        min={1024} max={1024 ** 3}
+      />
+
+      <div className="ndv-cols">
+        <div className="ndv-kvlist">
+          <KV label="RTT (2 × one-way)" value={fmtMs(r.rttMs)} />
+          <KV label="Bandwidth-delay product" value={`${fmtBytes(r.bdpBytes, units)} (${r.bdpSegs.toFixed(1)} seg)`} />
+          <KV label="Receive window" value={`${r.rwndSegs.toLocaleString()} seg`} />
+          <KV label="Handshake" value={`${r.handshakeRtts} RTT`} />
+          <KV label="Time to first byte" value={fmtMs(r.ttfbMs)} />
+          <KV label="Slow-start rounds" value={r.roundCount.toLocaleString()} />
+        </div>
+        <div className="ndv-totals">
+          <div className="ndv-total">
+            <div className="ndv-total-label">Full transfer time</div>
+            <div className="ndv-total-value">{fmtMs(r.totalMs)}</div>
+          </div>
+          {r.rwndSegs < r.bdpSegs && (
+            <div className="ndv-range-meta ndv-warn">Receive window is smaller than the BDP: the sender can never fill the pipe.</div>
+          )}
+        </div>
+      </div>
+
+      <LineChart
+        title="Congestion window per RTT"
+        xLabel="Round (RTT)"
+        yLabel="Segments"
+        xFormat={(x) => x.toFixed(0)}
+        yFormat={(y) => y.toFixed(0)}
+        series={[
+          { key: "cwnd", label: "cwnd", points: r.rounds.map(x => ({ x: x.round, y: Math.min(x.cwnd, r.rwndSegs) })) },
+          { key: "sent", label: "Segments sent", points: r.rounds.map(x => ({ x: x.round, y: x.window })) },
+          { key: "bdp", label: "BDP", dashed: true, points: r.rounds.map(x => ({ x: x.round, y: r.bdpSegs })) },
+        ]}
+      />
+      <ul className="ndv-list">
+        <li>No loss: cwnd doubles every round until the receive window caps it. Once a round’s window covers the BDP, the sender streams at the bottleneck rate.</li>
+      </ul>
+    </div>
+  );
+}
+
+function LineChart({ title, series, xLog = false, yLog = false, xLabel, yLabel, xFormat = String, yFormat = String, marker }) {
+  const W = 640, H = 260, pad = { l: 72, r: 16, t: 16, b: 40 };
+  const pts = series.flatMap(s => s.points).filter(p => isFinite(p.y));
+  if (!pts.length) return <div className="ndv-range-meta">No finite values to plot.</div>;
+  const tx = (v) => (xLog ? Math.log10(v) : v);
+  const ty = (v) => (yLog ? Math.log10(Math.max(v, 1e-12)) : v);
+  const xs = pts.map(p => tx(p.x)), ys = pts.map(p => ty(p.y));
+  const x0 = Math.min(...xs), x1 = Math.max(...xs);
+  const y0 = yLog ? Math.min(...ys) : Math.min(0, ...ys), y1 = Math.max(...ys);
+  const sx = (v) => pad.l + ((tx(v) - x0) / (x1 - x0 || 1)) * (W - pad.l - pad.r);
+  const sy = (v) => H - pad.b - ((ty(v) - y0) / (y1 - y0 || 1)) * (H - pad.t - pad.b);
+  const ticks = (a, b, inv) => Array.from({ length: 5 }, (_, i) => inv(a + ((b - a) * i) / 4));
+  const xTicks = ticks(x0, x1, v => (xLog ? 10 ** v : v));
+  const yTicks = ticks(y0, y1, v => (yLog ? 10 ** v : v));
+  return (
+    <figure className="ndv-chart">
+      {title && <figcaption className="ndv-label">{title}</figcaption>}
+      <svg viewBox={`0 0 ${W} ${H}`} role="img" aria-label={title}>
+        {yTicks.map((v, i) => (
+          <g key={`y${i}`}>
+            <line className="ndv-chart-grid" x1={pad.l} x2={W - pad.r} y1={sy(v)} y2={sy(v)} />
+            <text className="ndv-chart-tick" x={pad.l - 6} y={sy(v) + 4} textAnchor="end">{yFormat(v)}</text>
+          </g>
+        ))}
+        {xTicks.map((v, i) => (
+          <text key={`x${i}`} className="ndv-chart-tick" x={sx(v)} y={H - pad.b + 16} textAnchor="middle">{xFormat(v)}</text>
+        ))}
+        {xLabel && <text className="ndv-chart-tick" x={(W + pad.l) / 2} y={H - 4} textAnchor="middle">{xLabel}</text>}
+        {yLabel && <text className="ndv-chart-tick" x={12} y={pad.t + 4}>{yLabel}</text>}
+        {series.map((s, i) => {
+          const line = s.points.filter(p => isFinite(p.y)).map(p => `${sx(p.x)},${sy(p.y)}`);
+          const tone = `ndv-series-${s.tone ?? i % 5}`;
+          return (
+            <g key={s.key}>
+              {s.base && (
+                <polygon
+                  className={`ndv-chart-area ${tone}`}
+                  points={[...line, ...s.base.filter(p => isFinite(p.y)).map(p => `${sx(p.x)},${sy(p.y)}`).reverse()].join(" ")}
+                />
+              )}
+              <polyline className={`ndv-chart-line ${tone} ${s.dashed ? "ndv-chart-line--dashed" : ""}`} points={line.join(" ")} />
+            </g>
+          );
+        })}
+        {marker && (
+          <g>
+            <line className="ndv-chart-marker" x1={sx(marker.x)} x2={sx(marker.x)} y1={pad.t} y2={H - pad.b} />
+            <text className="ndv-chart-tick" x={sx(marker.x) + 4} y={pad.t + 10}>{marker.label}</text>
+          </g>
+        )}
+      </svg>
+      <div className="ndv-chip-group ndv-range-meta">
+        {series.map((s, i) => s.label && (
+          <span key={s.key}><i className={`ndv-swatch ndv-series-${s.tone ?? i % 5}`} /> {s.label}</span>
+        ))}
+      </div>
+    </figure>
+  );
+}
+
+function TracePanel({ A, setA, m }) {
+  const [text, setText] = useState("");
+  const parsed = useMemo(() => {
+    if (!text.trim()) return null;
+    try { return { trace: parseTrace(text) }; } catch (err) { return { error: err.message }; }
+  }, [text]);
+  const trace = parsed?.trace;
+  const rows = useMemo(() => (trace ? traceComparison(trace, m) : []), [trace, m]);
+  const [buildError, setBuildError] = useState("");
+
+  function build() {
+    try {
+      setA(traceToScenario(trace, A));
+      setBuildError("");
+    } catch (err) {
+      setBuildError(err.message);
+    }
+  }
+
+  const last = rows[rows.length - 1];
+  const sum = (f) => rows.reduce((a, r) => a + f(r), 0);
+  return (
+    <div className="ndv-stack">
+      <label className="ndv-number" style={{ margin: 0 }}>
+        <span className="ndv-number-label">Paste traceroute, tracert, mtr --report or ping output</span>
+        <textarea
+          className="ndv-input ndv-mono"
+          rows={8}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={" 1  192.168.1.1 (192.168.1.1)  0.512 ms  0.478 ms  0.460 ms\n 2  10.0.0.1 (10.0.0.1)  8.123 ms  8.200 ms  8.310 ms"}
+        />
+      </label>
+      {parsed?.error && <div className="ndv-range-meta ndv-warn">{parsed.error}</div>}
+      {trace && (
+        <>
+          <div className="ndv-chip-group ndv-range-meta">
+            <span>Read as <strong>{trace.format}</strong> to {trace.target || "unknown host"}</span>
+            <span>· {trace.format === "ping"
+              ? `${trace.estimatedHops ?? `${m.hops} (assumed)`} hops from TTL`
+              : `${trace.hops.length} hops, ${trace.hops.filter(h => !isFinite(h.avg)).length} silent`}</span>
+            <button className="ndv-chip" onClick={build}>Build scenario → A</button>
+          </div>
+          {buildError && <div className="ndv-range-meta ndv-warn">{buildError}</div>}
+          <div className="ndv-table-wrap">
+            <table className="ndv-table">
+              <thead>
+                <tr>
+                  <th>Hops</th>
+                  <th>Host</th>
+                  <th>Measured (avg)</th>
+                  <th>Measured (min)</th>
+                  <th>Loss</th>
+                  <th>Tx</th>
+                  <th>Prop</th>
+                  <th>Proc</th>
+                  <th>Remainder → queue</th>
+                  <th>Modeled queue</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => (
+                  <tr key={r.to}>
+                    <td>{r.from === r.to ? r.to : `${r.from}–${r.to}`}</td>
+                    <td>{r.host || "—"}</td>
+                    <td className={r.oneWayAvgMs < 0 ? "ndv-warn" : ""}>{fmtSignedMs(r.oneWayAvgMs)}</td>
+                    <td>{fmtSignedMs(r.oneWayMinMs)}</td>
+                    <td>{r.loss > 0 ? `${(r.loss * 100).toFixed(1)}%` : "—"}</td>
+                    {r.covered ? (
+                      <>
+                        <td>{fmtMs(r.txMs)}</td>
+                        <td>{fmtMs(r.propMs)}</td>
+                        <td>{fmtMs(r.procMs)}</td>
+                        <td className={r.remainderMs < 0 ? "ndv-warn" : ""}>{fmtSignedMs(r.remainderMs)}</td>
+                        <td>{fmtMs(r.queueMs)}</td>
+                      </>
+                    ) : (
+                      <td colSpan={5} className="ndv-range-meta">beyond the {m.hops}-hop model</td>
+                    )}
+                  </tr>
+                ))}
+                {last && (
+                  <tr className="ndv-row--bottleneck">
+                    <td>Total</td>
+                    <td>{trace.target}</td>
+                    <td>{fmtSignedMs(sum(r => r.oneWayAvgMs))}</td>
+                    <td>{fmtSignedMs(sum(r => r.oneWayMinMs))}</td>
+                    <td>{last.loss > 0 ? `${(last.loss * 100).toFixed(1)}%` : "—"}</td>
+                    <td>{fmtMs(m.dTransTotalMs)}</td>
+                    <td>{fmtMs(m.dPropMs)}</td>
+                    <td>{fmtMs(m.dProcTotalMs)}</td>
+                    <td>{fmtSignedMs(sum(r => r.oneWayAvgMs) - m.dTransTotalMs - m.dPropMs - m.dProcTotalMs)}</td>
+                    <td>{fmtMs(m.dQueueTotalMs)}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          <ul className="ndv-list">
+            <li>Measured values are one-way: half the RTT increment over the previous answering hop, so silent hops fold into the next row.</li>
+            <li>The remainder is what scenario A’s transmission, propagation and processing do not explain; it is read as queuing. Negative values usually mean a router answered ICMP slowly, not that the path sped up.</li>
+            <li>Building a scenario keeps A’s link rate and processing, turns each minimum into fiber distance and each min-to-average gap into fixed queuing.</li>
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+const HISTORY_SHOWN = 10;
+
+function QuizPanel({ notify }) {
+  const units = useContext(UnitsContext);
+  const [opts, setOpts] = useState(DEFAULT_QUIZ);
+  const [answers, setAnswers] = useState({});
+  const [revealed, setRevealed] = useState({});
+  const [grades, setGrades] = useState(null);
+  const [codeText, setCodeText] = useState("");
+  const [history, setHistory] = useState(loadQuizHistory);
+  const set = useMemo(() => makeQuizSet(opts), [opts]);
+  const score = grades ? grades.filter(g => g.ok).length : 0;
+
+  function start(next) {
+    setOpts(next);
+    setAnswers({});
+    setRevealed({});
+    setGrades(null);
+  }
+  const newSeed = () => start({ ...opts, seed: Math.floor(Math.random() * 1e6) });
+  function toggleKind(k) {
+    const kinds = opts.kinds.includes(k) ? opts.kinds.filter(x => x !== k) : [...opts.kinds, k];
+    if (kinds.length) start({ ...opts, kinds });
+  }
+  function loadCode() {
+    try {
+      start(readQuizCode(codeText));
+      setCodeText("");
+    } catch (err) {
+      notify(err.message);
+    }
+  }
+  function copyCode() {
+    if (navigator.clipboard?.writeText) {
+      navigator.clipboard.writeText(set.code).then(() => notify("Set code copied"));
+    } else {
+      prompt("Copy this code:", set.code);
+    }
+  }
+  // Looking at a solution before checking gives the problem away, so it scores nothing.
+  function check() {
+    const next = set.problems.map(p => {
+      const g = gradeAnswer(p, answers[p.n] ?? "", set.tolerancePct, units);
+      return revealed[p.n] ? { ...g, ok: false, revealed: true } : g;
+    });
+    const entry = { at: new Date().toISOString(), code: set.code, score: next.filter(g => g.ok).length, total: next.length };
+    const nextHistory = readQuizHistory([...history, entry]);
+    setGrades(next);
+    setHistory(nextHistory);
+    saveQuizHistory(nextHistory);
+  }
+  function clearHistory() {
+    setHistory([]);
+    saveQuizHistory([]);
+  }
+
+  const verdict = (p, g) => {
+    const answer = formatQuantity("time", p.answerMs, "ms", units);
+    if (g.revealed) return <span className="ndv-range-meta">Solution viewed first. Answer: {answer}</span>;
+    if (!g.valid) return <span className="ndv-warn">✗ {answers[p.n]?.trim() ? "Not a time" : "No answer"}. Answer: {answer}</span>;
+    if (g.ok) return <span className="ndv-pass">✓ Correct ({g.errorPct.toFixed(2)}% off)</span>;
+    return <span className="ndv-warn">✗ {formatQuantity("time", g.valueMs, "ms", units)} is {isFinite(g.errorPct) ? `${g.errorPct.toFixed(1)}%` : "far"} off. Answer: {answer}</span>;
+  };
+
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-row">
+        <label className="ndv-number" style={{ margin: 0 }}>
+          <span className="ndv-number-label">Level</span>
+          <select className="ndv-select" value={opts.level} onChange={(e) => start({ ...opts, level: e.target.value })}>
+            {Object.entries(QUIZ_LEVELS).map(([id, l]) => <option key={id} value={id}>{l.label} (±{l.tolerancePct}%)</option>)}
+          </select>
+        </label>
+        <LabeledNumber label="Problems" value={opts.count} onChange={(v) => start({ ...opts, count: Math.round(clamp(v || 1, 1, MAX_QUIZ_PROBLEMS)) })} min={1} max={MAX_QUIZ_PROBLEMS} />
+        <LabeledNumber label="Seed" value={opts.seed} onChange={(v) => start({ ...opts, seed: Math.max(0, Math.round(v || 0)) })} min={0} />
+      </div>
+      <div className="ndv-range-meta">{QUIZ_LEVELS[opts.level].note}</div>
+      <div className="ndv-chip-group">
+        {Object.entries(QUIZ_KINDS).map(([id, k]) => (
+          <button key={id} className={`ndv-chip ${opts.kinds.includes(id) ? "ndv-chip--on" : ""}`} onClick={() => toggleKind(id)}>{k.label}</button>
+        ))}
+        <button className="ndv-chip" onClick={newSeed}>New set</button>
+      </div>
+
+      <div className="ndv-row">
+        <div className="ndv-stack ndv-stack--tight">
+          <div className="ndv-label">Set code</div>
+          <div className="ndv-chip-group">
+            <code>{set.code}</code>
+            <button className="ndv-chip" onClick={copyCode}>Copy</button>
+          </div>
+        </div>
+        <label className="ndv-number" style={{ margin: 0 }}>
+          <span className="ndv-number-label">Open a set code</span>
+          <input className="ndv-input" value={codeText} placeholder={set.code} onChange={(e) => setCodeText(e.target.value)} onKeyDown={(e) => e.key === "Enter" && loadCode()} />
+        </label>
+      </div>
+      <div className="ndv-chip-group">
+        <button className="ndv-chip" onClick={() => downloadFile(`ndv-quiz-${set.code}.md`, quizWorksheet(set, units), "text/markdown")}>Export worksheet (Markdown)</button>
+        <button className="ndv-chip" onClick={() => downloadFile(`ndv-quiz-${set.code}.json`, JSON.stringify(quizDocument(set), null, 2), "application/json")}>Export with answers (JSON)</button>
+      </div>
+
+      <ol className="ndv-list ndv-quiz">
+        {set.problems.map((p, i) => (
+          <li key={p.n} className="ndv-stack ndv-stack--tight">
+            <div>{p.prompt}</div>
+            <div className="ndv-chip-group">
+              <input
+                className="ndv-input ndv-input--sm"
+                value={answers[p.n] ?? ""}
+                placeholder="e.g. 0.12 ms or 120 µs"
+                disabled={!!grades}
+                onChange={(e) => setAnswers(a => ({ ...a, [p.n]: e.target.value }))}
+                aria-label={`Answer ${p.n}`}
+              />
+              <button className="ndv-chip" onClick={() => setRevealed(r => ({ ...r, [p.n]: !r[p.n] }))}>{revealed[p.n] ? "Hide solution" : "Show solution"}</button>
+              {grades && verdict(p, grades[i])}
+            </div>
+            {revealed[p.n] && <DerivationSteps steps={quizSolution(p, units).steps} />}
+          </li>
+        ))}
+      </ol>
+
+      <div className="ndv-chip-group">
+        {grades
+          ? <><span className="ndv-total-label">Score {score} / {grades.length}</span><button className="ndv-chip" onClick={() => start(opts)}>Try again</button><button className="ndv-chip" onClick={newSeed}>New set</button></>
+          : <button className="ndv-chip" onClick={check}>Check answers</button>}
+        <span className="ndv-range-meta">A bare number is read as ms. Answers within ±{set.tolerancePct}% count.</span>
+      </div>
+
+      {history.length > 0 && (
+        <div className="ndv-table-wrap">
+          <table className="ndv-table">
+            <thead><tr><th>When</th><th>Set</th><th>Score</th></tr></thead>
+            <tbody>
+              {history.slice(-HISTORY_SHOWN).reverse().map((e, i) => (
+                <tr key={i}>
+                  <td>{new Date(e.at).toLocaleString()}</td>
+                  <td><code>{e.code}</code></td>
+                  <td>{e.score} / {e.total}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="ndv-chip-group">
+            <span className="ndv-range-meta">{history.length} attempt{history.length === 1 ? "" : "s"} kept in this browser.</span>
+            <button className="ndv-chip" onClick={clearHistory}>Clear history</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SimulatorPanel({ m }) {
+  const [opts, setOpts] = useState({ packets: 2000, arrivals: "poisson", sizes: "fixed", load: 0.5, seed: 1 });
+  const [run, setRun] = useState(null);
+  const [pick, setPick] = useState(0);
+  const set = (p) => setOpts(o => ({ ...o, ...p }));
+
+  function runSim() {
+    const ratePps = opts.load / (m.txPerHop_ms / 1000);
+    const links = m.links.map(l => ({ rate: l.rate, propMs: l.propMs, procMs: l.procMs }));
+    const result = simulate(links, { ...opts, bits: m.bits, ratePps });
+    setRun({ result, m, opts, ratePps });
+    setPick(p => Math.min(p, result.packets.length - 1));
+  }
+
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-row">
+        <LabeledNumber
+          label="Packets"
+          value={opts.packets}
+          onChange={(v) => set({ packets: Math.round(clamp(v, 1, MAX_SIM_PACKETS)) })}
+          min={1} max={MAX_SIM_PACKETS}
+        />
+        <LabeledNumber
+          label="Seed"
+          value={opts.seed}
+          onChange={(v) => set({ seed: Math.round(clamp(v, 0, 2 ** 32 - 1)) })}
+          min={0} max={2 ** 32 - 1}
+        />
+      </div>
+      <LabeledRange
+        label={`Offered load at bottleneck ρ: ${(opts.load * 100).toFixed(0)}%`}
+        min={0.01} max={0.99} step={0.01}
+        value={opts.load}
+        onChange={(v) => set({ load: v })}
+      />
+      <div className="ndv-row">
+        <div className="ndv-chip-group">
+          <button className={`ndv-chip ${opts.arrivals === "poisson" ? "ndv-chip--on" : ""}`} onClick={() => set({ arrivals: "poisson" })}>Poisson arrivals</button>
+          <button className={`ndv-chip ${opts.arrivals === "constant" ? "ndv-chip--on" : ""}`} onClick={() => set({ arrivals: "constant" })}>Constant arrivals</button>
+        </div>
+        <div className="ndv-chip-group">
+          <button className={`ndv-chip ${opts.sizes === "fixed" ? "ndv-chip--on" : ""}`} onClick={() => set({ sizes: "fixed" })}>Fixed size</button>
+          <button className={`ndv-chip ${opts.sizes === "exponential" ? "ndv-chip--on" : ""}`} onClick={() => set({ sizes: "exponential" })}>Exponential size</button>
+        </div>
+      </div>
+      <button className="ndv-btn" onClick={runSim}>Run simulation</button>
+
+      {!run ? (
+        <div className="ndv-range-meta">Runs the packet stream through Scenario A’s links. The same seed always gives the same result.</div>
+      ) : (
+        <SimResults run={run} pick={pick} setPick={setPick} />
+      )}
+    </div>
+  );
+}
+
+function SimResults({ run, pick, setPick }) {
+  const { result, m } = run;
+  const { stats, components } = result;
+  const rows = [
+    { label: "Transmission", analytic: m.dTransTotalMs, sim: components.tx },
+    { label: "Propagation", analytic: m.dPropMs, sim: components.prop },
+    { label: "Processing", analytic: m.dProcTotalMs, sim: components.proc },
+    { label: "Queuing", analytic: m.dQueueTotalMs, sim: components.queue },
+    { label: "Total", analytic: m.totalMs, sim: stats.mean },
+  ];
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-cols">
+        <div className="ndv-kvlist">
+          <KV label="Arrival rate" value={`${run.ratePps.toFixed(1)} pkt/s`} />
+          <KV label="Mean delay" value={fmtMs(stats.mean)} />
+          <KV label="p50" value={fmtMs(stats.p50)} />
+          <KV label="p95" value={fmtMs(stats.p95)} />
+          <KV label="p99" value={fmtMs(stats.p99)} />
+          <KV label="Max" value={fmtMs(stats.max)} />
+        </div>
+        <Histogram values={result.delays} />
+      </div>
+
+      <h3 className="ndv-h3">Simulated vs analytic</h3>
+      <div className="ndv-table-wrap">
+        <table className="ndv-table">
+          <thead><tr><th>Component</th><th>computeMetrics</th><th>Simulated mean</th></tr></thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.label}><td>{r.label}</td><td>{fmtMs(r.analytic)}</td><td>{fmtMs(r.sim)}</td></tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="ndv-range-meta">The analytic queuing row uses each link’s configured queue model; the simulation queues only its own packet stream.</div>
+      </div>
+
+      <h3 className="ndv-h3">Per-link queue vs M/M/1</h3>
+      <div className="ndv-table-wrap">
+        <table className="ndv-table">
+          <thead><tr><th>Link</th><th>ρ</th><th>Busy</th><th>Simulated W<sub>q</sub></th><th>M/M/1 W<sub>q</sub></th></tr></thead>
+          <tbody>
+            {result.perLink.map((l, i) => (
+              <tr key={i}>
+                <td>{i + 1}</td>
+                <td>{l.rho.toFixed(3)}</td>
+                <td>{(l.busy * 100).toFixed(1)}%</td>
+                <td>{fmtMs(l.waitMs)}</td>
+                <td>{fmtMs(l.mm1WaitMs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="ndv-range-meta">M/M/1 holds exactly for link 1 with Poisson arrivals and exponential sizes; later links see the upstream departures instead.</div>
+      </div>
+
+      <h3 className="ndv-h3">Packet timeline</h3>
+      <LabeledNumber
+        label={`Packet # (0–${result.packets.length - 1})`}
+        value={pick}
+        onChange={(v) => setPick(Math.round(clamp(v || 0, 0, result.packets.length - 1)))}
+        min={0} max={result.packets.length - 1}
+      />
+      <PacketGantt pkt={result.packets[pick]} />
+    </div>
+  );
+}
+
+function Histogram({ values, bins = 30 }) {
+  const lo = values.reduce((a, v) => Math.min(a, v), Infinity);
+  const hi = values.reduce((a, v) => Math.max(a, v), -Infinity);
+  const width = (hi - lo) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  for (const v of values) counts[Math.min(bins - 1, Math.floor((v - lo) / width))]++;
+  const peak = Math.max(...counts);
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-hist" role="img" aria-label="Delay histogram">
+        {counts.map((c, i) => (
+          <div key={i} className="ndv-hist-bar" style={{ height: `${(c / peak) * 100}%` }} title={`${fmtMs(lo + i * width)} – ${fmtMs(lo + (i + 1) * width)}: ${c}`} />
+        ))}
+      </div>
+      <div className="ndv-field-head ndv-range-meta">
+        <span>{fmtMs(lo)}</span><span>{fmtMs(hi)}</span>
+      </div>
+    </div>
+  );
+}
+
+function PacketGantt({ pkt }) {
+  const t0 = pkt.sentAt;
+  const span = pkt.deliveredAt - t0 || 1;
+  const seg = (from, to, kind) => (
+    <div
+      className={`ndv-gantt-seg ndv-gantt-seg--${kind}`}
+      style={{ left: `${((from - t0) / span) * 100}%`, width: `${Math.max(0.2, ((to - from) / span) * 100)}%` }}
+      title={`${kind}: ${fmtMs(to - from)}`}
+    />
+  );
+  return (
+    <div className="ndv-stack">
+      <div className="ndv-gantt">
+        {pkt.hops.map((h, i) => (
+          <div key={i} className="ndv-gantt-row">
+            <div className="ndv-gantt-label">Hop {i + 1}</div>
+            <div className="ndv-gantt-rail">
+              {seg(h.arrive, h.procEnd, "proc")}
+              {seg(h.procEnd, h.txStart, "queue")}
+              {seg(h.txStart, h.txEnd, "tx")}
+              {seg(h.txEnd, h.propEnd, "prop")}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="ndv-chip-group ndv-range-meta">
+        <span><i className="ndv-swatch ndv-gantt-seg--proc" /> processing</span>
+        <span><i className="ndv-swatch ndv-gantt-seg--queue" /> queue</span>
+        <span><i className="ndv-swatch ndv-gantt-seg--tx" /> transmission</span>
+        <span><i className="ndv-swatch ndv-gantt-seg--prop" /> propagation</span>
+        <span>Delivered after {fmtMs(span)}</span>
+      </div>
+    </div>
+  );
+}
+
+function ScenarioManager({ scenarios, setScenarios, media, A, B, compare, loadToA, loadToB, picked, setPicked, onCompare, onProblems, notify }) {
+  const fileRef = useRef(null);
+  const [name, setName] = useState("");
+  const [tags, setTags] = useState("");
+  const [notes, setNotes] = useState("");
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState("newest");
+  const [editing, setEditing] = useState(null);
+
+  const rows = useMemo(() => scenarios
+    .filter(e => matchesSearch(e, query))
+    .map(entry => ({ entry, m: computeMetrics(entry.scenario) }))
+    .sort((a, b) => (b.entry.pinned - a.entry.pinned) || SCENARIO_SORTS[sort].cmp(a, b)), [scenarios, query, sort]);
+
+  const update = (id, patch) => setScenarios(scenarios.map(e => (e.id === id ? { ...e, ...patch } : e)));
+
+  function save(s) {
+    setScenarios([makeEntry(s, { name: name.trim(), tags: parseTags(tags), notes: notes.trim() }), ...scenarios]);
+    setName("");
+    setNotes("");
+  }
+  function duplicate(e) {
+    const copy = { ...e, id: newScenarioId(), name: `${e.name || "Scenario"} (copy)`, pinned: false, savedAt: Date.now() };
+    const i = scenarios.indexOf(e);
+    setScenarios([...scenarios.slice(0, i + 1), copy, ...scenarios.slice(i + 1)]);
+  }
+  function overwrite(e, s, side) {
+    if (!confirm(`Overwrite “${e.name || "scenario"}” with the current ${side}?`)) return;
+    update(e.id, { scenario: { ...s, name: e.name || s.name }, savedAt: Date.now() });
+  }
+  function remove(e) {
+    setScenarios(scenarios.filter(x => x.id !== e.id));
+    setPicked(picked.filter(id => id !== e.id));
+  }
+  function togglePick(id) {
+    setPicked(picked.includes(id) ? picked.filter(x => x !== id) : [...picked, id]);
+  }
+
+  function exportJson() {
+    downloadFile("ndv-scenarios.json", JSON.stringify(libraryDocument(scenarios, media), null, 2), "application/json");
+  }
+  function exportCsv() {
+    const rows = [
+      ...[A, ...(compare ? [B] : [])].map(s => ({ name: `${s.name} (current)`, tags: [], s })),
+      ...scenarios.map(e => ({ name: e.name, tags: e.tags, s: e.scenario })),
+    ];
+    downloadFile("ndv-results.csv", resultsCsv(rows));
+  }
+  async function importJson(file) {
+    let doc;
+    try {
+      doc = readDocument(JSON.parse(await file.text()));
+    } catch (err) {
+      onProblems({ title: `Could not import ${file.name}`, messages: [err instanceof SyntaxError ? "The file is not valid JSON." : err.message] });
+      return;
+    }
+    const incoming = doc.kind === "library"
+      ? doc.scenarios
+      : [doc.A, doc.B].filter(Boolean).map(sc => makeEntry(sc, { name: sc.name }));
+    const ids = new Set(scenarios.map(e => e.id));
+    const added = incoming.map(e => (ids.has(e.id) ? { ...e, id: newScenarioId() } : e));
+    const imported = doc.kind === "library" ? mergeMedia(media, { media: doc.media }) : media;
+    setScenarios([...added, ...scenarios], mergeMedia(imported, ...added.map(e => e.scenario)));
+    notify(`Imported ${added.length} scenario${added.length === 1 ? "" : "s"}`);
+    if (doc.warnings.length) onProblems({ title: `${file.name} was repaired on import`, messages: doc.warnings });
+  }
+
+  return (
+    <section className="ndv-card">
+      <h2 className="ndv-h2">Scenario Manager</h2>
+      <div className="ndv-stack">
+        <div className="ndv-stack ndv-stack--tight">
+          <input className="ndv-input" placeholder="Name (optional)" value={name} onChange={e => setName(e.target.value)} />
+          <input className="ndv-input" placeholder="Tags, comma-separated" value={tags} onChange={e => setTags(e.target.value)} />
+          <textarea className="ndv-input" rows={2} placeholder="Notes" value={notes} onChange={e => setNotes(e.target.value)} />
+          <div className="ndv-chip-group">
+            <button className="ndv-chip" onClick={() => save(A)}>Save A</button>
+            <button className="ndv-chip" onClick={() => save(B)} disabled={!compare}>Save B</button>
           </div>
         </div>
 
+        <div className="ndv-chip-group">
+          <button className="ndv-chip" onClick={() => fileRef.current?.click()}>Import JSON</button>
+          <button className="ndv-chip" onClick={exportJson} disabled={!scenarios.length}>Export JSON</button>
+          <button className="ndv-chip" onClick={exportCsv}>Results CSV</button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={(e) => { const f = e.target.files?.[0]; e.target.value = ""; if (f) importJson(f); }}
+          />
+        </div>
+
         {scenarios.length === 0 ? (
           <div className="ndv-range-meta">No saved scenarios yet. Tweak inputs, then “Save A” or “Save B”.</div>
         ) : (
-          <div className="ndv-saved-list">
-            {scenarios.map((sc, i) => (
-              <div key={i} className="ndv-saved-row">
-                <div className="ndv-saved-meta">
-                  <div className="ndv-saved-name">{sc.name || `Saved #${i+1}`}</div>
-                  <div className="ndv-range-meta">{new Date(sc.savedAt).toLocaleString()}</div>
-                </div>
-                <div className="ndv-chip-group">
-                  <button className="ndv-chip" onClick={() => loadToA(sc)}>Load → A</button>
-                  <button className="ndv-chip" onClick={() => loadToB(sc)}>Load → B</button>
-                  <button className="ndv-chip" onClick={() => {
-                    const newName = prompt("Rename scenario:", sc.name || "");
-                    if (newName != null) {
-                      const arr = scenarios.slice();
-                      arr[i] = { ...arr[i], name: newName };
-                      setScenarios(arr);
-                    }
-                  }}>Rename</button>
-                  <button className="ndv-chip" onClick={() => {
-                    const arr = scenarios.slice(); arr.splice(i,1); setScenarios(arr);
-                  }}>Delete</button>
-                </div>
+          <>
+            <div className="ndv-row">
+              <input className="ndv-input" type="search" placeholder="Search name, tags, notes" value={query} onChange={e => setQuery(e.target.value)} />
+              <select className="ndv-select" value={sort} onChange={e => setSort(e.target.value)} aria-label="Sort saved scenarios">
+                {Object.entries(SCENARIO_SORTS).map(([id, o]) => <option key={id} value={id}>{o.label}</option>)}
+              </select>
+            </div>
+            {picked.length > 0 && (
+              <div className="ndv-chip-group ndv-range-meta">
+                <span>{picked.length} picked for comparison</span>
+                <button className="ndv-chip" onClick={onCompare}>Compare</button>
+                <button className="ndv-chip" onClick={() => setPicked([])}>Clear</button>
               </div>
-            ))}
-          </div>
+            )}
+            <div className="ndv-saved-list">
+              {rows.length === 0 && <div className="ndv-range-meta">Nothing matches “{query}”.</div>}
+              {rows.map(({ entry: sc, m }) => (
+                <div key={sc.id} className={`ndv-saved-row ${sc.pinned ? "ndv-saved-row--pinned" : ""}`}>
+                  <div className="ndv-saved-meta">
+                    <label className="ndv-saved-name">
+                      <input type="checkbox" checked={picked.includes(sc.id)} onChange={() => togglePick(sc.id)} aria-label="Pick for comparison" />
+                      {" "}{sc.name || "Untitled"}
+                      <button
+                        className="ndv-pin"
+                        onClick={() => update(sc.id, { pinned: !sc.pinned })}
+                        aria-pressed={sc.pinned}
+                        title={sc.pinned ? "Unpin" : "Pin to top"}
+                      >{sc.pinned ? "★" : "☆"}</button>
+                    </label>
+                    <div className="ndv-range-meta">{fmtMs(m.totalMs)} · {new Date(sc.savedAt).toLocaleString()}</div>
+                    {sc.tags.length > 0 && (
+                      <div className="ndv-chip-group">
+                        {sc.tags.map(t => (
+                          <button key={t} className="ndv-tag" onClick={() => setQuery(t)}>#{t}</button>
+                        ))}
+                      </div>
+                    )}
+                    {sc.notes && <div className="ndv-range-meta">{sc.notes}</div>}
+                  </div>
+                  {editing === sc.id ? (
+                    <ScenarioEditor entry={sc} onSave={(patch) => { update(sc.id, patch); setEditing(null); }} onCancel={() => setEditing(null)} />
+                  ) : (
+                    <div className="ndv-chip-group">
+                      <button className="ndv-chip" onClick={() => loadToA(sc.scenario)}>Load → A</button>
+                      <button className="ndv-chip" onClick={() => loadToB(sc.scenario)}>Load → B</button>
+                      <button className="ndv-chip" onClick={() => overwrite(sc, A, "A")}>Overwrite with A</button>
+                      {compare && <button className="ndv-chip" onClick={() => overwrite(sc, B, "B")}>Overwrite with B</button>}
+                      <button className="ndv-chip" onClick={() => duplicate(sc)}>Duplicate</button>
+                      <button className="ndv-chip" onClick={() => setEditing(sc.id)}>Edit</button>
+                      <button className="ndv-chip" onClick={() => remove(sc)}>Delete</button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
         )}
       </div>
     </section>
   );
 }
 
-function LabeledRange({ label, value, onChange, min, max, step }) {
+function ProblemsCard({ title, messages, onDismiss }) {
+  return (
+    <section className="ndv-card" role="alert">
+      <h2 className="ndv-h2 ndv-warn">{title}</h2>
+      <ul className="ndv-list">
+        {messages.slice(0, 12).map((msg, i) => <li key={i}>{msg}</li>)}
+        {messages.length > 12 && <li>…and {messages.length - 12} more.</li>}
+      </ul>
+      <button className="ndv-chip" onClick={onDismiss}>Dismiss</button>
+    </section>
+  );
+}
+
+function ScenarioEditor({ entry, onSave, onCancel }) {
+  const [name, setName] = useState(entry.name);
+  const [tags, setTags] = useState(entry.tags.join(", "));
+  const [notes, setNotes] = useState(entry.notes);
+  return (
+    <div className="ndv-stack ndv-stack--tight">
+      <input className="ndv-input" value={name} onChange={e => setName(e.target.value)} aria-label="Name" />
+      <input className="ndv-input" value={tags} onChange={e => setTags(e.target.value)} placeholder="Tags, comma-separated" aria-label="Tags" />
+      <textarea className="ndv-input" rows={2} value={notes} onChange={e => setNotes(e.target.value)} placeholder="Notes" aria-label="Notes" />
+      <div className="ndv-chip-group">
+        <button
+          className="ndv-chip ndv-chip--on"
+          onClick={() => onSave({ name: name.trim(), tags: parseTags(tags), notes: notes.trim(), scenario: { ...entry.scenario, name: name.trim() } })}
+        >Save</button>
+        <button className="ndv-chip" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+const COMPARE_PARTS = [
+  { key: "totalMs", label: "Total" },
+  { key: "dTransTotalMs", label: "Tx" },
+  { key: "dPropMs", label: "Prop" },
+  { key: "dProcTotalMs", label: "Proc" },
+  { key: "dQueueTotalMs", label: "Queue" },
+  { key: "dRetxMs", label: "Retx" },
+];
+
+function SavedComparison({ entries, baselineId, setBaselineId }) {
+  const rows = useMemo(() => entries.map(e => ({ entry: e, m: computeMetrics(e.scenario) })), [entries]);
+  if (!rows.length) {
+    return <div className="ndv-range-meta">Tick saved scenarios in the Scenario Manager to compare any number of them here.</div>;
+  }
+  const base = rows.find(r => r.entry.id === baselineId) || rows[0];
+  const maxPart = Math.max(...rows.map(r => r.m.maxPart).filter(isFinite), 1e-9);
+  const fmtDelta = (v) => (v === 0 || !isFinite(v) ? "" : ` (${v > 0 ? "+" : "−"}${fmtMs(Math.abs(v))})`);
+  return (
+    <div className="ndv-stack">
+      <h3 className="ndv-h3">Saved scenarios</h3>
+      <div className="ndv-table-wrap">
+        <table className="ndv-table">
+          <thead>
+            <tr>
+              <th>Scenario</th>
+              <th>Baseline</th>
+              {COMPARE_PARTS.map(p => <th key={p.key}>{p.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ entry, m }, i) => (
+              <tr key={entry.id} className={entry.id === base.entry.id ? "ndv-row--bottleneck" : ""}>
+                <td><i className={`ndv-swatch ndv-series-${i % 5}`} /> {entry.name || "Untitled"}</td>
+                <td>
+                  <input
+                    type="radio"
+                    name="ndv-baseline"
+                    checked={entry.id === base.entry.id}
+                    onChange={() => setBaselineId(entry.id)}
+                    aria-label={`Use ${entry.name || "scenario"} as baseline`}
+                  />
+                </td>
+                {COMPARE_PARTS.map(p => (
+                  <td key={p.key}>
+                    {fmtMs(m[p.key])}
+                    {entry.id !== base.entry.id && <span className="ndv-range-meta">{fmtDelta(m[p.key] - base.m[p.key])}</span>}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="ndv-range-meta">Deltas are relative to the highlighted baseline.</div>
+      </div>
+      <OverlayBars series={rows.map(r => r.m.parts)} maxPart={maxPart} />
+    </div>
+  );
+}
+
+// Like Bars, but every series shares each rail; the largest value is drawn first.
+function OverlayBars({ series, maxPart }) {
+  return (
+    <div className="ndv-bars">
+      {series[0].map((p, k) => (
+        <div key={p.key} className="ndv-bar-block">
+          <div className="ndv-bar-label">{p.label}</div>
+          <div className="ndv-bar-rail ndv-bar-rail--overlay">
+            {series
+              .map((parts, i) => ({ i, value: parts[k].value }))
+              .sort((a, b) => b.value - a.value)
+              .map(({ i, value }) => (
+                <motion.div
+                  key={i}
+                  className={`ndv-bar-fill ndv-bar-fill--overlay ndv-series-${i % 5}`}
+                  title={fmtMs(value)}
+                  initial={{ width: 0 }}
+                  animate={{ width: `${isFinite(value) ? (value / maxPart) * 100 : 100}%` }}
+                  transition={{ type: "spring", stiffness: 140, damping: 20 }}
+                />
+              ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function LabeledRange({ label, value, onChange, min, max, step, quantity, unit }) {
+  const units = useContext(UnitsContext);
+  const show = (v) => (quantity ? formatQuantity(quantity, v, unit, units) : v);
   return (
     <div className="ndv-field">
       <div className="ndv-field-head">
-        <div className="ndv-label">{label}</div>
-        <div className="ndv-range-meta">[{min}–{max}]</div>
+        <div className="ndv-label">{quantity ? `${label}: ${show(value)}` : label}</div>
+        <div className="ndv-range-meta">[{show(min)}–{show(max)}]</div>
       </div>
       <input
         type="range"
@@ -706,19 +3496,53 @@ function LabeledRange({ label, value, onChange, min, max, step }) {
   );
 }
 
-function LabeledNumber({ label, value, onChange, min, max }) {
+// With a `quantity`, `value`, `min` and `max` are in the stored `unit` and the field shows
+// them in a unit the user picks (the stored one to start with); onChange gets the stored unit.
+function LabeledNumber({ label, ...rest }) {
   return (
     <label className="ndv-number">
       <span className="ndv-number-label">{label}</span>
+      <NumberInput label={label} {...rest} />
+    </label>
+  );
+}
+
+// A number stored in `unit`. With a `quantity` it is typed in a unit from the user's system,
+// picked beside the field. A cleared or partial entry is not passed on.
+function NumberInput({ label, value, onChange, min, max, quantity, unit, className = "ndv-input" }) {
+  const units = useContext(UnitsContext);
+  const [picked, setPicked] = useState(unit);
+  if (!quantity) {
+    return (
       <input
         type="number"
         value={value}
         min={min}
         max={max}
-        onChange={(e) => onChange(parseFloat(e.target.value))}
-        className="ndv-input"
+        onChange={(e) => isFinite(parseFloat(e.target.value)) && onChange(parseFloat(e.target.value))}
+        className={className}
+        aria-label={label}
       />
-    </label>
+    );
+  }
+  const choices = unitChoices(quantity, units);
+  const shown = choices.includes(picked) ? picked : bestUnit(quantity, value || 0, unit, units);
+  const show = (v) => (v == null ? undefined : +convert(quantity, v, unit, shown).toPrecision(6));
+  return (
+    <span className="ndv-unit-input">
+      <input
+        type="number"
+        value={show(value)}
+        min={show(min)}
+        max={show(max)}
+        onChange={(e) => isFinite(parseFloat(e.target.value)) && onChange(convert(quantity, parseFloat(e.target.value), shown, unit))}
+        className={className}
+        aria-label={label}
+      />
+      <select className="ndv-select ndv-unit" value={shown} onChange={(e) => setPicked(e.target.value)} aria-label={`${label} unit`}>
+        {choices.map(u => <option key={u} value={u}>{u}</option>)}
+      </select>
+    </span>
   );
 }
 
@@ -730,7 +3554,3 @@ function KV({ label, value }) {
     </div>
   );
 }
-
-(function mountGlobalRefs() {
-
-})();
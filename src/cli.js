@@ -0,0 +1,216 @@
+// The `ndv` command line: build a scenario from a preset, a scenario file or a share link,
+// apply per-field overrides and print the delay breakdown. I/O comes in through `io`, so
+// the tests drive it without spawning a process.
+
+import { parseArgs } from "node:util";
+import {
+  PRESETS, applyPreset, DEFAULT_SCENARIO, SCENARIO_FIELDS, withField,
+  validateScenario, readScenario, readDocument, decodeState, computeMetrics, resultsCsv, fmtMs,
+  UNIT_SYSTEMS, DEFAULT_UNITS, formatQuantity, parseQuantity,
+} from "./engine/index.js";
+
+const FORMATS = ["table", "json", "csv"];
+// Inputs that take a name rather than a number.
+const CHOICE_FIELDS = ["medium", "queueModel"];
+
+const USAGE = `Usage: ndv <command> [options]
+
+Commands:
+  compute           print the one-way delay breakdown of a scenario
+  presets           list the built-in presets
+  help              show this message
+
+Scenario (applied in this order):
+  --scenario FILE   scenario JSON, an exported library or a share document ("-" reads stdin)
+  --url LINK        a share link, or just the value of its s= parameter
+  --side A|B        which side of a share link or document to use (default A)
+  --name NAME       which scenario of a library to use (default the first)
+  --preset NAME     apply a built-in preset
+  --FIELD VALUE     override one input: ${[...Object.keys(SCENARIO_FIELDS), ...CHOICE_FIELDS].join(", ")}
+                    sizes, rates, distances and times may carry a unit: "1.5 KiB", "10 Gbps", "3 mi"
+
+Output:
+  --format FORMAT   table (default), json or csv; --json and --csv are short for these
+  --links           add a per-hop table to the table format
+  --units si|iec    kB and Mb/s (default) or KiB and Mib/s, for the table and for a bare "KB"
+
+Example:
+  ndv compute --preset "FTTH (GPON)" --hops 4 --json
+`;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  scenario: { type: "string" },
+  url: { type: "string" },
+  side: { type: "string", default: "A" },
+  name: { type: "string" },
+  preset: { type: "string" },
+  format: { type: "string", default: "table" },
+  json: { type: "boolean" },
+  csv: { type: "boolean" },
+  links: { type: "boolean" },
+  units: { type: "string", default: DEFAULT_UNITS.system },
+  help: { type: "boolean", short: "h" },
+  ...Object.fromEntries([...Object.keys(SCENARIO_FIELDS), ...CHOICE_FIELDS].map(k => [k, { type: "string" }])),
+};
+
+function shareParam(link) {
+  const text = link.trim();
+  if (!/^[a-z]+:\/\//i.test(text)) return text.replace(/^\?s=|^s=/, "");
+  const s = new URL(text).searchParams.get("s");
+  if (!s) throw new Error("The link has no s= parameter.");
+  return s;
+}
+
+// Share documents, libraries and version-1 arrays go through readDocument; anything else
+// is taken to be a bare scenario.
+function isDocument(data) {
+  return Array.isArray(data) || (data != null && typeof data === "object" && ("app" in data || "kind" in data || "A" in data));
+}
+
+function pickFromDocument(doc, v) {
+  if (doc.kind === "share") {
+    const side = v.side.toUpperCase();
+    if (!doc[side]) throw new Error(`The share document has no scenario ${side}.`);
+    return doc[side];
+  }
+  if (!doc.scenarios.length) throw new Error("The library has no scenarios.");
+  if (v.name == null) return doc.scenarios[0].scenario;
+  const entry = doc.scenarios.find(e => e.name === v.name);
+  if (!entry) throw new Error(`No scenario named “${v.name}” in the library. It has: ${doc.scenarios.map(e => e.name).join(", ")}.`);
+  return entry.scenario;
+}
+
+function loadScenario(v, io, warnings) {
+  if (v.scenario != null && v.url != null) throw new UsageError("Use either --scenario or --url, not both.");
+  if (v.url != null) {
+    const doc = decodeState(shareParam(v.url));
+    warnings.push(...doc.warnings);
+    return pickFromDocument(doc, v);
+  }
+  if (v.scenario == null) return DEFAULT_SCENARIO;
+  let data;
+  try {
+    data = JSON.parse(io.readFile(v.scenario));
+  } catch (err) {
+    throw new Error(err instanceof SyntaxError ? `${v.scenario === "-" ? "stdin" : v.scenario} is not valid JSON.` : err.message);
+  }
+  if (!isDocument(data)) return readScenario(data, "Scenario", warnings);
+  const doc = readDocument(data);
+  warnings.push(...doc.warnings);
+  return pickFromDocument(doc, v);
+}
+
+/** Build the scenario the options describe. Repairs are reported through `warnings`. */
+export function scenarioFromOptions(v, io, warnings, units = DEFAULT_UNITS) {
+  let s = loadScenario(v, io, warnings);
+  if (v.preset != null) {
+    if (!PRESETS[v.preset]) throw new UsageError(`Unknown preset “${v.preset}”. Run \`ndv presets\` for the list.`);
+    s = { ...applyPreset(s, PRESETS[v.preset]), name: v.preset };
+  }
+  for (const key of Object.keys(SCENARIO_FIELDS)) {
+    if (v[key] == null) continue;
+    const f = SCENARIO_FIELDS[key];
+    const x = f.quantity ? parseQuantity(f.quantity, v[key], f.unit, units) : Number(v[key]);
+    if (v[key].trim() === "" || !isFinite(x)) throw new UsageError(`--${key} needs a ${f.quantity ? `${f.quantity} (a number in ${f.unit}, or with a unit)` : "number"}, got “${v[key]}”.`);
+    s = withField(s, key, x);
+  }
+  for (const key of CHOICE_FIELDS) {
+    if (v[key] != null) s = withField(s, key, v[key]);
+  }
+  return validateScenario(s, "Scenario", warnings);
+}
+
+function pad(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+  return rows.map(r => r.map((c, i) => (i === 0 ? String(c).padEnd(widths[i]) : String(c).padStart(widths[i]))).join("  ").trimEnd()).join("\n") + "\n";
+}
+
+function tableText(s, m, withLinks, units) {
+  let text = `${s.name} — ${m.hops} hop${m.hops === 1 ? "" : "s"}, bottleneck ${formatQuantity("rate", m.rate, "b/s", units)}\n\n`;
+  text += pad([
+    ["Component", "Delay"],
+    ...m.parts.map(p => [p.label, fmtMs(p.value)]),
+    ["Total (one way)", fmtMs(m.totalMs)],
+  ]);
+  if (withLinks) {
+    text += "\n" + pad([
+      ["Hop", "Rate", "Distance", "Transmission", "Propagation", "Processing", "Queuing", "Retx", "Total"],
+      ...m.links.map((l, i) => [
+        l.segment || `${i + 1}`, formatQuantity("rate", l.rateMbps, "Mb/s", units), formatQuantity("distance", l.distanceKm, "km", units),
+        fmtMs(l.txMs), fmtMs(l.propMs), fmtMs(l.procMs), fmtMs(l.queueMs), fmtMs(l.retxMs), fmtMs(l.totalMs),
+      ]),
+    ]);
+  }
+  if (m.unstable) text += "\nA queue is unstable (ρ ≥ 1 with an infinite buffer): its wait grows without bound.\n";
+  return text;
+}
+
+// Infinite waits come out as null, which is what JSON.stringify would do anyway.
+function metricsJson(s, m) {
+  const ms = (x) => (isFinite(x) ? x : null);
+  return {
+    name: s.name,
+    hops: m.hops,
+    bottleneckMbps: m.rate / 1e6,
+    unstable: m.unstable,
+    totalMs: ms(m.totalMs),
+    components: Object.fromEntries(m.parts.map(p => [p.key, ms(p.value)])),
+    links: m.links.map(l => ({
+      rateMbps: l.rateMbps, medium: l.medium, distanceKm: l.distanceKm, queueModel: l.queueModel,
+      txMs: l.txMs, propMs: l.propMs, procMs: l.procMs, queueMs: ms(l.queueMs), retxMs: l.retxMs, totalMs: ms(l.totalMs),
+    })),
+  };
+}
+
+/**
+ * Run one command. `io` is { out(text), err(text), readFile(path) }, where readFile("-")
+ * reads stdin. Returns the exit code: 0 on success, 1 on a failed run, 2 on bad usage.
+ */
+export function run(argv, io) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (err) {
+    io.err(`ndv: ${err.message}\nRun \`ndv help\` for usage.\n`);
+    return 2;
+  }
+  const { values: v, positionals } = parsed;
+  const command = positionals[0] ?? "help";
+
+  try {
+    if (v.help || command === "help") {
+      io.out(USAGE);
+      return 0;
+    }
+    if (command === "presets") {
+      io.out(Object.keys(PRESETS).join("\n") + "\n");
+      return 0;
+    }
+    if (command !== "compute") throw new UsageError(`Unknown command “${command}”.`);
+    if (positionals.length > 1) throw new UsageError(`Unexpected argument “${positionals[1]}”.`);
+
+    const format = v.json ? "json" : v.csv ? "csv" : v.format;
+    if (!FORMATS.includes(format)) throw new UsageError(`Unknown format “${format}”; use ${FORMATS.join(", ")}.`);
+    if (!["A", "B"].includes(v.side.toUpperCase())) throw new UsageError(`--side must be A or B, got “${v.side}”.`);
+    if (!Object.hasOwn(UNIT_SYSTEMS, v.units)) throw new UsageError(`--units must be ${Object.keys(UNIT_SYSTEMS).join(" or ")}, got “${v.units}”.`);
+    const units = { ...DEFAULT_UNITS, system: v.units };
+
+    const warnings = [];
+    const s = scenarioFromOptions(v, io, warnings, units);
+    for (const w of warnings) io.err(`warning: ${w}\n`);
+    const m = computeMetrics(s);
+    if (format === "json") io.out(JSON.stringify(metricsJson(s, m), null, 2) + "\n");
+    else if (format === "csv") io.out(resultsCsv([{ name: s.name, tags: [], s }]));
+    else io.out(tableText(s, m, v.links, units));
+    return 0;
+  } catch (err) {
+    io.err(`ndv: ${err.message}\n`);
+    if (err instanceof UsageError) {
+      io.err("Run `ndv help` for usage.\n");
+      return 2;
+    }
+    return 1;
+  }
+}
@@ -0,0 +1,359 @@
+// What-if tools built on computeMetrics: goal seek, sensitivity, latency budgets, message
+// and transfer timing, space-time event times, and fitting a measured trace.
+
+import { km } from "./format.js";
+import { mediumSpeed } from "./media.js";
+import { LINK_DEFAULTS, MAX_LINKS, pathLinks, SCENARIO_FIELDS, fieldClamp, withField, sampleRange, computeMetrics } from "./model.js";
+import { traceSegments } from "./traceroute.js";
+
+// Inputs that goal seek, sensitivity and budget suggestions may vary. Changing the hop count
+// rebuilds the path as uniform links, which would throw away a per-link path, so hops is
+// left out there.
+export function variableFields(s) {
+  const perLink = Array.isArray(s.links) && s.links.length > 0;
+  return Object.entries(SCENARIO_FIELDS).filter(([key]) => key !== "hops" || !perLink);
+}
+
+export function metricValue(m, metric) {
+  if (metric === "total") return m.totalMs;
+  return m.parts.find(p => p.key === metric).value;
+}
+
+// Solve metric(s with `key` = x) ≤ targetMs for x within the field's input bounds. A coarse scan
+// finds every crossing (so non-monotone and M/M/1 blow-ups are handled), then bisection refines it.
+export function goalSeek(s, key, metric, targetMs, samples = 200) {
+  if (!variableFields(s).some(([k]) => k === key)) throw new Error(`“${key}” is not an input that can vary on this path.`);
+  const f = SCENARIO_FIELDS[key];
+  const log = f.min > 0 && f.max / f.min >= 100;
+  const valueAt = (x) => metricValue(computeMetrics(withField(s, key, x)), metric);
+  const ok = (x) => valueAt(x) <= targetMs;
+
+  const xs = sampleRange(f.min, f.max, samples, log, f.integer);
+  const vals = xs.map(valueAt);
+  const feasible = vals.map(v => v <= targetMs);
+  const bestIdx = vals.reduce((b, v, i) => (v < vals[b] ? i : b), 0);
+
+  const boundaries = [];
+  for (let i = 1; i < xs.length; i++) {
+    if (feasible[i] === feasible[i - 1]) continue;
+    let lo = xs[i - 1], hi = xs[i];
+    const okLo = feasible[i - 1];
+    for (let it = 0; it < 60 && (f.integer ? hi - lo > 1 : hi - lo > 1e-12 * Math.max(1, hi)); it++) {
+      const mid = f.integer ? Math.floor((lo + hi) / 2) : (lo + hi) / 2;
+      if (ok(mid) === okLo) lo = mid; else hi = mid;
+    }
+    const x = okLo ? lo : hi;
+    boundaries.push({ x, kind: okLo ? "max" : "min", value: valueAt(x) });
+  }
+
+  return {
+    key, metric, targetMs, boundaries,
+    samples: xs.map((x, i) => ({ x, y: vals[i] })),
+    none: !feasible.some(Boolean),
+    all: feasible.every(Boolean),
+    flat: vals.every(v => v === vals[0]),
+    best: { x: xs[bestIdx], value: vals[bestIdx] },
+  };
+}
+
+// Effective value of an input: the scalar on a uniform path, the mean over links (or the
+// total, for distance) on a per-link path.
+function fieldValue(s, key) {
+  if (!Array.isArray(s.links) || !s.links.length || key === "hops") return s[key];
+  const vals = pathLinks(s).map(l => l[key]);
+  if (vals[0] === undefined) return s[key];
+  const total = vals.reduce((a, v) => a + v, 0);
+  return key === "distanceKm" ? total : total / vals.length;
+}
+
+// Multiply an input by `factor`, keeping the relative differences between links.
+function scaleField(s, key, factor) {
+  const next = withField(s, key, fieldClamp(key, fieldValue(s, key) * factor));
+  if (!Array.isArray(s.links) || !s.links.length || key === "hops" || key === "distanceKm" || !(key in next.links[0])) return next;
+  return { ...next, links: pathLinks(s).map(l => ({ ...l, [key]: fieldClamp(key, l[key] * factor) })) };
+}
+
+// One-at-a-time sensitivity of totalMs. Each input swings ±pct (or between ranges[key].lo/hi);
+// elasticity is d ln T / d ln x from a central difference: ±1%, widened to at least one unit
+// for integer inputs, divided by the change in x that rounding and clamping actually left.
+export function sensitivity(s, { pct, ranges = {} }) {
+  const base = computeMetrics(s).totalMs;
+  const total = (x) => computeMetrics(x).totalMs;
+  const h = 0.01;
+  return variableFields(s).map(([key, f]) => {
+    const x = fieldValue(s, key);
+    const r = ranges[key];
+    const low = r ? withField(s, key, fieldClamp(key, r.lo)) : scaleField(s, key, 1 - pct / 100);
+    const high = r ? withField(s, key, fieldClamp(key, r.hi)) : scaleField(s, key, 1 + pct / 100);
+    const lowMs = total(low);
+    const highMs = total(high);
+    const dh = f.integer && x > 0 ? Math.max(h, 1 / x) : h;
+    const down = scaleField(s, key, 1 - dh), up = scaleField(s, key, 1 + dh);
+    const dx = fieldValue(up, key) - fieldValue(down, key);
+    const elasticity = x && dx && isFinite(base) ? ((total(up) - total(down)) / dx) * (x / base) : 0;
+    return {
+      key, label: f.label, unit: f.unit, value: x,
+      lowValue: fieldValue(low, key), highValue: fieldValue(high, key),
+      lowMs, highMs,
+      swing: isFinite(lowMs) && isFinite(highMs) ? Math.abs(highMs - lowMs) : Infinity,
+      elasticity: isFinite(elasticity) ? elasticity : NaN,
+      derivative: x && isFinite(elasticity) ? (elasticity * base) / x : NaN,
+    };
+  }).sort((a, b) => b.swing - a.swing);
+}
+
+// Application latency budgets. `path` says what the network contributes: one way, or a
+// round trip (twice the one-way total) for loops such as input-to-photon.
+export const BUDGET_PATHS = { oneWay: "One way", rtt: "Round trip" };
+export const MAX_BUDGET_PARTS = 10;
+export const APP_BUDGETS = {
+  voip: {
+    name: "VoIP (ITU-T G.114)", limitMs: 150, path: "oneWay",
+    parts: [{ label: "Codec + packetization", ms: 25 }, { label: "Jitter buffer", ms: 40 }, { label: "Decode + playout", ms: 5 }],
+  },
+  gaming: {
+    name: "Cloud gaming", limitMs: 100, path: "rtt",
+    parts: [{ label: "Input sampling", ms: 8 }, { label: "Game frame + render", ms: 16 }, { label: "Encode", ms: 8 }, { label: "Decode", ms: 5 }, { label: "Display", ms: 16 }],
+  },
+  conferencing: {
+    name: "Video conferencing", limitMs: 200, path: "oneWay",
+    parts: [{ label: "Capture", ms: 17 }, { label: "Encode", ms: 20 }, { label: "Jitter buffer", ms: 50 }, { label: "Decode", ms: 10 }, { label: "Render", ms: 17 }],
+  },
+  xr: {
+    name: "AR/VR motion-to-photon", limitMs: 20, path: "rtt",
+    parts: [{ label: "Tracking", ms: 2 }, { label: "Render", ms: 7 }, { label: "Encode + decode", ms: 4 }, { label: "Display scan-out", ms: 5 }],
+  },
+  hft: {
+    name: "HFT tick-to-trade", limitMs: 1, path: "rtt",
+    parts: [{ label: "Feed handler", ms: 0.005 }, { label: "Strategy", ms: 0.002 }, { label: "Order gateway", ms: 0.003 }],
+  },
+};
+
+export function budgetCheck(budget, m) {
+  const networkMs = budget.path === "rtt" ? 2 * m.totalMs : m.totalMs;
+  const otherMs = budget.parts.reduce((a, p) => a + p.ms, 0);
+  const totalMs = otherMs + networkMs;
+  const headroomMs = budget.limitMs - totalMs;
+  return {
+    networkMs, otherMs, totalMs, headroomMs,
+    pass: isFinite(totalMs) && headroomMs >= 0,
+    // What the one-way path total may be for the budget to hold.
+    targetMs: (budget.limitMs - otherMs) / (budget.path === "rtt" ? 2 : 1),
+  };
+}
+
+// Inputs that could bring the path back under budget on their own, smallest relative change
+// first. Each goes through goalSeek; the crossing closest to the current value wins.
+export function budgetSuggestions(s, targetMs, limit = 5) {
+  if (!(targetMs > 0)) return [];
+  const out = [];
+  for (const [key, f] of variableFields(s)) {
+    const r = goalSeek(s, key, "total", targetMs, 80);
+    if (r.none || r.flat || !r.boundaries.length) continue;
+    const from = fieldValue(s, key);
+    const change = (x) => (from > 0 && x > 0 ? Math.abs(Math.log(x / from)) : Math.abs(x - from) / (f.max - f.min));
+    const b = r.boundaries.reduce((best, c) => (change(c.x) < change(best.x) ? c : best));
+    out.push({ key, label: f.label, unit: f.unit, from, to: b.x, totalMs: b.value, change: change(b.x) });
+  }
+  return out.sort((a, b) => a.change - b.change).slice(0, limit);
+}
+
+// Deliver a message split into MTU-sized packets over the path, all packets ready at t = 0
+// and no cross traffic. Store-and-forward nodes wait for the last bit; cut-through nodes
+// start forwarding once the header is in, but can never finish before the last bit arrives.
+export function messageDelivery(m, { messageBytes, mtuBytes, headerBytes, switching }) {
+  const cut = switching === "cut";
+  const msgBits = messageBytes * 8;
+  const headerBits = headerBytes * 8;
+  const payloadBits = Math.max(8, mtuBytes * 8 - headerBits);
+  const packets = Math.max(1, Math.ceil(msgBits / payloadBits));
+  const fullBits = payloadBits + headerBits;
+  const lastBits = msgBits - (packets - 1) * payloadBits + headerBits;
+
+  const links = m.links;
+  const txOf = (bits, l) => (bits / l.rate) * 1000;
+  // Once the pipeline fills, link i finishes one packet every max(tx) of links 0..i.
+  const spacing = [];
+  links.forEach((l, i) => spacing.push(Math.max(i ? spacing[i - 1] : 0, txOf(fullBits, l))));
+
+  let free = links.map(() => 0);
+  function send(bits) {
+    let hdr = 0;
+    let last = 0;
+    links.forEach((l, i) => {
+      const tx = txOf(bits, l);
+      const start = Math.max(hdr + l.procMs, free[i]);
+      const end = Math.max(start + tx, last);
+      free[i] = end;
+      hdr = (cut ? start + Math.min(tx, txOf(headerBits, l)) : end) + l.propMs;
+      last = end + l.propMs;
+    });
+    return last;
+  }
+
+  let firstMs = 0;
+  for (let k = 0; k < packets - 1; k++) {
+    const before = free.slice();
+    const done = send(fullBits);
+    if (k === 0) firstMs = done;
+    // Finish times are convex in k and bounded by `spacing`, so one step at full
+    // spacing means every later step is too: skip ahead instead of iterating.
+    if (k > 0 && free.every((f, i) => Math.abs(f - before[i] - spacing[i]) <= 1e-9 * Math.max(1, f))) {
+      const rest = packets - 2 - k;
+      free = free.map((f, i) => f + rest * spacing[i]);
+      break;
+    }
+  }
+  const totalMs = send(lastBits);
+  if (packets === 1) firstMs = totalMs;
+
+  const hops = links.length;
+  return {
+    packets, fullBits, lastBits, totalMs, firstPacketMs: firstMs,
+    overheadBits: packets * headerBits,
+    classicMs: ((hops + packets - 1) * fullBits / m.rate) * 1000,
+  };
+}
+
+export const MAX_SPACETIME_PACKETS = 20;
+
+// Event times for a space-time diagram: `packets` back-to-back packets leave the source at
+// t = 0. At each node a packet is processed, waits the mean queue time, then goes out once
+// the previous packet has cleared the link; its first bit lands one propagation delay after
+// it starts and its last bit one propagation delay after it ends. HARQ's expected extra time
+// is spent at the receiving node and end-to-end ARQ's at the destination, so a single packet
+// ends at m.totalMs.
+export function spaceTime(m, packets = 1) {
+  const n = Math.min(MAX_SPACETIME_PACKETS, Math.max(1, Math.round(packets) || 1));
+  let ready = Array(n).fill(0);
+  const hops = m.links.map((l) => {
+    let free = 0;
+    const pkts = ready.map((at) => {
+      const queueStart = at + l.procMs;
+      const txStart = Math.max(queueStart + l.queueMs, free);
+      const txEnd = txStart + l.txMs;
+      free = txEnd;
+      const lastBitMs = txEnd + l.propMs;
+      return { at, queueStart, txStart, txEnd, firstBitMs: txStart + l.propMs, lastBitMs, doneMs: lastBitMs + l.retxMs };
+    });
+    ready = pkts.map(p => p.doneMs);
+    return { link: l, packets: pkts };
+  });
+  const arqMs = m.arq.extraMs;
+  return { packets: n, hops, arqMs, endMs: Math.max(...ready) + arqMs };
+}
+
+export const HANDSHAKES = {
+  "TCP": 1,
+  "TCP + TLS 1.2": 3,
+  "TCP + TLS 1.3": 2,
+  "QUIC 1-RTT": 1,
+  "QUIC 0-RTT": 0,
+};
+
+// Rounds kept in transferTime's per-round list, which only feeds the chart.
+export const MAX_TRANSFER_ROUNDS = 10000;
+
+// Fetch one object over a fresh connection. The RTT is twice the one-way total, the
+// bottleneck rate paces the sender, and slow start doubles cwnd each round with no loss.
+export function transferTime(m, { objectBytes, handshake, initCwnd, mssBytes, rwndBytes }) {
+  const rttMs = 2 * m.totalMs;
+  const segMs = ((mssBytes * 8) / m.rate) * 1000;
+  const bdpBytes = (m.rate / 8) * (rttMs / 1000);
+  const rwndSegs = Math.max(1, Math.floor(rwndBytes / mssBytes));
+  const handshakeRtts = HANDSHAKES[handshake];
+
+  let remaining = Math.max(1, Math.ceil(objectBytes / mssBytes));
+  let cwnd = initCwnd;
+  let t = handshakeRtts * rttMs + rttMs / 2;
+  let roundCount = 0;
+  const rounds = [];
+  // Next round waits for the first ACK unless the window already fills the pipe.
+  const roundMs = (w) => Math.max(w * segMs, segMs + rttMs);
+  while (remaining > 0) {
+    const w = Math.min(cwnd, rwndSegs, remaining);
+    if (w === rwndSegs && remaining > w) {
+      // The window is pinned at rwnd: every round but the last is the same, so take them at once.
+      const full = Math.floor((remaining - 1) / w);
+      for (let k = 0; k < full && rounds.length < MAX_TRANSFER_ROUNDS; k++) {
+        rounds.push({ round: roundCount + k + 1, cwnd: cwnd * 2 ** k, window: w, startMs: t + k * roundMs(w) });
+      }
+      roundCount += full;
+      remaining -= full * w;
+      t += full * roundMs(w);
+      cwnd *= 2 ** full;
+      continue;
+    }
+    roundCount++;
+    if (rounds.length < MAX_TRANSFER_ROUNDS) rounds.push({ round: roundCount, cwnd, window: w, startMs: t });
+    remaining -= w;
+    t += remaining > 0 ? roundMs(w) : w * segMs;
+    cwnd *= 2;
+  }
+
+  return {
+    rttMs, bdpBytes, rwndSegs, handshakeRtts, rounds, roundCount,
+    bdpSegs: bdpBytes / mssBytes,
+    ttfbMs: (handshakeRtts + 1) * rttMs,
+    totalMs: t + rttMs / 2,
+  };
+}
+
+// Build a per-link path from a parsed trace. Each segment's minimum one-way increment is
+// taken as tx + proc + propagation, which fixes the fiber distance; the gap between the
+// minimum and the average becomes fixed queuing. Silent hops split their segment evenly,
+// and the far end's loss is put on the last link.
+export function traceToScenario(trace, base) {
+  const segs = traceSegments(trace, base.hops);
+  if (!segs.length) throw new Error("No hop answered, so there is no path to build.");
+  const txMs = computeMetrics({ ...base, links: null, hops: 1 }).txPerHop_ms;
+  const procMs = base.procUsPerHop / 1000;
+  const kmPerMs = mediumSpeed(base, "Fiber") / km / 1000;
+  const links = [];
+  for (const sg of segs) {
+    const k = sg.to - sg.from + 1;
+    const minMs = Math.max(0, sg.oneWayMinMs) / k;
+    const queueMs = Math.max(0, sg.oneWayAvgMs - sg.oneWayMinMs) / k;
+    for (let i = 0; i < k && links.length < MAX_LINKS; i++) {
+      links.push({
+        ...LINK_DEFAULTS,
+        rateMbps: base.rateMbps,
+        medium: "Fiber",
+        distanceKm: fieldClamp("distanceKm", Math.max(0, minMs - txMs - procMs) * kmPerMs),
+        procUsPerHop: base.procUsPerHop,
+        queueMsPerHop: fieldClamp("queueMsPerHop", queueMs),
+        queueModel: "Fixed",
+        utilization: base.utilization,
+      });
+    }
+  }
+  links[links.length - 1].lossRate = segs[segs.length - 1].loss;
+  return {
+    ...base,
+    name: `Trace: ${trace.target || trace.format}`,
+    sat: null,
+    hops: links.length,
+    distanceKm: links.reduce((a, l) => a + l.distanceKm, 0),
+    queueModel: "Fixed",
+    links,
+  };
+}
+
+// Line measured segments up against the modeled links they cover. What the model's
+// tx + prop + proc does not explain is attributed to queuing.
+export function traceComparison(trace, m) {
+  return traceSegments(trace, m.hops).map(sg => {
+    const ls = m.links.slice(sg.from - 1, sg.to);
+    const sum = (f) => ls.reduce((a, l) => a + f(l), 0);
+    const fixedMs = sum(l => l.txMs + l.propMs + l.procMs);
+    return {
+      ...sg,
+      covered: ls.length === sg.to - sg.from + 1,
+      txMs: sum(l => l.txMs),
+      propMs: sum(l => l.propMs),
+      procMs: sum(l => l.procMs),
+      queueMs: sum(l => l.queueMs),
+      remainderMs: sg.oneWayAvgMs - fixedMs,
+    };
+  });
+}
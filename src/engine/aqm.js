@@ -0,0 +1,202 @@
+// Fluid model of bulk TCP flows filling router buffers, for comparing tail drop with
+// active queue management. Times are in seconds internally, milliseconds at the edges.
+
+import { percentile } from "./simulator.js";
+
+export const AQM_SCHEMES = {
+  TailDrop: "Tail drop",
+  RED: "RED",
+  CoDel: "CoDel",
+  FQCoDel: "FQ-CoDel",
+};
+
+const INITIAL_WINDOW = 10;
+const MAX_STEPS = 200000;
+const SAMPLES = 600;
+
+// RED's queue-average weight is per packet arrival; this spreads it over a time step.
+const RED_WEIGHT = 0.002;
+
+function redProb(avg, min, max, maxP) {
+  if (avg < min) return 0;
+  if (avg < max) return (maxP * (avg - min)) / (max - min);
+  // "Gentle" RED ramps from maxP to 1 between max and 2·max instead of jumping.
+  if (avg < 2 * max) return maxP + ((1 - maxP) * (avg - max)) / max;
+  return 1;
+}
+
+// RFC 8289 state machine, run once per step on the queue's sojourn time. Returns how many
+// packets to drop this step. FQ-CoDel gives every bulk flow its own queue and CoDel
+// instance; the flows are alike, so all of them drop together.
+function codelStep(st, t, sojournS, queueBits, opts) {
+  if (sojournS < opts.targetS || queueBits < opts.packetBits) {
+    st.firstAbove = 0;
+    st.dropping = false;
+    return 0;
+  }
+  if (!st.firstAbove) {
+    st.firstAbove = t + opts.intervalS;
+    return 0;
+  }
+  let drops = 0;
+  if (!st.dropping && t >= st.firstAbove) {
+    st.dropping = true;
+    const delta = st.count - st.lastCount;
+    st.count = delta > 1 && t - st.dropNext < 16 * opts.intervalS ? delta : 1;
+    st.lastCount = st.count;
+    st.dropNext = t + opts.intervalS / Math.sqrt(st.count);
+    drops++;
+  }
+  while (st.dropping && t >= st.dropNext) {
+    st.count++;
+    st.dropNext += opts.intervalS / Math.sqrt(st.count);
+    drops++;
+  }
+  return drops;
+}
+
+/**
+ * Run `profile` phases of bulk TCP uploads across `hops`.
+ *
+ * hops:  [{ rate (bits/s), delayMs (tx + prop + proc, one way), bufferBits, scheme }]
+ * opts:  { profile: [{ durationS, flows }], packetBits, targetMs, intervalMs,
+ *          redMinPct, redMaxPct, redMaxP }
+ *
+ * Flows follow the Misra–Gong–Towsley Reno model, dW/dt = 1/R − W²·p(t − R)/(2R), after a
+ * slow start that doubles W each round trip until the first loss. Like NewReno, a window
+ * is at most halved per round trip however many packets it loses. Each hop is a fluid queue;
+ * whatever overflows the buffer is dropped on top of what the AQM drops. A sparse flow
+ * (a ping or a voice call) measures the latency under load: it waits behind the whole
+ * queue, except under FQ-CoDel, where it only waits for the packet being sent.
+ *
+ * Returns { series: [{ tS, flows, queueMs, latencyMs, dropRate, throughputMbps }],
+ *           summary: { baseMs, queueMs, latencyMs, p95LatencyMs, maxLatencyMs,
+ *                      dropRate, utilization }, dtMs }.
+ * The summary's averages cover the time when at least one flow is running.
+ */
+export function simulateAqm(hops, opts) {
+  const phases = opts.profile.filter(p => p.durationS > 0);
+  const totalS = phases.reduce((a, p) => a + p.durationS, 0);
+  const baseS = hops.reduce((a, h) => a + h.delayMs, 0) / 1000;
+  const baseRtt = Math.max(2 * baseS, 1e-5);
+  const dt = Math.max(Math.min(Math.max(baseRtt / 8, 1e-4), 1e-3), totalS / MAX_STEPS);
+  const steps = Math.max(1, Math.ceil(totalS / dt));
+  const cfg = {
+    packetBits: opts.packetBits,
+    targetS: opts.targetMs / 1000,
+    intervalS: opts.intervalMs / 1000,
+  };
+
+  const maxRtt = baseRtt + hops.reduce((a, h) => a + h.bufferBits / h.rate, 0);
+  const lag = new Float64Array(Math.min(Math.ceil(maxRtt / dt), steps) + 2);
+  const q = hops.map(() => ({ bits: 0, avg: 0, codel: { firstAbove: 0, dropping: false, count: 0, lastCount: 0, dropNext: 0 } }));
+  const bottleneck = Math.min(...hops.map(h => h.rate));
+
+  let W = INITIAL_WINDOW, slowStart = true, prevFlows = 0, floorW = 0, cutUntil = -1;
+  let phase = 0, phaseEnd = phases.length ? phases[0].durationS : 0;
+  const series = [];
+  const every = Math.max(1, Math.floor(steps / SAMPLES));
+  let win = { offered: 0, dropped: 0, delivered: 0 };
+  const loaded = { n: 0, queue: 0, latency: 0, offered: 0, dropped: 0, delivered: 0, lat: [] };
+
+  for (let k = 0; k < steps; k++) {
+    const t = k * dt;
+    while (phase < phases.length - 1 && t >= phaseEnd) phaseEnd += phases[++phase].durationS;
+    const flows = phases.length ? Math.max(0, Math.round(phases[phase].flows)) : 0;
+    if (flows > 0 && prevFlows === 0) {
+      W = INITIAL_WINDOW;
+      slowStart = true;
+    }
+    prevFlows = flows;
+
+    const queueS = q.reduce((a, s, i) => a + s.bits / hops[i].rate, 0);
+    const R = baseRtt + queueS;
+    const pLate = lag[(k - Math.round(R / dt) + lag.length * 2) % lag.length];
+    if (flows > 0) {
+      if (pLate > 0 && t >= cutUntil) {
+        slowStart = false;
+        floorW = W / 2;
+        cutUntil = t + R;
+      }
+      const grow = slowStart ? W / R : 1 / R;
+      W = Math.max(1, t < cutUntil ? floorW : 0, W + (grow - (W * W * pLate) / (2 * R)) * dt);
+    }
+
+    let rate = flows > 0 ? (flows * W * opts.packetBits) / R : 0;
+    const offered = rate * dt;
+    let pass = 1;
+    for (let i = 0; i < hops.length; i++) {
+      const h = hops[i], s = q[i];
+      const inBits = rate * dt;
+      let aqmDrop = 0;
+      if (h.scheme === "RED") {
+        const w = 1 - Math.pow(1 - RED_WEIGHT, inBits / opts.packetBits);
+        s.avg += w * (s.bits - s.avg);
+        aqmDrop = inBits * redProb(s.avg, (opts.redMinPct / 100) * h.bufferBits, (opts.redMaxPct / 100) * h.bufferBits, opts.redMaxP);
+      } else if (h.scheme === "CoDel" || h.scheme === "FQCoDel") {
+        const n = codelStep(s.codel, t, s.bits / h.rate, s.bits, cfg) * (h.scheme === "FQCoDel" ? Math.max(1, flows) : 1);
+        aqmDrop = Math.min(inBits, n * opts.packetBits);
+      }
+      let next = s.bits + inBits - aqmDrop - h.rate * dt;
+      let out = h.rate;
+      if (next < 0) {
+        out = h.rate + next / dt;
+        next = 0;
+      }
+      const overflow = Math.max(0, next - h.bufferBits);
+      s.bits = next - overflow;
+      if (inBits > 0) pass *= 1 - (aqmDrop + overflow) / inBits;
+      rate = out;
+    }
+    lag[k % lag.length] = 1 - pass;
+
+    const queueMs = q.reduce((a, s, i) => a + s.bits / hops[i].rate, 0) * 1000;
+    const probeMs = q.reduce((a, s, i) => {
+      const h = hops[i];
+      if (h.scheme !== "FQCoDel") return a + s.bits / h.rate;
+      return a + (s.bits > 0 ? opts.packetBits / h.rate : 0);
+    }, 0) * 1000;
+    const latencyMs = baseS * 1000 + probeMs;
+    const dropped = offered * (1 - pass);
+    win.offered += offered;
+    win.dropped += dropped;
+    win.delivered += rate * dt;
+    if (flows > 0) {
+      loaded.n++;
+      loaded.queue += queueMs;
+      loaded.latency += latencyMs;
+      loaded.offered += offered;
+      loaded.dropped += dropped;
+      loaded.delivered += rate * dt;
+      if (k % every === 0) loaded.lat.push(latencyMs);
+    }
+    if (k % every === 0 || k === steps - 1) {
+      const span = (k % every || every) * dt;
+      series.push({
+        tS: t,
+        flows,
+        queueMs,
+        latencyMs,
+        dropRate: win.offered > 0 ? win.dropped / win.offered : 0,
+        throughputMbps: win.delivered / span / 1e6,
+      });
+      win = { offered: 0, dropped: 0, delivered: 0 };
+    }
+  }
+
+  const lat = loaded.lat.sort((a, b) => a - b);
+  const n = loaded.n || 1;
+  return {
+    series,
+    dtMs: dt * 1000,
+    summary: {
+      baseMs: baseS * 1000,
+      queueMs: loaded.queue / n,
+      latencyMs: loaded.n ? loaded.latency / n : baseS * 1000,
+      p95LatencyMs: lat.length ? percentile(lat, 0.95) : baseS * 1000,
+      maxLatencyMs: lat.length ? lat[lat.length - 1] : baseS * 1000,
+      dropRate: loaded.offered > 0 ? loaded.dropped / loaded.offered : 0,
+      utilization: loaded.n ? loaded.delivered / (loaded.n * dt * bottleneck) : 0,
+    },
+  };
+}
@@ -0,0 +1,320 @@
+// Worked solutions: every component of computeMetrics written out with the scenario's own
+// numbers substituted, each line in plain text and in LaTeX. Links that share the inputs a
+// component depends on are worked once and counted.
+
+import { DEFAULT_UNITS, formatQuantity } from "./units.js";
+import { C_M_PER_S, mediumSpeed } from "./media.js";
+import { QUEUE_MODELS, computeMetrics } from "./model.js";
+
+const SUP = { "-": "⁻", 0: "⁰", 1: "¹", 2: "²", 3: "³", 4: "⁴", 5: "⁵", 6: "⁶", 7: "⁷", 8: "⁸", 9: "⁹" };
+
+// A bare number, with a power of ten outside 0.001–10⁶. Whole numbers below that stay exact.
+function num(x, digits = 4) {
+  if (!isFinite(x)) return { text: "∞", tex: "\\infty" };
+  if (Number.isInteger(x) && Math.abs(x) < 1e6) return { text: String(x), tex: String(x) };
+  if (x !== 0 && (Math.abs(x) >= 1e6 || Math.abs(x) < 1e-3)) {
+    const [m, e] = x.toExponential(digits - 1).split("e");
+    const exp = String(+e);
+    return { text: `${+m}×10${[...exp].map(c => SUP[c]).join("")}`, tex: `${+m} \\times 10^{${exp}}` };
+  }
+  const v = String(+x.toPrecision(digits));
+  return { text: v, tex: v };
+}
+
+function texUnit(u) {
+  return u.startsWith("µ") ? `\\mu\\text{${u.slice(1)}}` : `\\text{${u}}`;
+}
+
+// A number with a unit written after it.
+function unit(x, u, tex = texUnit(u)) {
+  const n = num(x);
+  return isFinite(x) ? { text: `${n.text} ${u}`, tex: `${n.tex}\\,${tex}` } : n;
+}
+
+// A value scaled to its best unit under the display setting.
+function qty(quantity, v, from, units) {
+  if (v === 0) return unit(0, from);
+  const s = formatQuantity(quantity, v, from, units);
+  if (s === "∞") return num(Infinity);
+  const i = s.lastIndexOf(" ");
+  return { text: s, tex: `${s.slice(0, i)}\\,${texUnit(s.slice(i + 1))}` };
+}
+
+const row = (text, tex, label) => (label ? { label, text, tex } : { text, tex });
+
+function groupLinks(links, keyOf) {
+  const groups = [];
+  links.forEach((l, i) => {
+    const key = keyOf(l);
+    const g = groups.find(x => x.key === key);
+    if (g) g.indices.push(i);
+    else groups.push({ key, link: l, indices: [i] });
+  });
+  return groups;
+}
+
+// "each of the 4 links", "links 1–3, 6" or the satellite segment names.
+function linkLabel(links, indices) {
+  if (indices.length === links.length) return links.length === 1 ? "" : `each of the ${links.length} links`;
+  if (indices.every(i => links[i].segment)) return indices.map(i => links[i].segment).join(", ");
+  const runs = [];
+  for (const i of indices) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === i - 1) last[1] = i;
+    else runs.push([i, i]);
+  }
+  return `link${indices.length > 1 ? "s" : ""} ${runs.map(([a, b]) => (a === b ? `${a + 1}` : `${a + 1}–${b + 1}`)).join(", ")}`;
+}
+
+// Σ over the groups of a per-link value: "4 × 12 µs + 30 µs = 78 µs".
+function sumRow(symbol, groups, valueOf, totalMs, units) {
+  if (groups.length === 1 && groups[0].indices.length === 1) return [];
+  const terms = groups.map(g => {
+    const v = qty("time", valueOf(g.link), "ms", units);
+    const n = g.indices.length;
+    return n > 1 ? { text: `${n} × ${v.text}`, tex: `${n} \\times ${v.tex}` } : v;
+  });
+  const t = qty("time", totalMs, "ms", units);
+  return [row(
+    `Σ ${symbol.text} = ${terms.map(x => x.text).join(" + ")} = ${t.text}`,
+    `\\sum ${symbol.tex} = ${terms.map(x => x.tex).join(" + ")} = ${t.tex}`,
+  )];
+}
+
+function packetRows(m, units) {
+  const bits = unit(m.bits, "bits");
+  if (!m.encap) {
+    const L = qty("size", m.bits / 8, "B", units);
+    return [row(`L = ${L.text} × 8 bit/B = ${bits.text}`, `L = ${L.tex} \\times 8 = ${bits.tex}`)];
+  }
+  const payload = qty("size", m.encap.payloadBits / 8, "B", units);
+  const overhead = qty("size", m.encap.overheadBits / 8, "B", units);
+  const wire = qty("size", m.encap.wireBits / 8, "B", units);
+  return [row(
+    `L = payload + headers = ${payload.text} + ${overhead.text} = ${wire.text} × 8 bit/B = ${bits.text}`,
+    `L = ${payload.tex} + ${overhead.tex} = ${wire.tex} \\times 8 = ${bits.tex}`,
+  )];
+}
+
+function txRows(m, units) {
+  const groups = groupLinks(m.links, l => l.rate);
+  const rows = groups.flatMap(g => {
+    const l = g.link;
+    const R = qty("rate", l.rateMbps, "Mb/s", units);
+    const Rb = unit(l.rate, "b/s");
+    const L = unit(m.bits, "bits");
+    const sec = unit(l.txMs / 1000, "s");
+    const tx = qty("time", l.txMs, "ms", units);
+    return [
+      row(`R = ${R.text} = ${Rb.text}`, `R = ${R.tex} = ${Rb.tex}`, linkLabel(m.links, g.indices)),
+      row(`d_tx = L / R = ${L.text} / ${Rb.text} = ${sec.text} = ${tx.text}`, `d_\\text{tx} = \\frac{L}{R} = \\frac{${L.tex}}{${Rb.tex}} = ${sec.tex} = ${tx.tex}`),
+    ];
+  });
+  return [...rows, ...sumRow({ text: "d_tx", tex: "d_\\text{tx}" }, groups, l => l.txMs, m.dTransTotalMs, units)];
+}
+
+function propRows(s, m, units) {
+  const groups = groupLinks(m.links, l => `${l.distanceKm}|${mediumSpeed(s, l.medium)}`);
+  const rows = groups.flatMap(g => {
+    const l = g.link;
+    const speed = mediumSpeed(s, l.medium);
+    const d = qty("distance", l.distanceKm, "km", units);
+    const dm = unit(l.distanceKm * 1000, "m");
+    const vf = num(speed / C_M_PER_S);
+    const c = unit(C_M_PER_S, "m/s");
+    const v = unit(speed, "m/s");
+    const sec = unit(l.propMs / 1000, "s");
+    const prop = qty("time", l.propMs, "ms", units);
+    return [
+      row(`d = ${d.text} = ${dm.text}`, `d = ${d.tex} = ${dm.tex}`, [linkLabel(m.links, g.indices), l.medium].filter(Boolean).join(", ")),
+      row(`v = VF · c = ${vf.text} × ${c.text} = ${v.text}`, `v = \\mathit{VF} \\cdot c = ${vf.tex} \\times ${c.tex} = ${v.tex}`),
+      row(`d_prop = d / v = ${dm.text} / ${v.text} = ${sec.text} = ${prop.text}`, `d_\\text{prop} = \\frac{d}{v} = \\frac{${dm.tex}}{${v.tex}} = ${sec.tex} = ${prop.tex}`),
+    ];
+  });
+  return [...rows, ...sumRow({ text: "d_prop", tex: "d_\\text{prop}" }, groups, l => l.propMs, m.dPropMs, units)];
+}
+
+function procRows(m, units) {
+  const groups = groupLinks(m.links, l => l.procUsPerHop);
+  const rows = groups.map(g => {
+    const us = qty("time", g.link.procUsPerHop, "µs", units);
+    const ms = unit(g.link.procMs, "ms");
+    return row(`d_proc = ${us.text} = ${ms.text}`, `d_\\text{proc} = ${us.tex} = ${ms.tex}`, linkLabel(m.links, g.indices));
+  });
+  return [...rows, ...sumRow({ text: "d_proc", tex: "d_\\text{proc}" }, groups, l => l.procMs, m.dProcTotalMs, units)];
+}
+
+// One hop's queue, with the same service-time view as queueStats: S = L/R, μ = 1/S, λ = ρμ.
+function queueHopRows(l, units, label) {
+  const Wq = qty("time", l.queueMs, "ms", units);
+  const model = QUEUE_MODELS[l.queueModel] ? l.queueModel : "Fixed";
+  if (model === "Fixed") return [row(`W_q = ${Wq.text} (entered per hop)`, `W_q = ${Wq.tex}`, label)];
+
+  const S = l.txMs / 1000;
+  const mu = 1 / S, rho = Math.max(0, l.utilization), lambda = rho * mu;
+  const r = num(rho);
+  const Sq = qty("time", l.txMs, "ms", units);
+  const perS = (x) => unit(x, "/s", "\\text{s}^{-1}");
+  const head = [
+    row(`${QUEUE_MODELS[model].label}: S = L / R = ${Sq.text}, ρ = ${r.text}`, `S = \\frac{L}{R} = ${Sq.tex},\\quad \\rho = ${r.tex}`, label),
+    row(`μ = 1 / S = ${perS(mu).text}, λ = ρμ = ${r.text} × ${num(mu).text} = ${perS(lambda).text}`,
+      `\\mu = \\frac{1}{S} = ${perS(mu).tex},\\quad \\lambda = \\rho\\mu = ${perS(lambda).tex}`),
+  ];
+  if (l.unstable) return [...head, row(`ρ ≥ 1: the queue grows without bound, W_q = ∞`, `\\rho \\ge 1 \\Rightarrow W_q = \\infty`)];
+
+  const sec = unit(l.queueMs / 1000, "s");
+  const oneMinus = num(1 - rho);
+  if (model === "MM1") {
+    return [...head, row(
+      `W_q = ρ / (μ − λ) = ${r.text} / (${num(mu).text} − ${num(lambda).text}) = ${sec.text} = ${Wq.text}`,
+      `W_q = \\frac{\\rho}{\\mu - \\lambda} = \\frac{${r.tex}}{${num(mu).tex} - ${num(lambda).tex}} = ${sec.tex} = ${Wq.tex}`,
+    )];
+  }
+  if (model === "MD1") {
+    return [...head, row(
+      `W_q = ρS / (2(1 − ρ)) = ${r.text} × ${Sq.text} / (2 × ${oneMinus.text}) = ${Wq.text}`,
+      `W_q = \\frac{\\rho S}{2(1 - \\rho)} = \\frac{${r.tex} \\times ${Sq.tex}}{2 \\times ${oneMinus.tex}} = ${Wq.tex}`,
+    )];
+  }
+  if (model === "MG1") {
+    const cs = num(l.serviceScv);
+    return [...head, row(
+      `W_q = ρS(1 + C²) / (2(1 − ρ)) = ${r.text} × ${Sq.text} × (1 + ${cs.text}) / (2 × ${oneMinus.text}) = ${Wq.text}`,
+      `W_q = \\frac{\\rho S (1 + C_s^2)}{2(1 - \\rho)} = \\frac{${r.tex} \\times ${Sq.tex} \\times (1 + ${cs.tex})}{2 \\times ${oneMinus.tex}} = ${Wq.tex}`,
+    )];
+  }
+  const K = Math.max(1, Math.round(l.bufferPkts));
+  const PK = num(l.dropProb);
+  const lambdaEff = lambda * (1 - l.dropProb);
+  const L = lambdaEff * (S + l.queueMs / 1000);
+  const pk = Math.abs(rho - 1) < 1e-9
+    ? row(`ρ = 1: P_K = 1 / (K + 1) = 1 / ${K + 1} = ${PK.text}, L = K / 2 = ${num(L).text}`, `\\rho = 1:\\; P_K = \\frac{1}{K + 1} = ${PK.tex},\\quad L = \\frac{K}{2} = ${num(L).tex}`)
+    : row(
+      `P_K = (1 − ρ)ρ^K / (1 − ρ^(K+1)) = ${PK.text} with K = ${K}, L = ρ/(1 − ρ) − (K+1)ρ^(K+1) / (1 − ρ^(K+1)) = ${num(L).text}`,
+      `P_K = \\frac{(1 - \\rho)\\rho^K}{1 - \\rho^{K+1}} = ${PK.tex},\\quad L = \\frac{\\rho}{1 - \\rho} - \\frac{(K+1)\\rho^{K+1}}{1 - \\rho^{K+1}} = ${num(L).tex}`,
+    );
+  return [...head, pk, row(
+    `W_q = L / (λ(1 − P_K)) − S = ${num(L).text} / ${perS(lambdaEff).text} − ${Sq.text} = ${Wq.text}`,
+    `W_q = \\frac{L}{\\lambda(1 - P_K)} - S = \\frac{${num(L).tex}}{${perS(lambdaEff).tex}} - ${Sq.tex} = ${Wq.tex}`,
+  )];
+}
+
+function queueRows(m, units) {
+  const groups = groupLinks(m.links, l => JSON.stringify([l.queueModel, l.queueMsPerHop, l.utilization, l.serviceScv, l.bufferPkts, l.rate]));
+  const rows = groups.flatMap(g => queueHopRows(g.link, units, linkLabel(m.links, g.indices)));
+  return [...rows, ...sumRow({ text: "W_q", tex: "W_q" }, groups, l => l.queueMs, m.dQueueTotalMs, units)];
+}
+
+function retxRows(m, units) {
+  const lossy = m.links.map((l, i) => i).filter(i => m.links[i].errProb > 0);
+  const groups = groupLinks(lossy.map(i => m.links[i]), l => JSON.stringify([l.lossRate, l.ber, l.harqMaxTx, l.harqRttMs]))
+    .map(g => ({ ...g, indices: g.indices.map(j => lossy[j]) }));
+  const rows = groups.flatMap(g => {
+    const l = g.link;
+    const p = num(l.errProb);
+    const out = [row(
+      `p = 1 − (1 − loss)(1 − BER)^L = 1 − (1 − ${num(l.lossRate).text})(1 − ${num(l.ber).text})^${m.bits} = ${p.text}`,
+      `p = 1 - (1 - \\text{loss})(1 - \\mathit{BER})^L = 1 - (1 - ${num(l.lossRate).tex})(1 - ${num(l.ber).tex})^{${m.bits}} = ${p.tex}`,
+      linkLabel(m.links, g.indices) || "the link",
+    )];
+    const n = Math.max(1, Math.round(l.harqMaxTx));
+    if (n > 1) {
+      const T = qty("time", l.harqRttMs, "ms", units);
+      let sum = 0;
+      for (let k = 1; k < n; k++) sum += Math.pow(l.errProb, k);
+      const eK = num(sum);
+      const harq = qty("time", l.retxMs, "ms", units);
+      out.push(row(
+        `HARQ: T · Σ(k=1..${n - 1}) p^k = ${T.text} × ${eK.text} = ${harq.text}, still lost p^${n} = ${num(l.residualLoss).text}`,
+        `T_\\text{HARQ} \\sum_{k=1}^{${n - 1}} p^k = ${T.tex} \\times ${eK.tex} = ${harq.tex},\\quad p^{${n}} = ${num(l.residualLoss).tex}`,
+      ));
+    }
+    return out;
+  });
+  const a = m.arq;
+  if (a.pathLoss > 0) {
+    const P = num(a.pathLoss);
+    if (a.protocol === "None") {
+      rows.push(row(`Path loss P = ${P.text}; without end-to-end ARQ lost packets are not resent`, `P = ${P.tex}`, "end to end"));
+    } else {
+      const t = qty("time", a.timeoutMs, "ms", units);
+      const arq = qty("time", a.extraMs, "ms", units);
+      rows.push(row(
+        `${a.protocol}: timeout · P / (1 − P) = ${t.text} × ${P.text} / ${num(1 - a.pathLoss).text} = ${arq.text}`,
+        `t_\\text{out} \\frac{P}{1 - P} = \\frac{${t.tex} \\times ${P.tex}}{${num(1 - a.pathLoss).tex}} = ${arq.tex}`,
+        "end to end",
+      ));
+    }
+  }
+  if (!rows.length) return [row("No loss on any link: d_retx = 0", "d_\\text{retx} = 0")];
+  const total = qty("time", m.dRetxMs, "ms", units);
+  return [...rows, row(`d_retx = Σ HARQ + ARQ = ${total.text}`, `d_\\text{retx} = ${total.tex}`)];
+}
+
+const SYMBOLS = {
+  tx: { text: "d_tx", tex: "d_\\text{tx}" },
+  prop: { text: "d_prop", tex: "d_\\text{prop}" },
+  proc: { text: "d_proc", tex: "d_\\text{proc}" },
+  queue: { text: "d_queue", tex: "d_\\text{queue}" },
+  retx: { text: "d_retx", tex: "d_\\text{retx}" },
+};
+
+/**
+ * The worked solution for one scenario: a step per delay component, then the total.
+ * Each row is { text, tex } with an optional `label` naming the links it covers.
+ *
+ * @returns {{ name: string, totalMs: number, steps: { key: string, label: string, valueMs: number | null, rows: object[] }[] }}
+ */
+export function deriveMetrics(s, units = DEFAULT_UNITS, m = computeMetrics(s)) {
+  const rowsFor = {
+    tx: () => txRows(m, units),
+    prop: () => propRows(s, m, units),
+    proc: () => procRows(m, units),
+    queue: () => queueRows(m, units),
+    retx: () => retxRows(m, units),
+  };
+  const values = m.parts.map(p => qty("time", p.value, "ms", units));
+  const total = qty("time", m.totalMs, "ms", units);
+  return {
+    name: s.name,
+    totalMs: m.totalMs,
+    steps: [
+      { key: "bits", label: "Packet length", valueMs: null, rows: packetRows(m, units) },
+      ...m.parts.map(p => ({ key: p.key, label: p.label, valueMs: p.value, rows: rowsFor[p.key]() })),
+      {
+        key: "total", label: "Total (one way)", valueMs: m.totalMs, rows: [row(
+          `T = ${m.parts.map(p => SYMBOLS[p.key].text).join(" + ")} = ${values.map(v => v.text).join(" + ")} = ${total.text}`,
+          `T = ${m.parts.map(p => SYMBOLS[p.key].tex).join(" + ")} = ${values.map(v => v.tex).join(" + ")} = ${total.tex}`,
+        )],
+      },
+    ],
+  };
+}
+
+/** The worked solution as Markdown, formulas in code spans. */
+export function derivationMarkdown(d, units = DEFAULT_UNITS) {
+  const out = [`## ${d.name}: worked solution`];
+  for (const st of d.steps) {
+    out.push("", `### ${st.label}${st.valueMs == null ? "" : ` = ${qty("time", st.valueMs, "ms", units).text}`}`, "");
+    for (const r of st.rows) out.push(`- ${r.label ? `${r.label}: ` : ""}\`${r.text}\``);
+  }
+  return out.join("\n") + "\n";
+}
+
+// Most specials take a backslash; \\, ~ and ^ would then mean a line break and two accents, so they get named symbols.
+const TEX_SYMBOLS = { "\\": "\\textbackslash{}", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}" };
+const texEscape = (t) => t.replace(/[\\&%$#_{}~^]/g, (c) => TEX_SYMBOLS[c] ?? `\\${c}`).replace(/–/g, "--");
+
+/** The worked solution as LaTeX: one align* block per component. */
+export function derivationLatex(d) {
+  const out = [`\\subsection*{${texEscape(d.name)}: worked solution}`];
+  for (const st of d.steps) {
+    out.push(`\\paragraph{${texEscape(st.label)}}`, "\\begin{align*}");
+    st.rows.forEach((r, i) => {
+      const line = r.tex.replace(" = ", " &= ") + (r.label ? ` && \\text{(${texEscape(r.label)})}` : "");
+      out.push(`  ${line}${i < st.rows.length - 1 ? " \\\\" : ""}`);
+    });
+    out.push("\\end{align*}");
+  }
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,20 @@
+// Units and display formatting shared by the engine, the app and the CLI.
+
+export const Mb = 1_000_000; 
+export const km = 1000; 
+
+export function fmtMs(x) {
+  if (!isFinite(x)) return "∞";
+  if (x > 0 && x < 0.001) return `${(x * 1e6).toFixed(2)} ns`;
+  if (x < 1) return `${(x * 1000).toFixed(2)} µs`;
+  if (x < 1000) return `${x.toFixed(3)} ms`;
+  return `${(x / 1000).toFixed(3)} s`;
+}
+export function fmtSignedMs(x) {
+  return x < 0 ? `−${fmtMs(-x)}` : fmtMs(x);
+}
+export function fmtSpeed(mps) {
+  const exp = Math.floor(Math.log10(mps));
+  return `${(mps / 10 ** exp).toFixed(2)}×10${String(exp).replace(/\d/g, d => "⁰¹²³⁴⁵⁶⁷⁸⁹"[d])} m/s`;
+}
+export function clamp(n, min, max) { return Math.min(max, Math.max(min, n)); }
@@ -0,0 +1,125 @@
+// Offline place list and great-circle distances. Coordinates are approximate (city
+// centre or the metro an IXP or cloud region sits in), which is plenty for propagation.
+
+export const EARTH_RADIUS_KM = 6371.0088;
+export const LIGHT_KM_PER_MS = 299.792458;
+
+export const PLACE_KINDS = { city: "City", ixp: "IXP", cloud: "Cloud region" };
+
+export const PLACES = [
+  { name: "New York", kind: "city", lat: 40.7128, lon: -74.006 },
+  { name: "Washington DC", kind: "city", lat: 38.9072, lon: -77.0369 },
+  { name: "Ashburn", kind: "city", lat: 39.0438, lon: -77.4874 },
+  { name: "Chicago", kind: "city", lat: 41.8781, lon: -87.6298 },
+  { name: "Dallas", kind: "city", lat: 32.7767, lon: -96.797 },
+  { name: "Miami", kind: "city", lat: 25.7617, lon: -80.1918 },
+  { name: "Toronto", kind: "city", lat: 43.6532, lon: -79.3832 },
+  { name: "Seattle", kind: "city", lat: 47.6062, lon: -122.3321 },
+  { name: "San Francisco", kind: "city", lat: 37.7749, lon: -122.4194 },
+  { name: "Los Angeles", kind: "city", lat: 34.0522, lon: -118.2437 },
+  { name: "Honolulu", kind: "city", lat: 21.3069, lon: -157.8583 },
+  { name: "Mexico City", kind: "city", lat: 19.4326, lon: -99.1332 },
+  { name: "São Paulo", kind: "city", lat: -23.5505, lon: -46.6333 },
+  { name: "Buenos Aires", kind: "city", lat: -34.6037, lon: -58.3816 },
+  { name: "Santiago", kind: "city", lat: -33.4489, lon: -70.6693 },
+  { name: "London", kind: "city", lat: 51.5074, lon: -0.1278 },
+  { name: "Dublin", kind: "city", lat: 53.3498, lon: -6.2603 },
+  { name: "Paris", kind: "city", lat: 48.8566, lon: 2.3522 },
+  { name: "Marseille", kind: "city", lat: 43.2965, lon: 5.3698 },
+  { name: "Amsterdam", kind: "city", lat: 52.3676, lon: 4.9041 },
+  { name: "Frankfurt", kind: "city", lat: 50.1109, lon: 8.6821 },
+  { name: "Madrid", kind: "city", lat: 40.4168, lon: -3.7038 },
+  { name: "Lisbon", kind: "city", lat: 38.7223, lon: -9.1393 },
+  { name: "Stockholm", kind: "city", lat: 59.3293, lon: 18.0686 },
+  { name: "Warsaw", kind: "city", lat: 52.2297, lon: 21.0122 },
+  { name: "Moscow", kind: "city", lat: 55.7558, lon: 37.6173 },
+  { name: "Istanbul", kind: "city", lat: 41.0082, lon: 28.9784 },
+  { name: "Cairo", kind: "city", lat: 30.0444, lon: 31.2357 },
+  { name: "Lagos", kind: "city", lat: 6.5244, lon: 3.3792 },
+  { name: "Nairobi", kind: "city", lat: -1.2921, lon: 36.8219 },
+  { name: "Johannesburg", kind: "city", lat: -26.2041, lon: 28.0473 },
+  { name: "Cape Town", kind: "city", lat: -33.9249, lon: 18.4241 },
+  { name: "Dubai", kind: "city", lat: 25.2048, lon: 55.2708 },
+  { name: "Mumbai", kind: "city", lat: 19.076, lon: 72.8777 },
+  { name: "Chennai", kind: "city", lat: 13.0827, lon: 80.2707 },
+  { name: "Singapore", kind: "city", lat: 1.3521, lon: 103.8198 },
+  { name: "Jakarta", kind: "city", lat: -6.2088, lon: 106.8456 },
+  { name: "Hong Kong", kind: "city", lat: 22.3193, lon: 114.1694 },
+  { name: "Shanghai", kind: "city", lat: 31.2304, lon: 121.4737 },
+  { name: "Beijing", kind: "city", lat: 39.9042, lon: 116.4074 },
+  { name: "Seoul", kind: "city", lat: 37.5665, lon: 126.978 },
+  { name: "Tokyo", kind: "city", lat: 35.6762, lon: 139.6503 },
+  { name: "Sydney", kind: "city", lat: -33.8688, lon: 151.2093 },
+  { name: "Auckland", kind: "city", lat: -36.8485, lon: 174.7633 },
+
+  { name: "DE-CIX Frankfurt", kind: "ixp", lat: 50.1109, lon: 8.6821 },
+  { name: "AMS-IX Amsterdam", kind: "ixp", lat: 52.3676, lon: 4.9041 },
+  { name: "LINX London", kind: "ixp", lat: 51.5115, lon: -0.0016 },
+  { name: "France-IX Paris", kind: "ixp", lat: 48.8566, lon: 2.3522 },
+  { name: "MSK-IX Moscow", kind: "ixp", lat: 55.7558, lon: 37.6173 },
+  { name: "Equinix Ashburn", kind: "ixp", lat: 39.0438, lon: -77.4874 },
+  { name: "NYIIX New York", kind: "ixp", lat: 40.7128, lon: -74.006 },
+  { name: "Equinix Chicago", kind: "ixp", lat: 41.8781, lon: -87.6298 },
+  { name: "Any2 Los Angeles", kind: "ixp", lat: 34.048, lon: -118.256 },
+  { name: "IX.br São Paulo", kind: "ixp", lat: -23.5505, lon: -46.6333 },
+  { name: "NAPAfrica Johannesburg", kind: "ixp", lat: -26.2041, lon: 28.0473 },
+  { name: "SGIX Singapore", kind: "ixp", lat: 1.3521, lon: 103.8198 },
+  { name: "HKIX Hong Kong", kind: "ixp", lat: 22.3193, lon: 114.1694 },
+  { name: "JPNAP Tokyo", kind: "ixp", lat: 35.6762, lon: 139.6503 },
+
+  { name: "AWS us-east-1 (N. Virginia)", kind: "cloud", lat: 39.0438, lon: -77.4874 },
+  { name: "AWS us-east-2 (Ohio)", kind: "cloud", lat: 39.9612, lon: -82.9988 },
+  { name: "AWS us-west-1 (N. California)", kind: "cloud", lat: 37.3541, lon: -121.9552 },
+  { name: "AWS us-west-2 (Oregon)", kind: "cloud", lat: 45.8399, lon: -119.7006 },
+  { name: "AWS eu-west-1 (Ireland)", kind: "cloud", lat: 53.3498, lon: -6.2603 },
+  { name: "AWS eu-west-2 (London)", kind: "cloud", lat: 51.5074, lon: -0.1278 },
+  { name: "AWS eu-central-1 (Frankfurt)", kind: "cloud", lat: 50.1109, lon: 8.6821 },
+  { name: "AWS ap-south-1 (Mumbai)", kind: "cloud", lat: 19.076, lon: 72.8777 },
+  { name: "AWS ap-southeast-1 (Singapore)", kind: "cloud", lat: 1.3521, lon: 103.8198 },
+  { name: "AWS ap-northeast-1 (Tokyo)", kind: "cloud", lat: 35.6762, lon: 139.6503 },
+  { name: "AWS ap-southeast-2 (Sydney)", kind: "cloud", lat: -33.8688, lon: 151.2093 },
+  { name: "AWS sa-east-1 (São Paulo)", kind: "cloud", lat: -23.5505, lon: -46.6333 },
+  { name: "GCP us-central1 (Iowa)", kind: "cloud", lat: 41.2619, lon: -95.8608 },
+  { name: "GCP europe-west1 (Belgium)", kind: "cloud", lat: 50.449, lon: 3.8186 },
+  { name: "GCP asia-east1 (Taiwan)", kind: "cloud", lat: 24.0518, lon: 120.5161 },
+  { name: "Azure eastus (Virginia)", kind: "cloud", lat: 37.3719, lon: -79.8164 },
+  { name: "Azure westeurope (Netherlands)", kind: "cloud", lat: 52.3667, lon: 4.9 },
+  { name: "Azure southeastasia (Singapore)", kind: "cloud", lat: 1.3521, lon: 103.8198 },
+];
+
+const rad = (d) => (d * Math.PI) / 180;
+
+/** Haversine distance between two { lat, lon } points in degrees. */
+export function greatCircleKm(a, b) {
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export function routeKm(points) {
+  let d = 0;
+  for (let i = 1; i < points.length; i++) d += greatCircleKm(points[i - 1], points[i]);
+  return d;
+}
+
+export function validPoint(p) {
+  return p != null && typeof p === "object" &&
+    typeof p.lat === "number" && Math.abs(p.lat) <= 90 &&
+    typeof p.lon === "number" && Math.abs(p.lon) <= 180;
+}
+
+/**
+ * Resolve what the user typed: a place name from PLACES (case-insensitive) or a
+ * "lat, long" pair in decimal degrees. Returns { name, lat, lon } or null.
+ */
+export function parsePoint(text) {
+  const t = String(text).trim();
+  if (!t) return null;
+  const place = PLACES.find(p => p.name.toLowerCase() === t.toLowerCase());
+  if (place) return { name: place.name, lat: place.lat, lon: place.lon };
+  const m = t.match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/);
+  if (!m) return null;
+  const p = { name: `${m[1]}, ${m[2]}`, lat: Number(m[1]), lon: Number(m[2]) };
+  return validPoint(p) ? p : null;
+}
@@ -0,0 +1,19 @@
+// Headless delay engine: plain data and pure functions, no DOM or React, so the app, the
+// `ndv` CLI and the tests all run the same math. Imports spell out ".js" so Node can load
+// these files without a bundler.
+
+export * from "./format.js";
+export * from "./units.js";
+export * from "./media.js";
+export * from "./random.js";
+export * from "./geo.js";
+export * from "./satellite.js";
+export * from "./aqm.js";
+export * from "./montecarlo.js";
+export * from "./simulator.js";
+export * from "./traceroute.js";
+export * from "./model.js";
+export * from "./analysis.js";
+export * from "./derivation.js";
+export * from "./quiz.js";
+export * from "./schema.js";
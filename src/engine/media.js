@@ -0,0 +1,37 @@
+// Propagation media by velocity factor, and the helpers that carry custom media inside scenarios.
+
+export const C_M_PER_S = 299792458;
+
+// Built-in media by velocity factor (signal speed as a fraction of c). Users can add their
+// own or override these; a scenario carries the definitions of the custom media it uses.
+export const MEDIA = {
+  Fiber: { vf: 1 / 1.468, note: "Single-mode silica, n ≈ 1.468" },
+  Coax: { vf: 0.85, note: "Foam dielectric (RG-6)" },
+  "Twisted Pair": { vf: 0.67, note: "Cat 5e / Cat 6" },
+  "Free Space (RF)": { vf: 1, note: "Radio through air" },
+};
+export const VF_RANGE = { min: 0.01, max: 1 };
+
+export function mediumSpeed(s, name) {
+  const def = s.media?.[name] ?? MEDIA[name] ?? MEDIA.Fiber;
+  return def.vf * C_M_PER_S;
+}
+
+// Copy the custom definitions the scenario uses into it, so saved and shared scenarios
+// compute the same anywhere. Definitions the registry lacks (say, from a shared link) stay.
+export function embedMedia(s, custom) {
+  const used = new Set([s.medium, ...(Array.isArray(s.links) ? s.links.map(l => l.medium) : [])]);
+  const media = {};
+  for (const name of used) {
+    const def = custom[name] ?? s.media?.[name];
+    if (def) media[name] = def;
+  }
+  return { ...s, media: Object.keys(media).length ? media : null };
+}
+
+// Add a scenario's embedded media to the registry without touching existing names.
+export function mergeMedia(custom, ...scenarios) {
+  const next = { ...custom };
+  for (const sc of scenarios) for (const [name, def] of Object.entries(sc?.media ?? {})) next[name] ??= def;
+  return next;
+}
@@ -0,0 +1,657 @@
+// The scenario model: defaults, presets, protocol stack, path construction and the per-hop
+// delay math behind computeMetrics.
+
+import { Mb, km, clamp } from "./format.js";
+import { formatQuantity } from "./units.js";
+import { mediumSpeed } from "./media.js";
+import { LIGHT_KM_PER_MS, greatCircleKm, routeKm } from "./geo.js";
+import { ORBITS, satellitePath } from "./satellite.js";
+import { simulateAqm } from "./aqm.js";
+import { sampleDelays } from "./montecarlo.js";
+
+// The satellite legs sit in front of the terrestrial path: user → satellite(s) → gateway → path.
+export const SAT_DEFAULT = {
+  orbit: "GEO",
+  altitudeKm: ORBITS.GEO.altitudeKm,
+  mode: "bent-pipe",
+  geometry: "elevation",
+  userElevDeg: 40,
+  gwElevDeg: 40,
+  islKm: 4000,
+  islHops: 3,
+  islHopKm: 2000,
+  user: { name: "Denver", lat: 39.7392, lon: -104.9903 },
+  gateway: { name: "Dallas", lat: 32.7767, lon: -96.797 },
+  satLon: -97,
+  rateMbps: 100,
+  procUsPerHop: 100,
+};
+
+export const PRESETS = {
+  "HFC (Cable)": {
+    rateMbps: 300, packetBytes: 1500, distanceKm: 20, medium: "Coax",
+    hops: 8, procUsPerHop: 50, queueMsPerHop: 0.2, queueModel: "Fixed", utilization: 0.5,
+    lossRate: 0, ber: 1e-8, harqMaxTx: 1, harqRttMs: 0,
+  },
+  "DSL (VDSL2)": {
+    rateMbps: 50, packetBytes: 1500, distanceKm: 5, medium: "Twisted Pair",
+    hops: 6, procUsPerHop: 50, queueMsPerHop: 0.3, queueModel: "Fixed", utilization: 0.6,
+    lossRate: 0, ber: 1e-7, harqMaxTx: 1, harqRttMs: 0,
+  },
+  "FTTH (GPON)": {
+    rateMbps: 1000, packetBytes: 1500, distanceKm: 30, medium: "Fiber",
+    hops: 10, procUsPerHop: 40, queueMsPerHop: 0.1, queueModel: "Fixed", utilization: 0.35,
+    lossRate: 0, ber: 1e-12, harqMaxTx: 1, harqRttMs: 0,
+  },
+  "4G LTE": {
+    rateMbps: 75, packetBytes: 1500, distanceKm: 3, medium: "Free Space (RF)",
+    hops: 12, procUsPerHop: 80, queueMsPerHop: 0.8, queueModel: "Fixed", utilization: 0.7,
+    lossRate: 0.1, ber: 0, harqMaxTx: 4, harqRttMs: 8,
+  },
+  "5G (mid-band)": {
+    rateMbps: 400, packetBytes: 1500, distanceKm: 2, medium: "Free Space (RF)",
+    hops: 12, procUsPerHop: 60, queueMsPerHop: 0.4, queueModel: "Fixed", utilization: 0.5,
+    lossRate: 0.1, ber: 0, harqMaxTx: 4, harqRttMs: 2,
+  },
+  "DSL → Metro → Backbone": {
+    rateMbps: 50, packetBytes: 1500, distanceKm: 1317, medium: "Fiber",
+    hops: 5, procUsPerHop: 30, queueMsPerHop: 0.1, queueModel: "Fixed", utilization: 0.4,
+    lossRate: 0, ber: 1e-12, harqMaxTx: 1, harqRttMs: 0,
+    links: [
+      { rateMbps: 50, medium: "Twisted Pair", distanceKm: 2, procUsPerHop: 80, queueMsPerHop: 0.5, queueModel: "Fixed", utilization: 0.6, ber: 1e-7 },
+      { rateMbps: 10000, medium: "Fiber", distanceKm: 15, procUsPerHop: 20, queueMsPerHop: 0.05, queueModel: "Fixed", utilization: 0.3 },
+      { rateMbps: 100000, medium: "Fiber", distanceKm: 60, procUsPerHop: 10, queueMsPerHop: 0.02, queueModel: "Fixed", utilization: 0.3 },
+      { rateMbps: 100000, medium: "Fiber", distanceKm: 1200, procUsPerHop: 10, queueMsPerHop: 0.05, queueModel: "Fixed", utilization: 0.4 },
+      { rateMbps: 10000, medium: "Fiber", distanceKm: 40, procUsPerHop: 20, queueMsPerHop: 0.05, queueModel: "Fixed", utilization: 0.3 },
+    ],
+  },
+  "GEO broadband": {
+    rateMbps: 1000, packetBytes: 1500, distanceKm: 800, medium: "Fiber",
+    hops: 6, procUsPerHop: 40, queueMsPerHop: 0.2, queueModel: "Fixed", utilization: 0.5,
+    lossRate: 0, ber: 1e-12, harqMaxTx: 1, harqRttMs: 0,
+    sat: { ...SAT_DEFAULT, userElevDeg: 35, gwElevDeg: 45, rateMbps: 50, procUsPerHop: 500 },
+  },
+  "LEO bent pipe": {
+    rateMbps: 1000, packetBytes: 1500, distanceKm: 300, medium: "Fiber",
+    hops: 5, procUsPerHop: 40, queueMsPerHop: 0.2, queueModel: "Fixed", utilization: 0.5,
+    lossRate: 0, ber: 1e-12, harqMaxTx: 1, harqRttMs: 0,
+    sat: { ...SAT_DEFAULT, orbit: "LEO", altitudeKm: ORBITS.LEO.altitudeKm, userElevDeg: 50, gwElevDeg: 50, rateMbps: 200 },
+  },
+  "LEO laser mesh": {
+    rateMbps: 1000, packetBytes: 1500, distanceKm: 100, medium: "Fiber",
+    hops: 3, procUsPerHop: 40, queueMsPerHop: 0.2, queueModel: "Fixed", utilization: 0.5,
+    lossRate: 0, ber: 1e-12, harqMaxTx: 1, harqRttMs: 0,
+    sat: {
+      ...SAT_DEFAULT, orbit: "LEO", altitudeKm: ORBITS.LEO.altitudeKm, mode: "isl", geometry: "positions",
+      user: { name: "London", lat: 51.5074, lon: -0.1278 }, gateway: { name: "New York", lat: 40.7128, lon: -74.006 },
+      rateMbps: 200,
+    },
+  },
+};
+
+export function applyPreset(s, p) {
+  return { ...s, ...p, links: p.links ?? null, sat: p.sat ?? null, geo: p.geo ?? null };
+}
+
+/**
+ * @typedef {object} Link
+ * @property {number} rateMbps
+ * @property {string} medium           key of MEDIA or of the scenario's own `media`
+ * @property {number} distanceKm
+ * @property {number} procUsPerHop
+ * @property {number} queueMsPerHop    wait used by the "Fixed" queue model
+ * @property {keyof typeof QUEUE_MODELS} queueModel
+ * @property {number} utilization      ρ at this hop
+ * @property {number} [serviceScv]     C² of the service time (M/G/1)
+ * @property {number} [bufferPkts]     K (M/M/1/K)
+ * @property {number} [lossRate]
+ * @property {number} [ber]
+ * @property {number} [harqMaxTx]
+ * @property {number} [harqRttMs]
+ * @property {keyof typeof SCHEDULERS | null} [scheduler]  overrides traffic.scheduler
+ * @property {string | null} [aqm]     overrides aqm.scheme
+ * @property {number} [bufferSize]     overrides aqm.bufferSize, in `bufferUnit`
+ * @property {"bytes" | "ms"} [bufferUnit]
+ * @property {string} [segment]        label on satellite legs
+ */
+
+/**
+ * Everything the engine needs to compute one path. The single-value fields describe `hops`
+ * identical links; a non-empty `links` list replaces them. Optional parts are null when off.
+ *
+ * @typedef {object} Scenario
+ * @property {string} name
+ * @property {number} packetBytes      payload per packet, in bytes
+ * @property {number} rateMbps
+ * @property {number} distanceKm
+ * @property {string} medium
+ * @property {number} hops
+ * @property {number} procUsPerHop
+ * @property {number} queueMsPerHop
+ * @property {keyof typeof QUEUE_MODELS} queueModel
+ * @property {number} utilization
+ * @property {number} serviceScv
+ * @property {number} bufferPkts
+ * @property {number} lossRate
+ * @property {number} ber
+ * @property {number} harqMaxTx
+ * @property {number} harqRttMs
+ * @property {Link[] | null} links
+ * @property {{ link: string, vlanTags: number, ip: string, transport: string, tunnel: string, pathMtu: number } | null} stack
+ * @property {{ protocol: string, window: number, timeoutMs: number }} arq
+ * @property {{ from: object, to: object, waypoints: object[], inflation: number } | null} geo
+ * @property {typeof SAT_DEFAULT | null} sat
+ * @property {Object<string, { vf: number, note: string }> | null} media
+ * @property {typeof DEFAULT_TRAFFIC | null} traffic
+ * @property {typeof DEFAULT_AQM | null} aqm
+ * @property {typeof DEFAULT_JITTER | null} jitter
+ * @property {{ name: string, limitMs: number, path: "oneWay" | "rtt", parts: { label: string, ms: number }[] } | null} budget
+ */
+
+/** @type {Scenario} */
+export const DEFAULT_SCENARIO = {
+  name: "Scenario",
+  packetBytes: 1500,
+  rateMbps: 1000,
+  distanceKm: 10,
+  medium: "Fiber",
+  hops: 10,
+  procUsPerHop: 50,
+  queueMsPerHop: 0.2,
+  queueModel: "Fixed", 
+  utilization: 0.5,    
+  serviceScv: 1,
+  bufferPkts: 20,
+  lossRate: 0,
+  ber: 0,
+  harqMaxTx: 1,
+  harqRttMs: 8,
+  links: null,
+  stack: null,
+  arq: { protocol: "None", window: 8, timeoutMs: 100 },
+  geo: null,
+  sat: null,
+  media: null,
+  traffic: null,
+  aqm: null,
+  jitter: null,
+  budget: null,
+};
+
+export const LINK_DEFAULTS = { serviceScv: 1, bufferPkts: 20, lossRate: 0, ber: 0, harqMaxTx: 1, harqRttMs: 8 };
+export const ARQ_PROTOCOLS = ["None", "Stop-and-wait", "Go-Back-N", "Selective Repeat"];
+
+export const MAX_LINKS = 60;
+
+// Fiber rarely follows the great circle; 1.5 is a common rule of thumb for terrestrial routes.
+export const GEO_INFLATION = { min: 1, max: 5, default: 1.5 };
+
+export function geoDistanceKm(geo) {
+  return routeKm([geo.from, ...geo.waypoints, geo.to]) * geo.inflation;
+}
+
+// Per-layer overhead in bytes. Ethernet framing counts preamble/SFD 8, header 14,
+// FCS 4 and inter-frame gap 12; `shim` sits inside the frame payload (PPPoE + PPP).
+export const LINK_LAYERS = {
+  Ethernet: { framing: 38, shim: 0, minPayload: 46 },
+  "802.11": { framing: 38, shim: 0, minPayload: 0 },
+  PPPoE: { framing: 38, shim: 8, minPayload: 46 },
+};
+export const IP_VERSIONS = {
+  IPv4: { header: 20, fragHeader: 0 },
+  IPv6: { header: 40, fragHeader: 8 },
+};
+export const TRANSPORTS = { TCP: 20, UDP: 8, QUIC: 37, None: 0 };
+// Tunnel header/trailer bytes on top of the outer IP header.
+export const TUNNELS = { None: 0, IPsec: 34, WireGuard: 40, OpenVPN: 49 };
+
+export const DEFAULT_STACK = { link: "Ethernet", vlanTags: 0, ip: "IPv4", transport: "TCP", tunnel: "None", pathMtu: 1500 };
+
+// `packetBytes` is the application payload; returns what actually crosses the wire.
+export function encapsulate(s) {
+  const st = { ...DEFAULT_STACK, ...s.stack };
+  const link = LINK_LAYERS[st.link];
+  const ip = IP_VERSIONS[st.ip];
+  const payload = Math.round(s.packetBytes);
+  const transport = TRANSPORTS[st.transport];
+  const tunnel = TUNNELS[st.tunnel];
+  const innerIp = tunnel ? ip.header : 0;
+
+  // The outermost IP packet is what gets fragmented against the path MTU.
+  const data = payload + transport + innerIp + tunnel;
+  const l3Mtu = st.pathMtu - link.shim;
+  const perFrag = Math.max(8, Math.floor((l3Mtu - ip.header - ip.fragHeader) / 8) * 8);
+  const fragments = data + ip.header <= l3Mtu ? 1 : Math.ceil(data / perFrag);
+  const ipHeader = fragments > 1 ? ip.header + ip.fragHeader : ip.header;
+
+  let padding = 0;
+  for (let i = 0; i < fragments; i++) {
+    const chunk = fragments === 1 ? data : i < fragments - 1 ? perFrag : data - perFrag * (fragments - 1);
+    padding += Math.max(0, link.minPayload - (link.shim + ipHeader + chunk));
+  }
+
+  const layers = [
+    { key: "payload", label: "Payload", bytes: payload },
+    { key: "transport", label: st.transport, bytes: transport },
+    { key: "tunnel", label: `${st.tunnel} + inner IP`, bytes: tunnel + innerIp },
+    { key: "ip", label: fragments > 1 ? `${st.ip} × ${fragments} fragments` : st.ip, bytes: ipHeader * fragments },
+    { key: "l2", label: `${st.link}${st.vlanTags ? ` + ${st.vlanTags} VLAN` : ""}`, bytes: (link.framing + link.shim + 4 * st.vlanTags) * fragments },
+    { key: "pad", label: "Padding", bytes: padding },
+  ].filter(l => l.bytes > 0);
+  const wireBytes = layers.reduce((a, l) => a + l.bytes, 0);
+
+  return {
+    payloadBits: payload * 8,
+    wireBits: wireBytes * 8,
+    overheadBits: (wireBytes - payload) * 8,
+    efficiency: payload / wireBytes,
+    fragments,
+    layers,
+  };
+}
+
+// The single-value form describes `hops` identical links sharing the distance.
+export function uniformLinks(s) {
+  const n = Math.max(1, Math.round(s.hops) || 1);
+  return Array.from({ length: n }, () => ({
+    rateMbps: s.rateMbps,
+    medium: s.medium,
+    distanceKm: s.distanceKm / n,
+    procUsPerHop: s.procUsPerHop,
+    queueMsPerHop: s.queueMsPerHop,
+    queueModel: s.queueModel,
+    utilization: s.utilization,
+    serviceScv: s.serviceScv,
+    bufferPkts: s.bufferPkts,
+    lossRate: s.lossRate,
+    ber: s.ber,
+    harqMaxTx: s.harqMaxTx,
+    harqRttMs: s.harqRttMs,
+  }));
+}
+export function pathLinks(s) {
+  const links = Array.isArray(s.links) && s.links.length ? s.links : uniformLinks(s);
+  const sat = s.sat ? satelliteLinks(s.sat) : [];
+  return [...sat, ...links].map(l => ({ ...LINK_DEFAULTS, ...l }));
+}
+
+// A bent pipe only reflects the signal, so up and down are one link; with inter-satellite
+// links every satellite stores and forwards, so each leg is its own link.
+export function satelliteLinks(sat) {
+  const g = satellitePath(sat);
+  const link = (segment, distanceKm) => ({
+    rateMbps: sat.rateMbps,
+    medium: "Free Space (RF)",
+    distanceKm,
+    procUsPerHop: sat.procUsPerHop,
+    queueMsPerHop: 0,
+    queueModel: "Fixed",
+    utilization: 0,
+    segment,
+  });
+  if (sat.mode !== "isl") return [link("Bent pipe", g.upKm + g.downKm)];
+  return [
+    link("Uplink", g.upKm),
+    ...g.islKm.map((d, i) => link(`ISL ${i + 1}`, d)),
+    link("Downlink", g.downKm),
+  ];
+}
+
+// Link-layer HARQ: each failed attempt costs one HARQ round trip, up to harqMaxTx attempts.
+// K = retransmissions, P(K ≥ k) = pᵏ for k < n. What is still lost after n tries goes up the stack.
+export function harqStats(l, bits) {
+  const p = 1 - (1 - l.lossRate) * Math.pow(1 - l.ber, bits);
+  const n = Math.max(1, Math.round(l.harqMaxTx));
+  let eK = 0, eK2 = 0;
+  for (let k = 1; k < n; k++) {
+    eK += Math.pow(p, k);
+    eK2 += (2 * k - 1) * Math.pow(p, k);
+  }
+  return {
+    errProb: p,
+    residual: Math.pow(p, n),
+    extraMs: l.harqRttMs * eK,
+    varMs2: l.harqRttMs * l.harqRttMs * (eK2 - eK * eK),
+  };
+}
+
+// End-to-end ARQ over a path that loses a packet with probability P. Each loss costs one
+// timeout; efficiency uses a = (one-way delay)/(packet time) from the classic link analysis.
+export function arqStats(arq, P, oneWayMs, txMs) {
+  const a = oneWayMs / txMs;
+  const W = Math.max(1, Math.round(arq.window));
+  const fills = W >= 2 * a + 1;
+  if (arq.protocol === "None") {
+    return { lossProb: P, extraMs: 0, varMs2: 0, efficiency: 1 - P };
+  }
+  if (P >= 1) return { lossProb: 0, extraMs: Infinity, varMs2: Infinity, efficiency: 0 };
+  let efficiency;
+  if (arq.protocol === "Stop-and-wait") {
+    efficiency = (1 - P) / (1 + 2 * a);
+  } else if (arq.protocol === "Go-Back-N") {
+    efficiency = fills ? (1 - P) / (1 + 2 * a * P) : (W * (1 - P)) / ((2 * a + 1) * (1 - P + W * P));
+  } else {
+    efficiency = fills ? 1 - P : (W * (1 - P)) / (2 * a + 1);
+  }
+  return {
+    lossProb: 0,
+    extraMs: (arq.timeoutMs * P) / (1 - P),
+    varMs2: (arq.timeoutMs * arq.timeoutMs * P) / ((1 - P) * (1 - P)),
+    efficiency,
+  };
+}
+
+export const QUEUE_MODELS = {
+  Fixed: { label: "Fixed", infinite: false },
+  MM1: { label: "M/M/1", infinite: true },
+  MD1: { label: "M/D/1", infinite: true },
+  MG1: { label: "M/G/1", infinite: true },
+  MM1K: { label: "M/M/1/K", infinite: false },
+};
+export const MAX_UTILIZATION = 1.5;
+
+// Mean wait before service at one hop. Service time S is the link's transmission time,
+// so μ = 1/S and λ = ρμ. Infinite-buffer models report `unstable` for ρ ≥ 1.
+export function queueStats(q, bits, rate) {
+  if (q.queueModel === "Fixed" || !QUEUE_MODELS[q.queueModel]) {
+    return { waitMs: q.queueMsPerHop, dropProb: 0, unstable: false };
+  }
+  const S = bits / rate;
+  const rho = Math.max(0, q.utilization);
+  if (QUEUE_MODELS[q.queueModel].infinite && rho >= 1) {
+    return { waitMs: Infinity, dropProb: 0, unstable: true };
+  }
+
+  let Wq_s;
+  let dropProb = 0;
+  if (q.queueModel === "MM1") {
+    const mu = 1 / S;
+    const lambda = rho * mu;
+    Wq_s = rho / (mu - lambda);
+  } else if (q.queueModel === "MD1") {
+    Wq_s = (rho * S) / (2 * (1 - rho));
+  } else if (q.queueModel === "MG1") {
+    // Pollaczek–Khinchine: Wq = λ·E[S²] / (2(1 − ρ)), with E[S²] = S²(1 + C²).
+    const scv = q.serviceScv ?? DEFAULT_SCENARIO.serviceScv;
+    Wq_s = (rho * S * (1 + scv)) / (2 * (1 - rho));
+  } else {
+    const K = Math.max(1, Math.round(q.bufferPkts ?? DEFAULT_SCENARIO.bufferPkts));
+    let L;
+    if (Math.abs(rho - 1) < 1e-9) {
+      dropProb = 1 / (K + 1);
+      L = K / 2;
+    } else {
+      const rK1 = Math.pow(rho, K + 1);
+      dropProb = ((1 - rho) * Math.pow(rho, K)) / (1 - rK1);
+      L = rho / (1 - rho) - ((K + 1) * rK1) / (1 - rK1);
+    }
+    const lambdaEff = (rho / S) * (1 - dropProb);
+    Wq_s = lambdaEff > 0 ? Math.max(0, L / lambdaEff - S) : 0;
+  }
+  return { waitMs: Wq_s * 1000, dropProb, unstable: false };
+}
+
+export const SCHEDULERS = { FIFO: "FIFO", Priority: "Strict priority", WFQ: "WFQ / DRR" };
+export const MAX_CLASSES = 8;
+export const DEFAULT_TRAFFIC = {
+  scheduler: "Priority",
+  classes: [
+    { name: "Voice", share: 0.05, packetBytes: 200, priority: 0, weight: 2 },
+    { name: "Video", share: 0.25, packetBytes: 1200, priority: 1, weight: 3 },
+    { name: "Bulk", share: 0.7, packetBytes: 1500, priority: 2, weight: 5 },
+  ],
+};
+
+// Mean wait of each traffic class at one link. The link's ρ is split by load share and each
+// class sends fixed-size packets, with C² taken from the link's queue model. FIFO and
+// non-preemptive strict priority (Cobham) are exact M/G/1 results. WFQ/DRR is approximate:
+// a class gets at least its weight share of the link, or whatever the others leave idle,
+// runs as its own M/G/1 queue on that capacity, and may wait behind one packet in service.
+export function classWaits(link, classes, scheduler) {
+  const scv = link.queueModel === "MD1" ? 0 : link.queueModel === "MG1" ? link.serviceScv : 1;
+  const rho = Math.max(0, link.utilization);
+  const shareSum = classes.reduce((a, c) => a + c.share, 0) || 1;
+  const r = classes.map(c => (c.share / shareSum) * rho);
+  const S = classes.map(c => c.bits / link.rate);
+  const resid = classes.map((_, i) => (r[i] * S[i] * (1 + scv)) / 2);
+  const R = resid.reduce((a, b) => a + b, 0);
+  const total = r.reduce((a, b) => a + b, 0);
+  const out = (Wq_s) => (isFinite(Wq_s) ? { waitMs: Wq_s * 1000, unstable: false } : { waitMs: Infinity, unstable: true });
+
+  if (scheduler === "Priority") {
+    return classes.map((c) => {
+      const above = classes.reduce((a, d, j) => a + (d.priority < c.priority ? r[j] : 0), 0);
+      const upTo = classes.reduce((a, d, j) => a + (d.priority <= c.priority ? r[j] : 0), 0);
+      return out(upTo < 1 ? R / ((1 - above) * (1 - upTo)) : Infinity);
+    });
+  }
+  if (scheduler === "WFQ") {
+    const wSum = classes.reduce((a, c) => a + c.weight, 0) || 1;
+    return classes.map((c, i) => {
+      const e = Math.max(c.weight / wSum, 1 - (total - r[i]));
+      const rho_i = r[i] / e;
+      const own = (rho_i * (S[i] / e) * (1 + scv)) / (2 * (1 - rho_i));
+      return out(rho_i < 1 ? own + (R - resid[i]) : Infinity);
+    });
+  }
+  return classes.map(() => out(total < 1 ? R / (1 - total) : Infinity));
+}
+
+// Per-class totals over the path. Each class keeps its own packet size for tx (and the
+// stack overhead); queuing comes from classWaits on every link, replacing the single-flow model.
+export function classMetrics(s) {
+  const t = s.traffic;
+  const base = t.classes.map(c => computeMetrics({ ...s, packetBytes: c.packetBytes, traffic: null }));
+  const classes = t.classes.map((c, i) => ({ ...c, bits: base[i].bits }));
+  const perLink = base[0].links.map((l) => classWaits(l, classes, l.scheduler ?? t.scheduler));
+  return classes.map((c, i) => {
+    const m = base[i];
+    const waits = perLink.map(w => w[i]);
+    const queueMs = waits.reduce((a, w) => a + w.waitMs, 0);
+    const parts = m.parts.map(p => (p.key === "queue" ? { ...p, value: queueMs } : p));
+    return {
+      ...c,
+      // Summed part by part: an unstable base queue would make m.totalMs − m.dQueueTotalMs NaN.
+      totalMs: parts.reduce((a, p) => a + p.value, 0),
+      queueMs,
+      unstable: waits.some(w => w.unstable),
+      parts,
+      maxPart: Math.max(1, ...parts.map(p => p.value).filter(isFinite)),
+      m,
+    };
+  });
+}
+
+export const BUFFER_UNITS = {
+  bytes: { label: "bytes", min: 64, max: 1e9 },
+  ms: { label: "ms", min: 0.1, max: 10000 },
+};
+export const MAX_PHASES = 8;
+export const DEFAULT_AQM = {
+  scheme: "CoDel",
+  bufferSize: 200,
+  bufferUnit: "ms",
+  profile: [
+    { durationS: 2, flows: 0 },
+    { durationS: 10, flows: 4 },
+    { durationS: 3, flows: 0 },
+  ],
+  targetMs: 5,
+  intervalMs: 100,
+  redMinPct: 10,
+  redMaxPct: 30,
+  redMaxP: 0.1,
+};
+
+// A buffer sized in ms holds that much time at the link's rate; it never holds less than one packet.
+function bufferBits(size, unit, rate, packetBits) {
+  const bits = unit === "ms" ? (size / 1000) * rate : size * 8;
+  return Math.max(packetBits, bits);
+}
+
+// Bulk uploads across scenario A's path, with `scheme` on every link that does not pick its own.
+// The modeled queues replace the scenario's queue model; tx, propagation and processing stay.
+export function aqmRun(s, scheme) {
+  const a = s.aqm;
+  const m = computeMetrics({ ...s, traffic: null });
+  const hops = m.links.map(l => ({
+    rate: l.rate,
+    delayMs: l.txMs + l.propMs + l.procMs,
+    bufferBits: bufferBits(l.bufferSize ?? a.bufferSize, l.bufferUnit ?? a.bufferUnit, l.rate, m.bits),
+    scheme: l.aqm ?? scheme,
+  }));
+  return simulateAqm(hops, { ...a, packetBits: m.bits });
+}
+
+// Spread of the per-packet components for Monte Carlo runs; a scenario without `jitter` uses these.
+export const DEFAULT_JITTER = { procCv: 0.5, routeSharePct: 0, routeDwellPkts: 500, routeExtraMs: 10 };
+export const JITTER_NUMBERS = {
+  procCv: { label: "Processing C.V.", min: 0, max: 10 },
+  routeSharePct: { label: "Packets on alternate route (%)", min: 0, max: 99 },
+  routeDwellPkts: { label: "Mean packets per route change", min: 1, max: 1000000, integer: true },
+  routeExtraMs: { label: "Alternate route adds", min: 0, max: 1000, quantity: "time", unit: "ms" },
+};
+
+// Per-packet delay samples for a scenario. Queue waits come from each link's queue model:
+// Fixed is constant, the rest wait with probability ρ (capped at 1) for the model's mean.
+export function jitterRun(s, opts) {
+  const m = computeMetrics({ ...s, traffic: null });
+  if (m.unstable) return { unstable: true, m };
+  const j = { ...DEFAULT_JITTER, ...s.jitter };
+  const links = m.links.map(l => ({
+    fixedMs: l.txMs + l.propMs,
+    procMs: l.procMs,
+    procCv: j.procCv,
+    waitMs: l.queueMs,
+    waitFixed: l.queueModel === "Fixed" || !QUEUE_MODELS[l.queueModel],
+    pWait: Math.min(1, Math.max(0, l.utilization)),
+    dropProb: l.dropProb,
+    errProb: l.errProb,
+    harqMaxTx: Math.max(1, Math.round(l.harqMaxTx)),
+    harqRttMs: l.harqRttMs,
+  }));
+  const route = j.routeSharePct > 0 ? { sharePct: j.routeSharePct, dwellPkts: j.routeDwellPkts, extraMs: j.routeExtraMs } : null;
+  return { ...sampleDelays(links, { arq: m.arq, route }, opts), m };
+}
+
+// Numeric scenario inputs with the bounds InputsCard enforces. Sweeps and the solver share them.
+// `unit` is the unit the value is stored in; fields with a `quantity` can be shown in any unit of it.
+export const SCENARIO_FIELDS = {
+  packetBytes: { label: "Packet size", unit: "B", quantity: "size", min: 1, max: 131072, integer: true },
+  rateMbps: { label: "Link rate", unit: "Mb/s", quantity: "rate", min: 1, max: 100000, integer: true },
+  distanceKm: { label: "Distance", unit: "km", quantity: "distance", min: 0, max: 40000 },
+  hops: { label: "Hops", unit: "", min: 1, max: MAX_LINKS, integer: true },
+  procUsPerHop: { label: "Processing per hop", unit: "µs", quantity: "time", min: 0, max: 10000 },
+  queueMsPerHop: { label: "Queuing per hop", unit: "ms", quantity: "time", min: 0, max: 200 },
+  utilization: { label: "Utilization ρ", unit: "", min: 0, max: MAX_UTILIZATION },
+  serviceScv: { label: "Service-time C²ₛ", unit: "", min: 0, max: 100 },
+  bufferPkts: { label: "Buffer K", unit: "pkts", min: 1, max: 10000, integer: true },
+  lossRate: { label: "Packet loss", unit: "", min: 0, max: 1 },
+  harqMaxTx: { label: "HARQ max transmissions", unit: "", min: 1, max: 32, integer: true },
+  harqRttMs: { label: "HARQ round trip", unit: "ms", quantity: "time", min: 0, max: 1000 },
+};
+
+// Bring a value into the field's input range; anything that is not a number becomes the minimum.
+export function fieldClamp(key, v) {
+  const f = SCENARIO_FIELDS[key];
+  const x = isNaN(v) ? f.min : clamp(v, f.min, f.max);
+  return f.integer ? Math.round(x) : x;
+}
+
+// A field value for display, in the best unit under the `units` setting.
+export function fieldText(key, v, units, digits = 4) {
+  const f = SCENARIO_FIELDS[key];
+  if (f.quantity) return formatQuantity(f.quantity, v, f.unit, units, digits);
+  return `${+(+v).toPrecision(digits)}${f.unit ? ` ${f.unit}` : ""}`;
+}
+
+// Set one scenario input. On a per-link path the value applies to every link, except
+// distance, which rescales the links to the new total, and hops, which needs a uniform path.
+export function withField(s, key, v) {
+  const next = { ...s, [key]: v, ...(key === "distanceKm" ? { geo: null } : {}) };
+  if (!Array.isArray(s.links) || !s.links.length) return next;
+  if (key === "hops") return { ...next, links: null };
+  if (!(key in s.links[0] || key in LINK_DEFAULTS)) return next;
+  if (key === "distanceKm") {
+    const total = s.links.reduce((a, l) => a + l.distanceKm, 0);
+    return { ...next, links: s.links.map(l => ({ ...l, distanceKm: total > 0 ? (l.distanceKm / total) * v : v / s.links.length })) };
+  }
+  return { ...next, links: s.links.map(l => ({ ...l, [key]: v })) };
+}
+
+export function sampleRange(lo, hi, n, log, integer) {
+  const a = log ? Math.log(Math.max(lo, 1e-9)) : lo;
+  const b = log ? Math.log(Math.max(hi, 1e-9)) : hi;
+  const xs = Array.from({ length: n }, (_, i) => {
+    const t = n > 1 ? a + ((b - a) * i) / (n - 1) : a;
+    return log ? Math.exp(t) : t;
+  });
+  return integer ? [...new Set(xs.map(Math.round))] : xs;
+}
+
+/**
+ * One-way delay of a packet across the scenario's path, split by component.
+ *
+ * @param {Scenario} s
+ * @returns {{ totalMs: number, dTransTotalMs: number, dPropMs: number, dProcTotalMs: number,
+ *   dQueueTotalMs: number, dRetxMs: number, parts: { key: string, label: string, value: number }[],
+ *   links: object[], bottleneck: number, unstable: boolean, bits: number, lightMs: number }}
+ *   plus per-link detail, the encapsulation and the ARQ figures.
+ */
+export function computeMetrics(s) {
+  const encap = s.stack ? encapsulate(s) : null;
+  const bits = encap ? encap.wireBits : s.packetBytes * 8;
+
+  const links = pathLinks(s).map((l) => {
+    const rate = l.rateMbps * Mb;
+    const txMs = (bits / rate) * 1000;
+    const propMs = ((l.distanceKm * km) / mediumSpeed(s, l.medium)) * 1000;
+    const procMs = l.procUsPerHop / 1000;
+    const q = queueStats(l, bits, rate);
+    const queueMs = q.waitMs;
+    const h = harqStats(l, bits);
+    return {
+      ...l, rate, txMs, propMs, procMs, queueMs, dropProb: q.dropProb, unstable: q.unstable,
+      errProb: h.errProb, residualLoss: h.residual, retxMs: h.extraMs, retxVarMs2: h.varMs2,
+      totalMs: txMs + propMs + procMs + queueMs + h.extraMs,
+    };
+  });
+  const hops = links.length;
+  const bottleneck = links.reduce((b, l, i) => (l.rate < links[b].rate ? i : b), 0);
+  const sum = (k) => links.reduce((acc, l) => acc + l[k], 0);
+
+  const dTransTotalMs = sum("txMs");
+  const dPropMs = sum("propMs");
+  const dProcTotalMs = sum("procMs");
+  const dQueueTotalMs = sum("queueMs");
+  const harqMs = sum("retxMs");
+  const baseMs = dTransTotalMs + dPropMs + dProcTotalMs + dQueueTotalMs + harqMs;
+
+  const unstable = links.some(l => l.unstable);
+  const dropProb = 1 - links.reduce((acc, l) => acc * (1 - l.dropProb), 1);
+  const pathLoss = 1 - links.reduce((acc, l) => acc * (1 - l.dropProb) * (1 - l.residualLoss), 1);
+  const arqCfg = { ...DEFAULT_SCENARIO.arq, ...s.arq };
+  const arq = { ...arqCfg, ...arqStats(arqCfg, pathLoss, baseMs, links[bottleneck].txMs), pathLoss };
+  const dRetxMs = harqMs + arq.extraMs;
+  const retxStdMs = Math.sqrt(sum("retxVarMs2") + arq.varMs2);
+  const totalMs = baseMs + arq.extraMs;
+
+  const parts = [
+    { key: "tx", label: "Transmission (all hops)", value: dTransTotalMs },
+    { key: "prop", label: "Propagation (total)", value: dPropMs },
+    { key: "proc", label: "Processing (all hops)", value: dProcTotalMs },
+    { key: "queue", label: "Queuing (all hops)", value: dQueueTotalMs },
+    { key: "retx", label: "Retransmissions (expected)", value: dRetxMs },
+  ];
+  const maxPart = Math.max(1, ...parts.map(p => p.value).filter(isFinite));
+  // Nothing reaches the far end faster than light in vacuum over the straightest path.
+  const lightKm = s.geo ? greatCircleKm(s.geo.from, s.geo.to) : sum("distanceKm");
+
+  return {
+    bits, rate: links[bottleneck].rate, txPerHop_ms: links[bottleneck].txMs,
+    dTransTotalMs, dPropMs, dProcTotalMs, dQueueTotalMs, dRetxMs, totalMs,
+    queuePerHop_ms: dQueueTotalMs / hops,
+    hops, links, bottleneck, unstable, dropProb, encap, arq, retxStdMs,
+    parts, maxPart, lightKm, lightMs: lightKm / LIGHT_KM_PER_MS,
+  };
+}
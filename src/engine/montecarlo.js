@@ -0,0 +1,108 @@
+// Monte Carlo sampling of end-to-end delay: each packet draws its own processing, queue
+// wait, retransmissions and route from per-link distributions. Times are in milliseconds.
+
+import { makeRng } from "./random.js";
+import { expSample, percentile } from "./simulator.js";
+
+export const MAX_MC_SAMPLES = 100000;
+const MAX_ARQ_TRIES = 32;
+
+// Box–Muller; one of the pair is thrown away, which is fine at these sample counts.
+function normalSample(rng) {
+  return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+}
+
+// Lognormal with the given mean and coefficient of variation: always positive, right-skewed.
+function lognormalSample(rng, mean, cv) {
+  if (!(cv > 0) || !(mean > 0)) return mean;
+  const s2 = Math.log(1 + cv * cv);
+  return mean * Math.exp(Math.sqrt(s2) * normalSample(rng) - s2 / 2);
+}
+
+// One pass over the path. Returns the delay, or NaN when a link loses the packet.
+function samplePath(links, rng, extraMs) {
+  let d = extraMs;
+  for (const l of links) {
+    d += l.fixedMs + lognormalSample(rng, l.procMs, l.procCv);
+    if (l.waitFixed) d += l.waitMs;
+    else if (l.pWait > 0 && rng() < l.pWait) d += expSample(rng, l.waitMs / l.pWait);
+    if (l.dropProb > 0 && rng() < l.dropProb) return NaN;
+    for (let tries = 1; l.errProb > 0 && rng() < l.errProb; tries++) {
+      if (tries >= l.harqMaxTx) return NaN;
+      d += l.harqRttMs;
+    }
+  }
+  return d;
+}
+
+/**
+ * Draw `samples` packets across `links`.
+ *
+ * links: [{ fixedMs, procMs, procCv, waitMs, waitFixed, pWait, dropProb, errProb, harqMaxTx, harqRttMs }]
+ * path:  { arq: { protocol, timeoutMs }, route: { sharePct, dwellPkts, extraMs } | null }
+ * opts:  { samples, seed }
+ *
+ * A queue wait is zero with probability 1 − pWait and otherwise exponential, with the
+ * mean set so the average matches waitMs: exact for M/M/1, an approximation for the rest.
+ * Packets a link loses are resent after the ARQ timeout, or counted as lost without ARQ.
+ * Route changes follow a two-state chain: the alternate route (extraMs longer) carries
+ * sharePct of the packets in runs of dwellPkts on average.
+ *
+ * Returns { delays (send order), sorted, stats: { mean, std, min, max, p50, p95, p99, p999 },
+ *           ipdv: { meanAbs, p99Abs }, lost }.
+ */
+export function sampleDelays(links, path, opts) {
+  const n = Math.max(1, Math.min(MAX_MC_SAMPLES, Math.round(opts.samples)));
+  const rng = makeRng(opts.seed);
+  const route = path.route && path.route.sharePct > 0 ? path.route : null;
+  const share = route ? Math.min(route.sharePct, 99) / 100 : 0;
+  const leave = route ? 1 / Math.max(1, route.dwellPkts) : 0;
+  const enter = route ? Math.min(1, (share * leave) / (1 - share)) : 0;
+  const arq = path.arq && path.arq.protocol !== "None" ? path.arq : null;
+
+  const delays = [];
+  let lost = 0;
+  let alt = route ? rng() < share : false;
+  for (let i = 0; i < n; i++) {
+    if (route) alt = alt ? rng() >= leave : rng() < enter;
+    const extra = alt ? route.extraMs : 0;
+    let d = samplePath(links, rng, extra);
+    if (arq) {
+      let waited = 0;
+      for (let tries = 1; isNaN(d) && tries < MAX_ARQ_TRIES; tries++) {
+        waited += arq.timeoutMs;
+        d = samplePath(links, rng, extra);
+      }
+      d += waited;
+    }
+    if (isNaN(d)) lost++;
+    else delays.push(d);
+  }
+
+  const sorted = delays.slice().sort((a, b) => a - b);
+  const mean = delays.reduce((a, b) => a + b, 0) / (delays.length || 1);
+  const variance = delays.reduce((a, b) => a + (b - mean) ** 2, 0) / (delays.length || 1);
+  const jumps = [];
+  for (let i = 1; i < delays.length; i++) jumps.push(Math.abs(delays[i] - delays[i - 1]));
+  jumps.sort((a, b) => a - b);
+
+  return {
+    delays,
+    sorted,
+    lost,
+    stats: {
+      mean: delays.length ? mean : NaN,
+      std: Math.sqrt(variance),
+      min: sorted.length ? sorted[0] : NaN,
+      max: sorted.length ? sorted[sorted.length - 1] : NaN,
+      p50: percentile(sorted, 0.5),
+      p95: percentile(sorted, 0.95),
+      p99: percentile(sorted, 0.99),
+      p999: percentile(sorted, 0.999),
+    },
+    ipdv: {
+      meanAbs: jumps.length ? jumps.reduce((a, b) => a + b, 0) / jumps.length : 0,
+      p99Abs: jumps.length ? percentile(jumps, 0.99) : 0,
+    },
+  };
+}
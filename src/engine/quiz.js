@@ -0,0 +1,248 @@
+// Practice problems drawn from the delay model. A problem set is fully determined by its level,
+// kinds, count and seed, so its short code reproduces the same set anywhere. Values are given
+// in the units the problem states; answers are times, graded within a relative tolerance.
+
+import { MEDIA } from "./media.js";
+import { DEFAULT_SCENARIO, computeMetrics } from "./model.js";
+import { makeRng } from "./random.js";
+import { DEFAULT_UNITS, convert, formatQuantity, parseQuantity } from "./units.js";
+import { deriveMetrics, derivationMarkdown } from "./derivation.js";
+import { SCHEMA_APP, SCHEMA_VERSION } from "./schema.js";
+
+// `steps` are the worked-solution steps that answer the question (null: all of them).
+export const QUIZ_KINDS = {
+  tx: { label: "Transmission", steps: ["bits", "tx"] },
+  prop: { label: "Propagation", steps: ["prop"] },
+  mm1: { label: "M/M/1 queuing", steps: ["bits", "queue"] },
+  total: { label: "Total end to end", steps: null },
+};
+export const QUIZ_LEVELS = {
+  easy: { label: "Easy", tolerancePct: 5, note: "Round numbers, one or two links, signals at the speed of light." },
+  medium: { label: "Medium", tolerancePct: 2, note: "Arbitrary values, cable media, processing and fixed queuing per hop." },
+  hard: { label: "Hard", tolerancePct: 1, note: "Mixed units (bits, KiB, Gb/s, miles, ns), refractive indices, arrival rates and M/M/1 queues on every hop." },
+};
+export const MAX_QUIZ_PROBLEMS = 50;
+export const MAX_QUIZ_HISTORY = 100;
+export const DEFAULT_QUIZ = { level: "easy", kinds: Object.keys(QUIZ_KINDS), count: 5, seed: 1 };
+
+const QUIET = { ...DEFAULT_SCENARIO, hops: 1, procUsPerHop: 0, queueMsPerHop: 0, queueModel: "Fixed", utilization: 0 };
+
+const pick = (rng, xs) => xs[Math.floor(rng() * xs.length)];
+const int = (rng, lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));
+// Log-uniform in [lo, hi], to 3 significant digits so the prompt shows it exactly.
+const logBetween = (rng, lo, hi) => +Math.exp(Math.log(lo) + rng() * (Math.log(hi) - Math.log(lo))).toPrecision(3);
+
+// Each draw returns [value, unit] in the unit the prompt states it in.
+const DRAWS = {
+  easy: {
+    size: (rng) => [pick(rng, [100, 250, 500, 1000, 1250, 1500]), "B"],
+    rate: (rng) => [pick(rng, [1, 10, 100, 1000]), "Mb/s"],
+    distance: (rng) => [pick(rng, [1, 10, 100, 1000, 10000]), "km"],
+    media: ["Free Space (RF)"],
+    rho: (rng) => pick(rng, [0.5, 0.75, 0.8, 0.9]),
+    hops: (rng) => int(rng, 1, 2),
+    proc: () => null,
+    queue: () => null,
+  },
+  medium: {
+    size: (rng) => [int(rng, 40, 1500), "B"],
+    rate: (rng) => [logBetween(rng, 1, 10000), "Mb/s"],
+    distance: (rng) => [logBetween(rng, 0.5, 5000), "km"],
+    media: Object.keys(MEDIA),
+    rho: (rng) => int(rng, 10, 95) / 100,
+    hops: (rng) => int(rng, 2, 4),
+    proc: (rng) => [pick(rng, [10, 20, 50, 100]), "µs"],
+    queue: (rng) => ({ fixed: [pick(rng, [0.1, 0.2, 0.5, 1]), "ms"] }),
+  },
+  hard: {
+    size: (rng) => {
+      const u = pick(rng, ["bits", "kB", "KiB"]);
+      if (u === "bits") return [8 * int(rng, 40, 1500), u];
+      return [pick(rng, u === "kB" ? [0.5, 1, 1.5, 4, 9] : [0.5, 1, 1.5, 4, 8]), u];
+    },
+    rate: (rng) => {
+      const u = pick(rng, ["kb/s", "Mib/s", "Gb/s"]);
+      return [pick(rng, { "kb/s": [56, 64, 128, 512], "Mib/s": [10, 100, 512], "Gb/s": [2.5, 10, 25, 40, 100] }[u]), u];
+    },
+    distance: (rng) => (rng() < 0.5 ? [logBetween(rng, 1, 3000), "mi"] : [100 * int(rng, 1, 99), "m"]),
+    media: Object.keys(MEDIA),
+    rho: (rng) => int(rng, 5, 95) / 100,
+    hops: (rng) => int(rng, 3, 6),
+    proc: (rng) => pick(rng, [[pick(rng, [500, 800]), "ns"], [pick(rng, [5, 20, 75]), "µs"], [pick(rng, [0.01, 0.05]), "ms"]]),
+    queue: (rng) => ({ rho: int(rng, 10, 90) / 100 }),
+  },
+};
+
+const show = ([v, u]) => `${+v.toPrecision(4)} ${u}`;
+
+function mediumText(name, level) {
+  if (name === "Free Space (RF)") return "through free space (at the speed of light)";
+  const vf = MEDIA[name].vf;
+  const what = name === "Twisted Pair" ? "twisted pair" : name.toLowerCase();
+  return level === "hard" ? `over ${what} with refractive index n = ${+(1 / vf).toFixed(3)}` : `over ${what} (velocity factor ${+vf.toFixed(3)})`;
+}
+
+function inputs(rng, level) {
+  const d = DRAWS[level];
+  const size = d.size(rng), rate = d.rate(rng);
+  return {
+    size, rate,
+    s: { ...QUIET, packetBytes: convert("size", size[0], size[1], "B"), rateMbps: convert("rate", rate[0], rate[1], "Mb/s") },
+  };
+}
+
+const PROBLEMS = {
+  tx(rng, level) {
+    const { size, rate, s } = inputs(rng, level);
+    const hops = level === "hard" ? int(rng, 2, 5) : 1;
+    return {
+      scenario: { ...s, hops },
+      prompt: hops === 1
+        ? `How long does it take to transmit a packet of ${show(size)} onto a ${show(rate)} link?`
+        : `A packet of ${show(size)} is stored and forwarded across ${hops} links of ${show(rate)} each. What is its total transmission delay?`,
+      answer: (m) => m.dTransTotalMs,
+    };
+  },
+  prop(rng, level) {
+    const d = DRAWS[level];
+    const dist = d.distance(rng), medium = pick(rng, d.media);
+    return {
+      scenario: { ...QUIET, distanceKm: convert("distance", dist[0], dist[1], "km"), medium },
+      prompt: `A signal travels ${show(dist)} ${mediumText(medium, level)}. What is the propagation delay?`,
+      answer: (m) => m.dPropMs,
+    };
+  },
+  mm1(rng, level) {
+    const { size, rate, s } = inputs(rng, level);
+    let rho = DRAWS[level].rho(rng);
+    let load = `at load ρ = ${rho}`;
+    if (level === "hard") {
+      // Give the arrival rate instead, so the student works out ρ = λ/μ.
+      const mu = (s.rateMbps * 1e6) / (s.packetBytes * 8);
+      const lambda = +(rho * mu).toPrecision(3);
+      rho = lambda / mu;
+      load = `at λ = ${lambda} packets/s`;
+    }
+    return {
+      scenario: { ...s, queueModel: "MM1", utilization: rho },
+      prompt: `Packets of ${show(size)} arrive as a Poisson stream ${load} at a ${show(rate)} link (an M/M/1 queue with mean service time L/R). What is the mean wait in the queue before transmission starts?`,
+      answer: (m) => m.dQueueTotalMs,
+    };
+  },
+  total(rng, level) {
+    const d = DRAWS[level];
+    const { size, rate, s } = inputs(rng, level);
+    const dist = d.distance(rng), medium = pick(rng, d.media);
+    const hops = d.hops(rng), proc = d.proc(rng), queue = d.queue(rng);
+    const scenario = { ...s, hops, distanceKm: convert("distance", dist[0], dist[1], "km"), medium };
+    const extras = [];
+    if (proc) {
+      scenario.procUsPerHop = convert("time", proc[0], proc[1], "µs");
+      extras.push(`${show(proc)} of processing`);
+    }
+    if (queue?.fixed) {
+      scenario.queueMsPerHop = convert("time", queue.fixed[0], queue.fixed[1], "ms");
+      extras.push(`${show(queue.fixed)} of queuing`);
+    } else if (queue?.rho) {
+      Object.assign(scenario, { queueModel: "MM1", utilization: queue.rho });
+      extras.push(`an M/M/1 queue at load ρ = ${queue.rho}`);
+    }
+    const links = hops === 1 ? `one ${show(rate)} link` : `${hops} store-and-forward links of ${show(rate)} each`;
+    return {
+      scenario,
+      prompt: `A packet of ${show(size)} crosses ${links}, ${show(dist)} in all ${mediumText(medium, level)}.`
+        + `${extras.length ? ` Each link adds ${extras.join(" and ")}.` : ""} What is the one-way delay, from the first bit sent to the last bit received?`,
+      answer: (m) => m.totalMs,
+    };
+  },
+};
+
+/** "medium-tx+prop-10-48213": everything needed to regenerate a problem set. */
+export function quizCode(o) {
+  return `${o.level}-${o.kinds.join("+")}-${o.count}-${o.seed}`;
+}
+
+export function readQuizCode(text) {
+  const m = String(text).trim().match(/^([a-z]+)-([a-z0-9+]+)-(\d+)-(\d+)$/);
+  const kinds = m ? m[2].split("+") : [];
+  if (!m || !QUIZ_LEVELS[m[1]] || !kinds.every(k => QUIZ_KINDS[k]) || +m[3] < 1 || +m[3] > MAX_QUIZ_PROBLEMS) {
+    throw new Error(`“${String(text).trim()}” is not a problem set code. Codes look like ${quizCode(DEFAULT_QUIZ)}.`);
+  }
+  return { level: m[1], kinds: [...new Set(kinds)], count: +m[3], seed: +m[4] };
+}
+
+/**
+ * Generate a problem set. Kinds take turns, so every kind asked for appears.
+ *
+ * @returns {{ level: string, kinds: string[], count: number, seed: number, code: string, tolerancePct: number,
+ *   problems: { n: number, kind: string, prompt: string, scenario: object, answerMs: number }[] }}
+ */
+export function makeQuizSet(opts = DEFAULT_QUIZ) {
+  const level = QUIZ_LEVELS[opts.level] ? opts.level : DEFAULT_QUIZ.level;
+  const kinds = Object.keys(QUIZ_KINDS).filter(k => opts.kinds?.includes(k));
+  if (!kinds.length) kinds.push(...DEFAULT_QUIZ.kinds);
+  const count = Math.max(1, Math.min(MAX_QUIZ_PROBLEMS, Math.round(opts.count) || DEFAULT_QUIZ.count));
+  const seed = Math.max(0, Math.round(opts.seed) || 0);
+  const rng = makeRng(seed);
+  const problems = Array.from({ length: count }, (_, i) => {
+    const kind = kinds[i % kinds.length];
+    const p = PROBLEMS[kind](rng, level);
+    const scenario = { ...p.scenario, name: `Problem ${i + 1}` };
+    return { n: i + 1, kind, prompt: p.prompt, scenario, answerMs: p.answer(computeMetrics(scenario)) };
+  });
+  const set = { level, kinds, count, seed };
+  return { ...set, code: quizCode(set), tolerancePct: QUIZ_LEVELS[level].tolerancePct, problems };
+}
+
+/**
+ * Grade a typed answer. A bare number is taken to be in ms; "120 µs" or "1.2e-4 s" work too.
+ * Returns { valid: false } when the text is not a time, else { valid, ok, valueMs, errorPct }.
+ */
+export function gradeAnswer(problem, text, tolerancePct, units = DEFAULT_UNITS) {
+  const valueMs = parseQuantity("time", text, "ms", units);
+  if (String(text).trim() === "" || !isFinite(valueMs)) return { valid: false, ok: false };
+  const errorPct = problem.answerMs === 0 ? (valueMs === 0 ? 0 : Infinity) : (Math.abs(valueMs - problem.answerMs) / problem.answerMs) * 100;
+  return { valid: true, ok: errorPct <= tolerancePct, valueMs, errorPct };
+}
+
+/** The worked solution, cut down to the steps that answer the problem. */
+export function quizSolution(problem, units = DEFAULT_UNITS) {
+  const d = deriveMetrics(problem.scenario, units);
+  const keep = QUIZ_KINDS[problem.kind].steps;
+  return keep ? { ...d, steps: d.steps.filter(st => keep.includes(st.key)) } : d;
+}
+
+/** The problem set with its answers, for an instructor's records. */
+export function quizDocument(set) {
+  return {
+    app: SCHEMA_APP, version: SCHEMA_VERSION, kind: "quiz",
+    code: set.code, level: set.level, kinds: set.kinds, count: set.count, seed: set.seed, tolerancePct: set.tolerancePct,
+    problems: set.problems.map(p => ({ n: p.n, kind: p.kind, prompt: p.prompt, answerMs: p.answerMs, scenario: p.scenario })),
+  };
+}
+
+/** A printable worksheet: the questions, then an answer key with worked solutions. */
+export function quizWorksheet(set, units = DEFAULT_UNITS) {
+  const out = [
+    `# Network delay problems (${QUIZ_LEVELS[set.level].label})`,
+    "",
+    `Set code \`${set.code}\`. Answers within ±${set.tolerancePct}% count. Give each answer as a time, e.g. \`0.12 ms\` or \`120 µs\`.`,
+    "",
+    ...set.problems.map(p => `${p.n}. ${p.prompt}`),
+    "",
+    "## Answers",
+    "",
+    ...set.problems.map(p => `${p.n}. ${formatQuantity("time", p.answerMs, "ms", units)}`),
+  ];
+  return [out.join("\n") + "\n", ...set.problems.map(p => derivationMarkdown(quizSolution(p, units), units))].join("\n");
+}
+
+/** Score history from storage, keeping only well-formed entries. */
+export function readQuizHistory(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(e => e && typeof e.at === "string" && typeof e.code === "string"
+      && Number.isInteger(e.score) && Number.isInteger(e.total) && e.total > 0 && e.score >= 0 && e.score <= e.total)
+    .map(({ at, code, score, total }) => ({ at, code, score, total }))
+    .slice(-MAX_QUIZ_HISTORY);
+}
@@ -0,0 +1,14 @@
+// Seeded random numbers, so simulations and problem sets repeat exactly from their seed.
+
+// mulberry32: tiny, fast and good enough for a teaching simulator. The state is stepped
+// before it is mixed, so seed 0 is as good as any other and gets its own sequence.
+export function makeRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,102 @@
+// Orbital geometry for satellite hops. Spherical Earth, circular orbits; distances in km.
+
+import { EARTH_RADIUS_KM, greatCircleKm } from "./geo.js";
+
+export const ORBITS = {
+  GEO: { label: "GEO (geostationary)", altitudeKm: 35786, minElevDeg: 10 },
+  MEO: { label: "MEO", altitudeKm: 8062, minElevDeg: 10 },
+  LEO: { label: "LEO", altitudeKm: 550, minElevDeg: 25 },
+};
+
+const rad = (d) => (d * Math.PI) / 180;
+const deg = (r) => (r * 180) / Math.PI;
+
+/** Distance from a ground station to a satellite at `altKm` seen `elevDeg` above the horizon. */
+export function slantRangeKm(altKm, elevDeg) {
+  const r = EARTH_RADIUS_KM + altKm;
+  const e = rad(elevDeg);
+  return Math.sqrt(r * r - (EARTH_RADIUS_KM * Math.cos(e)) ** 2) - EARTH_RADIUS_KM * Math.sin(e);
+}
+
+// Range and elevation for a ground point `gamma` radians (central angle) from the sub-satellite point.
+function rangeAtAngle(altKm, gamma) {
+  const r = EARTH_RADIUS_KM + altKm;
+  return Math.sqrt(EARTH_RADIUS_KM ** 2 + r * r - 2 * EARTH_RADIUS_KM * r * Math.cos(gamma));
+}
+export function elevationAtAngle(altKm, gamma) {
+  const r = EARTH_RADIUS_KM + altKm;
+  return deg(Math.atan2(Math.cos(gamma) - EARTH_RADIUS_KM / r, Math.sin(gamma)));
+}
+
+function centralAngle(a, b) {
+  return greatCircleKm(a, b) / EARTH_RADIUS_KM;
+}
+
+function midpoint(a, b) {
+  const [la1, lo1, la2, lo2] = [rad(a.lat), rad(a.lon), rad(b.lat), rad(b.lon)];
+  const bx = Math.cos(la2) * Math.cos(lo2 - lo1);
+  const by = Math.cos(la2) * Math.sin(lo2 - lo1);
+  const lat = Math.atan2(Math.sin(la1) + Math.sin(la2), Math.sqrt((Math.cos(la1) + bx) ** 2 + by * by));
+  return { lat: deg(lat), lon: deg(lo1 + Math.atan2(by, Math.cos(la1) + bx)) };
+}
+
+// Chord lengths for `n` equal hops along an arc of `gamma` radians at orbit radius r.
+function islChords(altKm, gamma, n) {
+  const r = EARTH_RADIUS_KM + altKm;
+  return Array.from({ length: n }, () => 2 * r * Math.sin(gamma / (2 * n)));
+}
+
+/**
+ * Work out the satellite legs of a path.
+ *
+ * sat: { orbit, altitudeKm, mode: "bent-pipe" | "isl", geometry: "elevation" | "positions",
+ *        userElevDeg, gwElevDeg, islKm, islHops, islHopKm, user, gateway, satLon }
+ *
+ * Returns { upKm, downKm, islKm: [per-hop chord], userElevDeg, gwElevDeg, warnings }.
+ * "elevation" takes the look angles directly; "positions" places the satellite(s) over
+ * the ground points: GEO at `satLon` on the equator, a bent-pipe LEO/MEO midway between
+ * user and gateway, and ISL constellations with one satellite over each end.
+ */
+export function satellitePath(sat) {
+  const h = sat.altitudeKm;
+  const warnings = [];
+  let upKm, downKm, userElevDeg, gwElevDeg, islKm = [];
+
+  if (sat.geometry === "positions") {
+    let upSub, downSub;
+    if (sat.orbit === "GEO") {
+      upSub = { lat: 0, lon: sat.satLon };
+      downSub = sat.mode === "isl" ? { lat: 0, lon: sat.gateway.lon } : upSub;
+    } else if (sat.mode === "isl") {
+      upSub = sat.user;
+      downSub = sat.gateway;
+    } else {
+      upSub = downSub = midpoint(sat.user, sat.gateway);
+    }
+    const gu = centralAngle(sat.user, upSub);
+    const gg = centralAngle(sat.gateway, downSub);
+    upKm = rangeAtAngle(h, gu);
+    downKm = rangeAtAngle(h, gg);
+    userElevDeg = elevationAtAngle(h, gu);
+    gwElevDeg = elevationAtAngle(h, gg);
+    if (sat.mode === "isl") {
+      const gamma = centralAngle(upSub, downSub);
+      const r = EARTH_RADIUS_KM + h;
+      const n = gamma > 0 ? Math.max(1, Math.ceil((r * gamma) / sat.islHopKm)) : 0;
+      islKm = islChords(h, gamma, n);
+    }
+  } else {
+    userElevDeg = sat.userElevDeg;
+    gwElevDeg = sat.gwElevDeg;
+    upKm = slantRangeKm(h, userElevDeg);
+    downKm = slantRangeKm(h, gwElevDeg);
+    if (sat.mode === "isl" && sat.islHops > 0) islKm = Array.from({ length: sat.islHops }, () => sat.islKm / sat.islHops);
+  }
+
+  const min = ORBITS[sat.orbit].minElevDeg;
+  for (const [who, e] of [["user", userElevDeg], ["gateway", gwElevDeg]]) {
+    if (e < 0) warnings.push(`The satellite is below the horizon at the ${who} (${e.toFixed(1)}°).`);
+    else if (e < min) warnings.push(`Elevation at the ${who} is ${e.toFixed(1)}°, under the usual ${min}° minimum for ${sat.orbit}.`);
+  }
+  return { upKm, downKm, islKm, userElevDeg, gwElevDeg, warnings };
+}
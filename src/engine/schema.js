@@ -0,0 +1,455 @@
+// Library entries, scenario validation, versioned documents, share-link encoding and CSV export.
+
+import { clamp } from "./format.js";
+import { MEDIA, VF_RANGE } from "./media.js";
+import { SAT_DEFAULT, DEFAULT_SCENARIO, ARQ_PROTOCOLS, MAX_LINKS, GEO_INFLATION, LINK_LAYERS, IP_VERSIONS, TRANSPORTS, TUNNELS, DEFAULT_STACK, uniformLinks, QUEUE_MODELS, SCHEDULERS, MAX_CLASSES, DEFAULT_TRAFFIC, BUFFER_UNITS, MAX_PHASES, DEFAULT_AQM, DEFAULT_JITTER, JITTER_NUMBERS, SCENARIO_FIELDS, computeMetrics } from "./model.js";
+import { BUDGET_PATHS, MAX_BUDGET_PARTS, APP_BUDGETS } from "./analysis.js";
+import { validPoint } from "./geo.js";
+import { ORBITS } from "./satellite.js";
+import { AQM_SCHEMES } from "./aqm.js";
+
+export function newScenarioId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+export function parseTags(str) {
+  return [...new Set(str.split(",").map(t => t.trim()).filter(Boolean))];
+}
+
+// Saved entries keep library metadata apart from the scenario itself. Older
+// entries stored the scenario flat alongside `savedAt`.
+function normalizeEntry(e) {
+  if (e.scenario) return { tags: [], notes: "", pinned: false, ...e, id: e.id || newScenarioId() };
+  const { savedAt, ...scenario } = e;
+  return {
+    id: newScenarioId(),
+    name: e.name || "",
+    tags: [],
+    notes: "",
+    pinned: false,
+    savedAt: savedAt || Date.now(),
+    scenario,
+  };
+}
+export function makeEntry(scenario, { name, tags = [], notes = "" }) {
+  return {
+    id: newScenarioId(),
+    name: name || scenario.name || "",
+    tags,
+    notes,
+    pinned: false,
+    savedAt: Date.now(),
+    scenario: { ...scenario, name: name || scenario.name },
+  };
+}
+
+export const SCENARIO_SORTS = {
+  newest: { label: "Newest", cmp: (a, b) => b.entry.savedAt - a.entry.savedAt },
+  oldest: { label: "Oldest", cmp: (a, b) => a.entry.savedAt - b.entry.savedAt },
+  name: { label: "Name", cmp: (a, b) => a.entry.name.localeCompare(b.entry.name) },
+  total: { label: "Total delay", cmp: (a, b) => a.m.totalMs - b.m.totalMs },
+};
+
+export function matchesSearch(entry, q) {
+  if (!q) return true;
+  const hay = [entry.name, entry.notes, ...entry.tags].join(" ").toLowerCase();
+  return q.toLowerCase().split(/\s+/).filter(Boolean).every(w => hay.includes(w));
+}
+
+// Stored libraries, share URLs and exported files all carry this version. Data
+// without one predates versioning and is treated as version 1.
+export const SCHEMA_VERSION = 4;
+export const SCHEMA_APP = "ndv";
+
+const LINK_NUMBERS = {
+  rateMbps: { min: 0.001, max: 1000000 },
+  distanceKm: SCENARIO_FIELDS.distanceKm,
+  procUsPerHop: SCENARIO_FIELDS.procUsPerHop,
+  queueMsPerHop: SCENARIO_FIELDS.queueMsPerHop,
+  utilization: SCENARIO_FIELDS.utilization,
+  serviceScv: SCENARIO_FIELDS.serviceScv,
+  bufferPkts: SCENARIO_FIELDS.bufferPkts,
+  lossRate: SCENARIO_FIELDS.lossRate,
+  ber: { min: 0, max: 0.5 },
+  harqMaxTx: SCENARIO_FIELDS.harqMaxTx,
+  harqRttMs: SCENARIO_FIELDS.harqRttMs,
+};
+const SCENARIO_NUMBERS = { ...SCENARIO_FIELDS, ber: LINK_NUMBERS.ber };
+const STACK_NUMBERS = { vlanTags: { min: 0, max: 2, integer: true }, pathMtu: { min: 68, max: 65535, integer: true } };
+const STACK_CHOICES = { link: LINK_LAYERS, ip: IP_VERSIONS, transport: TRANSPORTS, tunnel: TUNNELS };
+export const SAT_NUMBERS = {
+  altitudeKm: { min: 160, max: 40000 },
+  userElevDeg: { min: 0, max: 90 },
+  gwElevDeg: { min: 0, max: 90 },
+  islKm: { min: 0, max: 100000 },
+  islHops: { min: 0, max: 20, integer: true },
+  islHopKm: { min: 100, max: 10000 },
+  satLon: { min: -180, max: 180 },
+  rateMbps: LINK_NUMBERS.rateMbps,
+  procUsPerHop: SCENARIO_FIELDS.procUsPerHop,
+};
+const CLASS_NUMBERS = {
+  share: { min: 0, max: 1 },
+  packetBytes: SCENARIO_FIELDS.packetBytes,
+  priority: { min: 0, max: 7, integer: true },
+  weight: { min: 0.01, max: 100 },
+};
+const SAT_CHOICES = { orbit: ORBITS, mode: { "bent-pipe": 1, isl: 1 }, geometry: { elevation: 1, positions: 1 } };
+const AQM_NUMBERS = {
+  targetMs: { min: 0.1, max: 1000 },
+  intervalMs: { min: 1, max: 10000 },
+  redMinPct: { min: 0, max: 100 },
+  redMaxPct: { min: 1, max: 100 },
+  redMaxP: { min: 0.001, max: 1 },
+};
+export const PHASE_NUMBERS = { durationS: { min: 0.1, max: 120 }, flows: { min: 0, max: 64, integer: true } };
+export const BUDGET_NUMBERS = { limitMs: { min: 0.001, max: 100000 } };
+export const BUDGET_PART_NUMBERS = { ms: { min: 0, max: 100000 } };
+const ARQ_NUMBERS = { window: { min: 1, max: 65535, integer: true }, timeoutMs: { min: 0, max: 60000 } };
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+// Copy the numbers in `spec` from `raw` onto `out`, repairing what is out of range or missing.
+function readNumbers(raw, spec, out, where, warnings) {
+  for (const [key, f] of Object.entries(spec)) {
+    if (!(key in raw)) continue;
+    const v = raw[key];
+    if (typeof v !== "number" || !isFinite(v)) {
+      warnings.push(`${where}: ${key} is not a number; using ${out[key]}.`);
+      continue;
+    }
+    const x = f.integer ? Math.round(clamp(v, f.min, f.max)) : clamp(v, f.min, f.max);
+    if (x !== v) warnings.push(`${where}: ${key} ${v} is outside ${f.min}–${f.max}; using ${x}.`);
+    out[key] = x;
+  }
+}
+function readChoice(raw, key, options, out, where, warnings) {
+  if (!(key in raw)) return;
+  if (Object.prototype.hasOwnProperty.call(options, raw[key])) out[key] = raw[key];
+  else warnings.push(`${where}: unknown ${key} “${raw[key]}”; using ${out[key]}.`);
+}
+
+function validateMedia(raw, where, warnings) {
+  const out = {};
+  for (const [name, def] of Object.entries(raw)) {
+    const vf = def?.vf;
+    if (!name.trim() || name.length > 40) {
+      warnings.push(`${where}: skipped a medium with an empty or over-long name.`);
+    } else if (typeof vf !== "number" || !(vf >= VF_RANGE.min && vf <= VF_RANGE.max)) {
+      warnings.push(`${where}: medium “${name}” needs a velocity factor between ${VF_RANGE.min} and ${VF_RANGE.max}; skipped it.`);
+    } else {
+      out[name] = { vf, note: typeof def.note === "string" ? def.note : "" };
+    }
+  }
+  return out;
+}
+
+export function validateLink(raw, where, warnings, media) {
+  if (!isObject(raw)) throw new Error(`${where} is not an object.`);
+  const out = { ...uniformLinks(DEFAULT_SCENARIO)[0] };
+  readNumbers(raw, LINK_NUMBERS, out, where, warnings);
+  readChoice(raw, "medium", media, out, where, warnings);
+  readChoice(raw, "queueModel", QUEUE_MODELS, out, where, warnings);
+  if (raw.scheduler != null) {
+    if (SCHEDULERS[raw.scheduler]) out.scheduler = raw.scheduler;
+    else warnings.push(`${where}: unknown scheduler “${raw.scheduler}”; using the path default.`);
+  }
+  if (raw.aqm != null) {
+    if (AQM_SCHEMES[raw.aqm]) out.aqm = raw.aqm;
+    else warnings.push(`${where}: unknown queue management “${raw.aqm}”; using the path default.`);
+  }
+  if (raw.bufferSize != null) Object.assign(out, readBuffer(raw, where, warnings));
+  return out;
+}
+
+function readBuffer(raw, where, warnings) {
+  const out = { bufferSize: DEFAULT_AQM.bufferSize, bufferUnit: DEFAULT_AQM.bufferUnit };
+  readChoice(raw, "bufferUnit", BUFFER_UNITS, out, where, warnings);
+  readNumbers(raw, { bufferSize: BUFFER_UNITS[out.bufferUnit] }, out, where, warnings);
+  return out;
+}
+
+function validateAqm(raw, where, warnings) {
+  const out = { ...DEFAULT_AQM, ...readBuffer(raw, where, warnings) };
+  readChoice(raw, "scheme", AQM_SCHEMES, out, where, warnings);
+  readNumbers(raw, AQM_NUMBERS, out, where, warnings);
+  if (out.redMinPct >= out.redMaxPct) {
+    warnings.push(`${where}: RED's minimum threshold must be under its maximum; using ${DEFAULT_AQM.redMinPct}% and ${DEFAULT_AQM.redMaxPct}%.`);
+    out.redMinPct = DEFAULT_AQM.redMinPct;
+    out.redMaxPct = DEFAULT_AQM.redMaxPct;
+  }
+  const phases = Array.isArray(raw.profile) ? raw.profile.filter(isObject) : [];
+  if (phases.length > MAX_PHASES) warnings.push(`${where}: keeping the first ${MAX_PHASES} of ${phases.length} load phases.`);
+  out.profile = phases.slice(0, MAX_PHASES).map((p, i) => {
+    const phase = { ...DEFAULT_AQM.profile[1] };
+    readNumbers(p, PHASE_NUMBERS, phase, `${where} phase ${i + 1}`, warnings);
+    return phase;
+  });
+  if (!out.profile.length) {
+    warnings.push(`${where}: no usable load phases; using the default profile.`);
+    out.profile = DEFAULT_AQM.profile;
+  }
+  return out;
+}
+
+function validateTraffic(raw, where, warnings) {
+  const out = { scheduler: DEFAULT_TRAFFIC.scheduler, classes: [] };
+  readChoice(raw, "scheduler", SCHEDULERS, out, where, warnings);
+  const classes = Array.isArray(raw.classes) ? raw.classes.filter(isObject) : [];
+  if (classes.length > MAX_CLASSES) warnings.push(`${where}: keeping the first ${MAX_CLASSES} of ${classes.length} classes.`);
+  out.classes = classes.slice(0, MAX_CLASSES).map((c, i) => {
+    const cls = { ...DEFAULT_TRAFFIC.classes[DEFAULT_TRAFFIC.classes.length - 1], name: typeof c.name === "string" ? c.name : `Class ${i + 1}` };
+    readNumbers(c, CLASS_NUMBERS, cls, `${where} ${cls.name}`, warnings);
+    return cls;
+  });
+  if (!out.classes.length) {
+    warnings.push(`${where}: no usable traffic classes; turning classes off.`);
+    return null;
+  }
+  return out;
+}
+
+/** Check a scenario object, repairing bad fields. Throws only when it cannot be read at all. */
+export function validateScenario(raw, where, warnings) {
+  if (!isObject(raw)) throw new Error(`${where} is not a scenario object.`);
+  const out = { ...DEFAULT_SCENARIO, arq: { ...DEFAULT_SCENARIO.arq } };
+  if (typeof raw.name === "string") out.name = raw.name;
+  readNumbers(raw, SCENARIO_NUMBERS, out, where, warnings);
+  if (isObject(raw.media)) {
+    const media = validateMedia(raw.media, where, warnings);
+    out.media = Object.keys(media).length ? media : null;
+  }
+  const known = { ...MEDIA, ...out.media };
+  readChoice(raw, "medium", known, out, where, warnings);
+  readChoice(raw, "queueModel", QUEUE_MODELS, out, where, warnings);
+
+  if (isObject(raw.stack)) {
+    out.stack = { ...DEFAULT_STACK };
+    readNumbers(raw.stack, STACK_NUMBERS, out.stack, `${where} stack`, warnings);
+    for (const [key, options] of Object.entries(STACK_CHOICES)) readChoice(raw.stack, key, options, out.stack, `${where} stack`, warnings);
+  } else if (raw.stack != null) {
+    warnings.push(`${where}: stack is not an object; ignoring it.`);
+  }
+
+  if (isObject(raw.arq)) {
+    readNumbers(raw.arq, ARQ_NUMBERS, out.arq, `${where} ARQ`, warnings);
+    if ("protocol" in raw.arq) {
+      if (ARQ_PROTOCOLS.includes(raw.arq.protocol)) out.arq.protocol = raw.arq.protocol;
+      else warnings.push(`${where}: unknown ARQ protocol “${raw.arq.protocol}”; using None.`);
+    }
+  }
+
+  if (isObject(raw.geo)) {
+    out.geo = validateGeo(raw.geo, where, warnings);
+  } else if (raw.geo != null) {
+    warnings.push(`${where}: geo is not an object; ignoring it.`);
+  }
+
+  if (isObject(raw.traffic)) {
+    out.traffic = validateTraffic(raw.traffic, `${where} traffic`, warnings);
+  } else if (raw.traffic != null) {
+    warnings.push(`${where}: traffic is not an object; ignoring it.`);
+  }
+
+  if (isObject(raw.aqm)) {
+    out.aqm = validateAqm(raw.aqm, `${where} queue management`, warnings);
+  } else if (raw.aqm != null) {
+    warnings.push(`${where}: aqm is not an object; ignoring it.`);
+  }
+
+  if (isObject(raw.jitter)) {
+    out.jitter = { ...DEFAULT_JITTER };
+    readNumbers(raw.jitter, JITTER_NUMBERS, out.jitter, `${where} jitter`, warnings);
+  } else if (raw.jitter != null) {
+    warnings.push(`${where}: jitter is not an object; ignoring it.`);
+  }
+
+  if (isObject(raw.budget)) {
+    out.budget = validateBudget(raw.budget, `${where} budget`, warnings);
+  } else if (raw.budget != null) {
+    warnings.push(`${where}: budget is not an object; ignoring it.`);
+  }
+
+  if (isObject(raw.sat)) {
+    out.sat = validateSat(raw.sat, `${where} satellite`, warnings);
+  } else if (raw.sat != null) {
+    warnings.push(`${where}: sat is not an object; ignoring it.`);
+  }
+
+  if (Array.isArray(raw.links) && raw.links.length) {
+    if (raw.links.length > MAX_LINKS) warnings.push(`${where}: ${raw.links.length} links is more than ${MAX_LINKS}; keeping the first ${MAX_LINKS}.`);
+    out.links = raw.links.slice(0, MAX_LINKS).map((l, i) => validateLink(l, `${where} link ${i + 1}`, warnings, known));
+    out.hops = out.links.length;
+  } else if (raw.links != null && !Array.isArray(raw.links)) {
+    warnings.push(`${where}: links is not a list; using a uniform path.`);
+  }
+
+  const fields = new Set([...Object.keys(DEFAULT_SCENARIO), "ber"]);
+  const unknown = Object.keys(raw).filter(k => !fields.has(k));
+  if (unknown.length) warnings.push(`${where}: ignored unknown field${unknown.length > 1 ? "s" : ""} ${unknown.join(", ")}.`);
+  return out;
+}
+
+function validateBudget(raw, where, warnings) {
+  const out = { ...APP_BUDGETS.voip, name: typeof raw.name === "string" ? raw.name : "Custom" };
+  readNumbers(raw, BUDGET_NUMBERS, out, where, warnings);
+  readChoice(raw, "path", BUDGET_PATHS, out, where, warnings);
+  const parts = Array.isArray(raw.parts) ? raw.parts.filter(isObject) : [];
+  if (parts.length > MAX_BUDGET_PARTS) warnings.push(`${where}: keeping the first ${MAX_BUDGET_PARTS} of ${parts.length} budget items.`);
+  out.parts = parts.slice(0, MAX_BUDGET_PARTS).map((p, i) => {
+    const part = { label: typeof p.label === "string" ? p.label : `Item ${i + 1}`, ms: 0 };
+    readNumbers(p, BUDGET_PART_NUMBERS, part, `${where} ${part.label}`, warnings);
+    return part;
+  });
+  return out;
+}
+
+function validateGeo(raw, where, warnings) {
+  if (!validPoint(raw.from) || !validPoint(raw.to)) {
+    warnings.push(`${where}: geo endpoints need a latitude and longitude; ignoring the locations.`);
+    return null;
+  }
+  const point = (p) => ({ name: typeof p.name === "string" ? p.name : `${p.lat}, ${p.lon}`, lat: p.lat, lon: p.lon });
+  const waypoints = Array.isArray(raw.waypoints) ? raw.waypoints : [];
+  if (waypoints.some(p => !validPoint(p))) warnings.push(`${where}: dropped waypoints without a valid latitude and longitude.`);
+  const out = { from: point(raw.from), to: point(raw.to), waypoints: waypoints.filter(validPoint).map(point), inflation: GEO_INFLATION.default };
+  readNumbers(raw, { inflation: GEO_INFLATION }, out, `${where} geo`, warnings);
+  return out;
+}
+
+function validateSat(raw, where, warnings) {
+  const out = { ...SAT_DEFAULT };
+  readNumbers(raw, SAT_NUMBERS, out, where, warnings);
+  for (const [key, options] of Object.entries(SAT_CHOICES)) readChoice(raw, key, options, out, where, warnings);
+  for (const key of ["user", "gateway"]) {
+    if (!(key in raw)) continue;
+    if (validPoint(raw[key])) out[key] = { name: typeof raw[key].name === "string" ? raw[key].name : `${raw[key].lat}, ${raw[key].lon}`, lat: raw[key].lat, lon: raw[key].lon };
+    else warnings.push(`${where}: ${key} needs a latitude and longitude; using ${out[key].name}.`);
+  }
+  return out;
+}
+
+export function validateEntry(raw, where, warnings) {
+  if (!isObject(raw)) throw new Error(`${where} is not an object.`);
+  const scenario = validateScenario(raw.scenario, where, warnings);
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : newScenarioId(),
+    name: typeof raw.name === "string" ? raw.name : scenario.name,
+    tags: Array.isArray(raw.tags) ? raw.tags.filter(t => typeof t === "string") : [],
+    notes: typeof raw.notes === "string" ? raw.notes : "",
+    pinned: raw.pinned === true,
+    savedAt: typeof raw.savedAt === "number" && isFinite(raw.savedAt) ? raw.savedAt : Date.now(),
+    scenario,
+  };
+}
+
+function kibToBytes(obj) {
+  if (!isObject(obj) || !("packetKB" in obj)) return obj;
+  const { packetKB, ...rest } = obj;
+  return typeof packetKB === "number" ? { ...rest, packetBytes: Math.round(packetKB * 1024) } : rest;
+}
+function packetKiBToBytes(s) {
+  if (!isObject(s)) return s;
+  const out = kibToBytes(s);
+  if (isObject(s.traffic) && Array.isArray(s.traffic.classes)) out.traffic = { ...s.traffic, classes: s.traffic.classes.map(kibToBytes) };
+  return out;
+}
+
+// MIGRATIONS[v] turns a version-v document into version v + 1.
+const MIGRATIONS = {
+  1: (doc) => (Array.isArray(doc)
+    ? { app: SCHEMA_APP, version: 2, kind: "library", scenarios: doc.filter(isObject).map(normalizeEntry) }
+    : { app: SCHEMA_APP, version: 2, kind: "share", A: doc.A ?? null, B: doc.B ?? null }),
+  // Version 3 keeps the user's media registry next to the scenarios.
+  2: (doc) => ({ ...doc, version: 3, ...(doc.kind === "library" ? { media: {} } : {}) }),
+  // Version 4 stores packet sizes in bytes rather than KiB (which the app labelled "KB").
+  3: (doc) => ({
+    ...doc,
+    version: 4,
+    ...(doc.kind === "library"
+      ? { scenarios: Array.isArray(doc.scenarios) ? doc.scenarios.map(e => (isObject(e) ? { ...e, scenario: packetKiBToBytes(e.scenario) } : e)) : doc.scenarios }
+      : { A: packetKiBToBytes(doc.A), B: packetKiBToBytes(doc.B) }),
+  }),
+};
+
+export function migrate(doc) {
+  if (!Array.isArray(doc) && !isObject(doc)) throw new Error("The data is not a JSON object.");
+  if (isObject(doc) && "app" in doc && doc.app !== SCHEMA_APP) throw new Error(`This is not a Network Delay Visualizer file (app “${doc.app}”).`);
+  let version = isObject(doc) && "version" in doc ? doc.version : 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown schema version “${version}”.`);
+  if (version > SCHEMA_VERSION) throw new Error(`This data uses schema version ${version}, newer than this app understands (${SCHEMA_VERSION}). Update the app to open it.`);
+  while (version < SCHEMA_VERSION) {
+    doc = MIGRATIONS[version](doc);
+    version = doc.version;
+  }
+  return doc;
+}
+
+/**
+ * Read any supported document (stored library, exported file or share payload) into
+ * { kind, scenarios, A, B, warnings }. Throws with a readable message when it cannot.
+ */
+export function readDocument(doc) {
+  const warnings = [];
+  const cur = migrate(doc);
+  if (cur.kind === "library") {
+    if (!Array.isArray(cur.scenarios)) throw new Error("The library has no scenarios list.");
+    const scenarios = [];
+    cur.scenarios.forEach((e, i) => {
+      try { scenarios.push(validateEntry(e, `Scenario ${i + 1}`, warnings)); }
+      catch (err) { warnings.push(`${err.message} Skipped it.`); }
+    });
+    const media = isObject(cur.media) ? validateMedia(cur.media, "Media", warnings) : {};
+    return { kind: "library", scenarios, media, warnings };
+  }
+  if (cur.kind === "share") {
+    if (cur.A == null) throw new Error("The shared link has no scenario A.");
+    const A = validateScenario(cur.A, "Scenario A", warnings);
+    const B = cur.B == null ? null : validateScenario(cur.B, "Scenario B", warnings);
+    return { kind: "share", A, B, warnings };
+  }
+  throw new Error(`Unknown document kind “${cur.kind}”.`);
+}
+
+/**
+ * Read a bare scenario, one not wrapped in a document. It carries no version, so it goes
+ * through every migration as scenario A of a version 1 share; each one leaves current fields alone.
+ */
+export function readScenario(raw, label, warnings) {
+  return validateScenario(migrate({ A: raw, B: null }).A, label, warnings);
+}
+
+export function libraryDocument(scenarios, media) {
+  return { app: SCHEMA_APP, version: SCHEMA_VERSION, kind: "library", scenarios, media };
+}
+
+export function encodeState(sA, sB) {
+  const data = { app: SCHEMA_APP, version: SCHEMA_VERSION, kind: "share", A: sA, B: sB };
+  return btoa(unescape(encodeURIComponent(JSON.stringify(data))));
+}
+export function decodeState(str) {
+  let obj;
+  try {
+    obj = JSON.parse(decodeURIComponent(escape(atob(str))));
+  } catch {
+    throw new Error("The share link is damaged or truncated.");
+  }
+  const doc = readDocument(obj);
+  if (doc.kind !== "share") throw new Error("The share link does not hold an A/B scenario pair.");
+  return doc;
+}
+
+export function toCsv(rows) {
+  const cell = (v) => (typeof v === "string" && /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : String(v));
+  return rows.map(r => r.map(cell).join(",")).join("\n") + "\n";
+}
+export function resultsCsv(rows) {
+  const inputs = ["packetBytes", "rateMbps", "distanceKm", "hops", "queueModel", "utilization", "lossRate"];
+  const header = ["name", "tags", ...inputs, "total_ms", "tx_ms", "prop_ms", "proc_ms", "queue_ms", "retx_ms"];
+  return toCsv([header, ...rows.map(({ name, tags, s }) => {
+    const m = computeMetrics(s);
+    return [
+      name, tags.join(" "), ...inputs.map(k => s[k]),
+      m.totalMs, m.dTransTotalMs, m.dPropMs, m.dProcTotalMs, m.dQueueTotalMs, m.dRetxMs,
+    ];
+  })]);
+}
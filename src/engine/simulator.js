@@ -0,0 +1,165 @@
+// Seeded discrete-event simulation of a packet stream crossing a chain of
+// store-and-forward links. Times are in milliseconds throughout.
+
+import { makeRng } from "./random.js";
+
+export const MAX_SIM_PACKETS = 10000;
+
+export function expSample(rng, mean) {
+  return -Math.log(1 - rng()) * mean;
+}
+
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const idx = clampIndex(Math.ceil(p * sorted.length) - 1, sorted.length);
+  return sorted[idx];
+}
+function clampIndex(i, n) { return Math.min(n - 1, Math.max(0, i)); }
+
+// Min-heap of events ordered by time, then by insertion order so ties are deterministic.
+function createEventQueue() {
+  const heap = [];
+  let seq = 0;
+  const less = (a, b) => a.t < b.t || (a.t === b.t && a.seq < b.seq);
+  return {
+    get size() { return heap.length; },
+    push(ev) {
+      ev.seq = seq++;
+      heap.push(ev);
+      let i = heap.length - 1;
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (!less(heap[i], heap[p])) break;
+        [heap[i], heap[p]] = [heap[p], heap[i]];
+        i = p;
+      }
+    },
+    pop() {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1, r = l + 1;
+          let m = i;
+          if (l < heap.length && less(heap[l], heap[m])) m = l;
+          if (r < heap.length && less(heap[r], heap[m])) m = r;
+          if (m === i) break;
+          [heap[i], heap[m]] = [heap[m], heap[i]];
+          i = m;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+/**
+ * Simulate `packets` packets through `links`.
+ *
+ * links:  [{ rate (bits/s), propMs, procMs }]
+ * opts:   { packets, bits, arrivals: "poisson" | "constant", ratePps, sizes: "fixed" | "exponential", seed }
+ *
+ * Each node spends procMs on a packet, then queues it FIFO for its outgoing link.
+ * The link transmits one packet at a time; the next node sees the packet only
+ * after its last bit has propagated across (store-and-forward).
+ */
+export function simulate(links, opts) {
+  const n = Math.max(1, Math.min(MAX_SIM_PACKETS, Math.round(opts.packets)));
+  const rng = makeRng(opts.seed);
+  const gapMs = 1000 / opts.ratePps;
+
+  const pkts = [];
+  let t = 0;
+  for (let id = 0; id < n; id++) {
+    if (id > 0) t += opts.arrivals === "poisson" ? expSample(rng, gapMs) : gapMs;
+    const bits = opts.sizes === "exponential" ? Math.max(1, expSample(rng, opts.bits)) : opts.bits;
+    pkts.push({ id, bits, sentAt: t, deliveredAt: NaN, hops: links.map(() => ({})) });
+  }
+
+  const linkState = links.map(() => ({ busy: false, fifo: [], busyMs: 0 }));
+  const events = createEventQueue();
+  for (const p of pkts) events.push({ t: p.sentAt, type: "arrive", pkt: p, hop: 0 });
+
+  function startTx(i, now) {
+    const ls = linkState[i];
+    const p = ls.fifo.shift();
+    const txMs = (p.bits / links[i].rate) * 1000;
+    const h = p.hops[i];
+    h.txStart = now;
+    h.txEnd = now + txMs;
+    h.propEnd = h.txEnd + links[i].propMs;
+    ls.busy = true;
+    ls.busyMs += txMs;
+    events.push({ t: h.txEnd, type: "txDone", hop: i });
+    events.push({ t: h.propEnd, type: "arrive", pkt: p, hop: i + 1 });
+  }
+
+  let endMs = 0;
+  while (events.size) {
+    const ev = events.pop();
+    endMs = ev.t;
+    if (ev.type === "arrive") {
+      if (ev.hop === links.length) {
+        ev.pkt.deliveredAt = ev.t;
+      } else {
+        const h = ev.pkt.hops[ev.hop];
+        h.arrive = ev.t;
+        h.procEnd = ev.t + links[ev.hop].procMs;
+        events.push({ t: h.procEnd, type: "enqueue", pkt: ev.pkt, hop: ev.hop });
+      }
+    } else if (ev.type === "enqueue") {
+      const ls = linkState[ev.hop];
+      ls.fifo.push(ev.pkt);
+      if (!ls.busy) startTx(ev.hop, ev.t);
+    } else {
+      const ls = linkState[ev.hop];
+      ls.busy = false;
+      if (ls.fifo.length) startTx(ev.hop, ev.t);
+    }
+  }
+
+  return summarize(links, pkts, linkState, endMs, opts);
+}
+
+function summarize(links, pkts, linkState, endMs, opts) {
+  const delays = pkts.map(p => p.deliveredAt - p.sentAt);
+  const sorted = delays.slice().sort((a, b) => a - b);
+  const mean = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+  const meanOver = (fn) => mean(pkts.map(p => p.hops.reduce((acc, h, i) => acc + fn(h, i), 0)));
+
+  const components = {
+    tx: meanOver(h => h.txEnd - h.txStart),
+    prop: meanOver(h => h.propEnd - h.txEnd),
+    proc: meanOver(h => h.procEnd - h.arrive),
+    queue: meanOver(h => h.txStart - h.procEnd),
+  };
+
+  const ratePerMs = opts.ratePps / 1000;
+  const perLink = links.map((l, i) => {
+    const serviceMs = (opts.bits / l.rate) * 1000;
+    const rho = ratePerMs * serviceMs;
+    return {
+      rho,
+      busy: endMs > 0 ? linkState[i].busyMs / endMs : 0,
+      waitMs: mean(pkts.map(p => p.hops[i].txStart - p.hops[i].procEnd)),
+      mm1WaitMs: rho < 1 ? (rho * serviceMs) / (1 - rho) : Infinity,
+    };
+  });
+
+  return {
+    packets: pkts,
+    delays,
+    stats: {
+      mean: mean(delays),
+      p50: percentile(sorted, 0.5),
+      p95: percentile(sorted, 0.95),
+      p99: percentile(sorted, 0.99),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+    },
+    components,
+    perLink,
+  };
+}
@@ -0,0 +1,161 @@
+// Parsers for pasted traceroute, tracert, mtr --report and ping output. Everything
+// is plain text in, plain objects out; RTTs are in milliseconds.
+
+const RTT_RE = /(<)?(\d+(?:\.\d+)?)\s*ms\b/gi;
+const IP_RE = /^\d{1,3}(?:\.\d{1,3}){3}$|^[0-9a-f:]*:[0-9a-f:]+$/i;
+
+function summarize(rtts) {
+  if (!rtts.length) return { min: NaN, avg: NaN, max: NaN };
+  return {
+    min: Math.min(...rtts),
+    avg: rtts.reduce((a, b) => a + b, 0) / rtts.length,
+    max: Math.max(...rtts),
+  };
+}
+
+// "<1 ms" is reported by tracert for sub-millisecond replies; count it as half a millisecond.
+function readRtts(text) {
+  return [...text.matchAll(RTT_RE)].map(m => (m[1] ? Number(m[2]) / 2 : Number(m[2])));
+}
+
+function readHost(text) {
+  const t = text.replace(/Request timed out\.?/i, "").trim();
+  if (!t) return { host: "", ip: "" };
+  const m = t.match(/^(\S+)\s+[([]([^)\]]+)[)\]]/);
+  if (m) return { host: m[1], ip: m[2] };
+  const first = t.split(/\s+/)[0];
+  return { host: first, ip: IP_RE.test(first) ? first : "" };
+}
+
+function hopLine(n, rest) {
+  const rtts = readRtts(rest);
+  const stars = (rest.match(/(^|\s)\*(?=\s|$)/g) || []).length;
+  const { host, ip } = readHost(rest.replace(RTT_RE, " ").replace(/(^|\s)\*(?=\s|$)/g, " "));
+  const sent = rtts.length + stars;
+  return { n, host, ip, rtts, sent, loss: sent ? stars / sent : 0, ...summarize(rtts) };
+}
+
+function parseHops(lines) {
+  const hops = [];
+  for (const line of lines) {
+    const m = line.match(/^\s*(\d+)\s+(.*)$/);
+    if (m && /ms\b|\*/.test(m[2])) hops.push(hopLine(Number(m[1]), m[2]));
+  }
+  return hops;
+}
+
+function parseMtr(lines) {
+  const headIdx = lines.findIndex(l => /Loss%/.test(l));
+  const cols = lines[headIdx].trim().split(/\s+/).slice(2).map(c => c.toLowerCase());
+  const col = (vals, name) => {
+    const i = cols.indexOf(name);
+    return i >= 0 ? Number(vals[i]) : NaN;
+  };
+  const hops = [];
+  for (const line of lines.slice(headIdx + 1)) {
+    const m = line.match(/^\s*(\d+)\.\s*(?:\|--|AS\S+)?\s*(\S+)\s+(.*)$/);
+    if (!m) continue;
+    const vals = m[3].trim().split(/\s+/).map(v => v.replace(/%$/, ""));
+    const loss = col(vals, "loss%") / 100;
+    const sent = col(vals, "snt");
+    const answered = m[2] !== "???" && loss < 1;
+    hops.push({
+      n: Number(m[1]),
+      host: m[2] === "???" ? "" : m[2],
+      ip: IP_RE.test(m[2]) ? m[2] : "",
+      rtts: [],
+      sent,
+      loss: isFinite(loss) ? loss : 0,
+      min: answered ? col(vals, "best") : NaN,
+      avg: answered ? col(vals, "avg") : NaN,
+      max: answered ? col(vals, "wrst") : NaN,
+    });
+  }
+  return hops;
+}
+
+// Round the reply TTL up to the usual initial value (32, 64, 128 or 255) to guess the hop count.
+function hopsFromTtl(ttl) {
+  if (!isFinite(ttl)) return null;
+  const initial = [32, 64, 128, 255].find(v => v >= ttl) ?? 255;
+  return initial - ttl + 1;
+}
+
+function parsePing(text, lines) {
+  const rtts = [];
+  let ttl = NaN;
+  for (const line of lines) {
+    const m = line.match(/time\s*([=<])\s*(\d+(?:\.\d+)?)\s*ms/i);
+    if (!m) continue;
+    rtts.push(m[1] === "<" ? Number(m[2]) / 2 : Number(m[2]));
+    if (!isFinite(ttl)) ttl = Number((line.match(/ttl=(\d+)/i) || [])[1]);
+  }
+  let loss = 0;
+  const lossM = text.match(/(\d+(?:\.\d+)?)%\s*(?:packet\s*)?loss/i);
+  if (lossM) loss = Number(lossM[1]) / 100;
+  const sent = Number((text.match(/(\d+)\s+packets transmitted|Sent\s*=\s*(\d+)/i) || []).slice(1).find(Boolean));
+  const stats = summarize(rtts);
+  const summary = text.match(/=\s*([\d.]+)\/([\d.]+)\/([\d.]+)/);
+  if (summary) Object.assign(stats, { min: Number(summary[1]), avg: Number(summary[2]), max: Number(summary[3]) });
+  const target = (text.match(/^PING\s+(\S+)/m) || text.match(/^Pinging\s+(\S+)/m) || [])[1] || "";
+  const { host, ip } = readHost(target);
+  return {
+    format: "ping",
+    target,
+    estimatedHops: hopsFromTtl(ttl),
+    hops: [{ n: hopsFromTtl(ttl), host, ip, rtts, sent: isFinite(sent) ? sent : rtts.length, loss, ...stats }],
+  };
+}
+
+/**
+ * Parse pasted diagnostic output.
+ *
+ * Returns { format: "traceroute" | "tracert" | "mtr" | "ping", target, hops } where each hop is
+ * { n, host, ip, rtts, sent, loss (0–1), min, avg, max }. Hops that never answered have NaN RTTs.
+ * Throws when the text is not recognised.
+ */
+export function parseTrace(text) {
+  const lines = String(text).replace(/\r/g, "").split("\n");
+  if (lines.some(l => /Loss%/.test(l) && /Snt/.test(l))) {
+    const hops = parseMtr(lines);
+    if (!hops.length) throw new Error("Found an mtr header but no hop lines.");
+    const host = (text.match(/HOST:\s*(\S+)/) || [])[1] || "";
+    return { format: "mtr", target: hops[hops.length - 1].host || host, hops };
+  }
+  if (/^\s*(PING|Pinging)\s/m.test(text) || /(bytes from|Reply from).*time\s*[=<]/i.test(text)) {
+    const out = parsePing(text, lines);
+    if (!out.hops[0].rtts.length && !isFinite(out.hops[0].avg)) throw new Error("Found ping output but no replies.");
+    return out;
+  }
+  const hops = parseHops(lines);
+  if (!hops.length) throw new Error("No traceroute, tracert, mtr or ping output found.");
+  const windows = /Tracing route to/i.test(text) || /^\s*\d+\s+<?\d+\s+ms\s/m.test(text);
+  const target = (text.match(/(?:traceroute|Tracing route) to\s+(\S+)/i) || [])[1] || hops[hops.length - 1].host;
+  return { format: windows ? "tracert" : "traceroute", target, hops };
+}
+
+/**
+ * Group hops into measured segments. A segment runs from the previous answering hop to
+ * the next one, so silent hops fold into the segment after them. One-way figures are
+ * half the RTT increment. Ping has a single reply from the far end; `pathHops` stands in
+ * for its hop count when the TTL gave none.
+ */
+export function traceSegments(trace, pathHops = 1) {
+  const segs = [];
+  let prev = { n: 0, min: 0, avg: 0 };
+  for (const h of trace.hops) {
+    if (!isFinite(h.avg)) continue;
+    const n = h.n ?? pathHops;
+    segs.push({
+      from: prev.n + 1,
+      to: n,
+      host: h.host || h.ip,
+      loss: h.loss,
+      oneWayMinMs: (h.min - prev.min) / 2,
+      oneWayAvgMs: (h.avg - prev.avg) / 2,
+      jitterMs: (h.max - h.min) / 2,
+    });
+    prev = { ...h, n };
+  }
+  return segs;
+}
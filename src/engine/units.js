@@ -0,0 +1,136 @@
+// Units of measure. Every stored value has one fixed unit (a scenario's `packetBytes` is in
+// bytes, `rateMbps` in Mb/s, `distanceKm` in km); these tables convert between that and
+// whatever the user reads or types. SI prefixes step by 1000, IEC ones (Ki, Mi…) by 1024.
+
+export const UNIT_SYSTEMS = { si: "SI (kB, Mb/s)", iec: "IEC (KiB, Mib/s)" };
+export const DISTANCE_SYSTEMS = { km: "Metric (m, km)", mi: "Imperial (mi)" };
+export const DEFAULT_UNITS = { system: "si", distance: "km" };
+
+// `factor` is the unit's size in the quantity's base unit. `system` and `distance` limit a
+// unit to one setting; `auto: false` keeps it out of automatic scaling.
+export const QUANTITIES = {
+  size: {
+    base: "B",
+    units: [
+      { symbol: "bits", factor: 1 / 8, auto: false },
+      { symbol: "B", factor: 1 },
+      { symbol: "kB", factor: 1e3, system: "si" },
+      { symbol: "MB", factor: 1e6, system: "si" },
+      { symbol: "GB", factor: 1e9, system: "si" },
+      { symbol: "KiB", factor: 1024, system: "iec" },
+      { symbol: "MiB", factor: 1024 ** 2, system: "iec" },
+      { symbol: "GiB", factor: 1024 ** 3, system: "iec" },
+    ],
+  },
+  rate: {
+    base: "b/s",
+    units: [
+      { symbol: "b/s", factor: 1 },
+      { symbol: "kb/s", factor: 1e3, system: "si" },
+      { symbol: "Mb/s", factor: 1e6, system: "si" },
+      { symbol: "Gb/s", factor: 1e9, system: "si" },
+      { symbol: "Tb/s", factor: 1e12, system: "si" },
+      { symbol: "Kib/s", factor: 1024, system: "iec" },
+      { symbol: "Mib/s", factor: 1024 ** 2, system: "iec" },
+      { symbol: "Gib/s", factor: 1024 ** 3, system: "iec" },
+      { symbol: "Tib/s", factor: 1024 ** 4, system: "iec" },
+    ],
+  },
+  distance: {
+    base: "m",
+    units: [
+      { symbol: "m", factor: 1, distance: "km" },
+      { symbol: "km", factor: 1000, distance: "km" },
+      { symbol: "mi", factor: 1609.344, distance: "mi" },
+    ],
+  },
+  time: {
+    base: "s",
+    units: [
+      { symbol: "ns", factor: 1e-9 },
+      { symbol: "µs", factor: 1e-6 },
+      { symbol: "ms", factor: 1e-3 },
+      { symbol: "s", factor: 1 },
+    ],
+  },
+};
+
+// Other spellings people type. "KB" has no SI meaning, so it follows the chosen system.
+const ALIASES = {
+  size: { bit: "bits", b: "bits", byte: "B", bytes: "B", KB: (u) => (u.system === "iec" ? "KiB" : "kB") },
+  rate: {
+    bps: "b/s", "bit/s": "b/s", kbps: "kb/s", Kbps: "kb/s", "kbit/s": "kb/s", Mbps: "Mb/s", "Mbit/s": "Mb/s",
+    Gbps: "Gb/s", "Gbit/s": "Gb/s", Tbps: "Tb/s", "Tbit/s": "Tb/s",
+    Kibps: "Kib/s", "Kibit/s": "Kib/s", Mibps: "Mib/s", "Mibit/s": "Mib/s", Gibps: "Gib/s", "Gibit/s": "Gib/s", Tibps: "Tib/s", "Tibit/s": "Tib/s",
+  },
+  distance: { meter: "m", meters: "m", metre: "m", metres: "m", mile: "mi", miles: "mi" },
+  time: { us: "µs", "μs": "µs", sec: "s", secs: "s", msec: "ms" },
+};
+
+function unitOf(quantity, symbol) {
+  const u = QUANTITIES[quantity].units.find(x => x.symbol === symbol);
+  if (!u) throw new Error(`Unknown ${quantity} unit “${symbol}”.`);
+  return u;
+}
+
+export function convert(quantity, value, from, to) {
+  return (value * unitOf(quantity, from).factor) / unitOf(quantity, to).factor;
+}
+
+/** The units an input for `quantity` offers under the `units` setting. */
+export function unitChoices(quantity, units = DEFAULT_UNITS) {
+  return QUANTITIES[quantity].units.filter(u => !u.system || u.system === units.system).map(u => u.symbol);
+}
+
+/** The unit that shows `value` (given in `from`) with the fewest digits before the point. */
+export function bestUnit(quantity, value, from, units = DEFAULT_UNITS) {
+  const base = Math.abs(value * unitOf(quantity, from).factor);
+  const auto = QUANTITIES[quantity].units.filter(u =>
+    u.auto !== false && (!u.system || u.system === units.system) && (!u.distance || u.distance === units.distance));
+  const fits = auto.filter(u => base >= u.factor);
+  return (fits.length ? fits[fits.length - 1] : auto[0]).symbol;
+}
+
+/** `value` (in `from`) scaled to its best unit, e.g. 1536 B → "1.536 kB" or "1.5 KiB". */
+export function formatQuantity(quantity, value, from, units = DEFAULT_UNITS, digits = 4) {
+  if (!isFinite(value)) return "∞";
+  const to = bestUnit(quantity, value, from, units);
+  return `${+convert(quantity, value, from, to).toPrecision(digits)} ${to}`;
+}
+
+function resolveSymbol(quantity, text, units) {
+  const symbols = QUANTITIES[quantity].units.map(u => u.symbol);
+  if (symbols.includes(text)) return text;
+  const alias = ALIASES[quantity][text];
+  if (alias) return typeof alias === "function" ? alias(units) : alias;
+  // Fall back to ignoring case when that leaves only one candidate.
+  const lower = text.toLowerCase();
+  const hits = new Set([
+    ...symbols.filter(s => s.toLowerCase() === lower),
+    ...Object.entries(ALIASES[quantity]).filter(([k]) => k.toLowerCase() === lower).map(([, v]) => (typeof v === "function" ? v(units) : v)),
+  ]);
+  return hits.size === 1 ? [...hits][0] : null;
+}
+
+/**
+ * Read what the user typed ("1500", "1.5 KiB", "10 Mbps", "3 mi") into the unit `to`.
+ * A bare number is taken to be in `to` already. Returns NaN when it cannot be read.
+ */
+export function parseQuantity(quantity, text, to, units = DEFAULT_UNITS) {
+  const m = String(text).trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!m) return NaN;
+  const value = Number(m[1]);
+  if (!m[2]) return value;
+  const from = resolveSymbol(quantity, m[2], units);
+  return from ? convert(quantity, value, from, to) : NaN;
+}
+
+/** A units setting from storage, with anything unknown put back to the default. */
+export function readUnits(raw) {
+  const out = { ...DEFAULT_UNITS };
+  if (raw && typeof raw === "object") {
+    if (Object.hasOwn(UNIT_SYSTEMS, raw.system)) out.system = raw.system;
+    if (Object.hasOwn(DISTANCE_SYSTEMS, raw.distance)) out.distance = raw.distance;
+  }
+  return out;
+}
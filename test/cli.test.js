@@ -0,0 +1,136 @@
+import { describe, it, expect } from "vitest";
+import { run } from "../src/cli.js";
+import { DEFAULT_SCENARIO, PRESETS, applyPreset, withField, computeMetrics, encodeState, libraryDocument, makeEntry } from "../src/engine/index.js";
+
+function ndv(argv, files = {}) {
+  const res = { out: "", err: "" };
+  res.code = run(argv, {
+    out: (t) => { res.out += t; },
+    err: (t) => { res.err += t; },
+    readFile: (path) => {
+      if (!(path in files)) throw new Error(`ENOENT: no such file, open '${path}'`);
+      return files[path];
+    },
+  });
+  return res;
+}
+
+const ftth4 = () => computeMetrics(withField(applyPreset(DEFAULT_SCENARIO, PRESETS["FTTH (GPON)"]), "hops", 4));
+
+describe("ndv compute", () => {
+  it("applies a preset and overrides and prints JSON", () => {
+    const r = ndv(["compute", "--preset", "FTTH (GPON)", "--hops", "4", "--json"]);
+    expect(r.code).toBe(0);
+    expect(r.err).toBe("");
+    const out = JSON.parse(r.out);
+    const m = ftth4();
+    expect(out.name).toBe("FTTH (GPON)");
+    expect(out.hops).toBe(4);
+    expect(out.totalMs).toBeCloseTo(m.totalMs, 12);
+    expect(out.components.tx).toBeCloseTo(m.dTransTotalMs, 12);
+    expect(out.links).toHaveLength(4);
+  });
+
+  it("prints a table by default", () => {
+    const r = ndv(["compute", "--preset", "FTTH (GPON)", "--hops", "4"]);
+    expect(r.code).toBe(0);
+    expect(r.out).toMatch(/^FTTH \(GPON\) — 4 hops, bottleneck 1 Gb\/s/);
+    expect(r.out).toMatch(/Propagation \(total\)\s+146\.90 µs/);
+    expect(r.out).toMatch(/Total \(one way\)\s+754\.90 µs/);
+  });
+
+  it("takes overrides with units", () => {
+    const out = JSON.parse(ndv(["compute", "--packetBytes", "1.5 KiB", "--rateMbps", "10 Gbps", "--distanceKm", "1 mi", "--json"]).out);
+    expect(out.components.tx).toBeCloseTo((10 * 1536 * 8) / 1e10 * 1000, 12);
+    expect(out.bottleneckMbps).toBe(10000);
+    expect(out.links[0].distanceKm).toBeCloseTo(0.1609344, 12);
+    expect(JSON.parse(ndv(["compute", "--packetBytes", "1 KB", "--units", "iec", "--json"]).out).components.tx).toBeCloseTo((10 * 1024 * 8) / 1e9 * 1000, 12);
+  });
+
+  it("shows rates in the chosen system", () => {
+    expect(ndv(["compute", "--units", "iec"]).out).toMatch(/bottleneck 953\.7 Mib\/s/);
+  });
+
+  it("adds the per-hop table with --links", () => {
+    const lines = ndv(["compute", "--hops", "3", "--links"]).out.trim().split("\n");
+    expect(lines.filter(l => /^[123] /.test(l))).toHaveLength(3);
+  });
+
+  it("prints CSV", () => {
+    const r = ndv(["compute", "--format", "csv", "--rateMbps", "50"]);
+    const [header, row] = r.out.trim().split("\n");
+    expect(header.split(",")[0]).toBe("name");
+    expect(row.split(",")[3]).toBe("50");
+  });
+
+  it("reports unstable queues as null in JSON", () => {
+    const r = ndv(["compute", "--queueModel", "MM1", "--utilization", "1", "--json"]);
+    const out = JSON.parse(r.out);
+    expect(out.unstable).toBe(true);
+    expect(out.totalMs).toBeNull();
+    expect(ndv(["compute", "--queueModel", "MM1", "--utilization", "1"]).out).toMatch(/unstable/);
+  });
+
+  it("reads a scenario file and warns about repairs", () => {
+    const r = ndv(["compute", "--scenario", "s.json", "--json"], { "s.json": JSON.stringify({ name: "Lab", hops: 2, rateMbps: -1 }) });
+    expect(r.code).toBe(0);
+    expect(JSON.parse(r.out)).toMatchObject({ name: "Lab", hops: 2, bottleneckMbps: 1 });
+    expect(r.err).toMatch(/^warning: .*rateMbps/);
+  });
+
+  it("migrates a bare scenario from before packet sizes were in bytes", () => {
+    const r = ndv(["compute", "--scenario", "s.json", "--json"], { "s.json": JSON.stringify({ name: "Old", packetKB: 0.5 }) });
+    expect(r).toMatchObject({ code: 0, err: "" });
+    expect(JSON.parse(r.out).components.tx).toBeCloseTo(computeMetrics({ ...DEFAULT_SCENARIO, packetBytes: 512 }).dTransTotalMs, 12);
+  });
+
+  it("picks a scenario out of a library by name", () => {
+    const lib = libraryDocument([makeEntry(DEFAULT_SCENARIO, { name: "One" }), makeEntry({ ...DEFAULT_SCENARIO, hops: 7 }, { name: "Two" })], {});
+    const files = { "-": JSON.stringify(lib) };
+    expect(JSON.parse(ndv(["compute", "--scenario", "-", "--name", "Two", "--json"], files).out).hops).toBe(7);
+    expect(JSON.parse(ndv(["compute", "--scenario", "-", "--json"], files).out).name).toBe("One");
+    expect(ndv(["compute", "--scenario", "-", "--name", "Three"], files)).toMatchObject({ code: 1 });
+  });
+
+  it("accepts a share link or its bare s= value", () => {
+    const s = encodeState({ ...DEFAULT_SCENARIO, name: "A side" }, { ...DEFAULT_SCENARIO, name: "B side", hops: 2 });
+    const url = `https://example.com/ndv/?s=${encodeURIComponent(s)}`;
+    expect(JSON.parse(ndv(["compute", "--url", url, "--json"]).out).name).toBe("A side");
+    expect(JSON.parse(ndv(["compute", "--url", s, "--side", "b", "--json"]).out)).toMatchObject({ name: "B side", hops: 2 });
+    expect(ndv(["compute", "--url", encodeState(DEFAULT_SCENARIO, null), "--side", "B"]).code).toBe(1);
+  });
+
+  it("fails cleanly on bad input", () => {
+    expect(ndv(["compute", "--scenario", "missing.json"])).toMatchObject({ code: 1, out: "" });
+    expect(ndv(["compute", "--scenario", "bad.json"], { "bad.json": "{" }).err).toMatch(/not valid JSON/);
+    expect(ndv(["compute", "--url", "garbage"]).err).toMatch(/damaged/);
+  });
+
+  it("rejects bad usage with exit code 2", () => {
+    for (const argv of [
+      ["compute", "--hops", "many"],
+      ["compute", "--preset", "Carrier pigeon"],
+      ["compute", "--format", "xml"],
+      ["compute", "--rateMbps", "fast"],
+      ["compute", "--units", "imperial"],
+      ["compute", "--units", "toString"],
+      ["compute", "--bogus"],
+      ["launch"],
+    ]) {
+      const r = ndv(argv);
+      expect(r.code).toBe(2);
+      expect(r.err).toMatch(/ndv help/);
+    }
+  });
+});
+
+describe("other commands", () => {
+  it("lists the presets", () => {
+    expect(ndv(["presets"]).out.trim().split("\n")).toEqual(Object.keys(PRESETS));
+  });
+
+  it("prints usage", () => {
+    expect(ndv([]).out).toMatch(/^Usage: ndv/);
+    expect(ndv(["compute", "--help"]).out).toMatch(/--preset NAME/);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_SCENARIO, DEFAULT_UNITS, computeMetrics, deriveMetrics, derivationMarkdown, derivationLatex } from "../src/engine/index.js";
+
+const BASE = {
+  ...DEFAULT_SCENARIO,
+  name: "Lab", packetBytes: 1500, rateMbps: 1000, distanceKm: 100, medium: "Fiber", hops: 1,
+  procUsPerHop: 0, queueMsPerHop: 0, queueModel: "Fixed", utilization: 0,
+};
+const texts = (step) => step.rows.map(r => r.text);
+const step = (d, key) => d.steps.find(x => x.key === key);
+
+describe("deriveMetrics", () => {
+  it("works every component and adds them up to computeMetrics' total", () => {
+    const s = { ...BASE, hops: 3, procUsPerHop: 20, queueModel: "MM1", utilization: 0.5 };
+    const m = computeMetrics(s);
+    const d = deriveMetrics(s);
+    expect(d.steps.map(x => x.key)).toEqual(["bits", "tx", "prop", "proc", "queue", "retx", "total"]);
+    for (const p of m.parts) expect(step(d, p.key).valueMs).toBe(p.value);
+    expect(d.totalMs).toBe(m.totalMs);
+    expect(texts(step(d, "bits"))).toEqual(["L = 1.5 kB × 8 bit/B = 12000 bits"]);
+    expect(texts(step(d, "total"))[0]).toMatch(/^T = d_tx \+ d_prop \+ d_proc \+ d_queue \+ d_retx = .* = 621\.7 µs$/);
+  });
+
+  it("works identical links once and counts them", () => {
+    const d = deriveMetrics({ ...BASE, hops: 4 });
+    const tx = step(d, "tx").rows;
+    expect(tx[0]).toMatchObject({ label: "each of the 4 links", text: "R = 1 Gb/s = 1×10⁹ b/s" });
+    expect(tx[1].text).toBe("d_tx = L / R = 12000 bits / 1×10⁹ b/s = 1.2×10⁻⁵ s = 12 µs");
+    expect(tx[2].text).toBe("Σ d_tx = 4 × 12 µs = 48 µs");
+  });
+
+  it("names the links of each group on a per-link path", () => {
+    const d = deriveMetrics({ ...BASE, links: [{ ...BASE, rateMbps: 10 }, { ...BASE }, { ...BASE }] });
+    expect(step(d, "tx").rows.filter(r => r.label).map(r => r.label)).toEqual(["link 1", "links 2–3"]);
+    expect(texts(step(d, "tx")).at(-1)).toBe("Σ d_tx = 1.2 ms + 2 × 12 µs = 1.224 ms");
+  });
+
+  it("substitutes μ, λ and Wq for an M/M/1 queue", () => {
+    const rows = texts(step(deriveMetrics({ ...BASE, queueModel: "MM1", utilization: 0.5 }), "queue"));
+    expect(rows).toEqual([
+      "M/M/1: S = L / R = 12 µs, ρ = 0.5",
+      "μ = 1 / S = 83330 /s, λ = ρμ = 0.5 × 83330 = 41670 /s",
+      "W_q = ρ / (μ − λ) = 0.5 / (83330 − 41670) = 1.2×10⁻⁵ s = 12 µs",
+    ]);
+  });
+
+  it("says an overloaded queue never drains", () => {
+    const d = deriveMetrics({ ...BASE, queueModel: "MD1", utilization: 1.2 });
+    expect(texts(step(d, "queue")).at(-1)).toMatch(/W_q = ∞$/);
+    expect(texts(step(d, "total"))[0]).toMatch(/= ∞$/);
+  });
+
+  it("shows the retransmission terms only when something is lost", () => {
+    expect(texts(step(deriveMetrics(BASE), "retx"))).toEqual(["No loss on any link: d_retx = 0"]);
+    const rows = texts(step(deriveMetrics({ ...BASE, lossRate: 0.1, arq: { ...DEFAULT_SCENARIO.arq, protocol: "Selective Repeat", timeoutMs: 100 } }), "retx"));
+    expect(rows[0]).toMatch(/^p = 1 − \(1 − loss\)\(1 − BER\)\^L = .* = 0\.1$/);
+    expect(rows.some(r => /^Selective Repeat: timeout · P \/ \(1 − P\) = 100 ms × 0\.1 \/ 0\.9 = 11\.11 ms$/.test(r))).toBe(true);
+  });
+
+  it("writes values in the chosen units", () => {
+    const d = deriveMetrics({ ...BASE, packetBytes: 1536 }, { ...DEFAULT_UNITS, system: "iec", distance: "mi" });
+    expect(texts(step(d, "bits"))[0]).toBe("L = 1.5 KiB × 8 bit/B = 12288 bits");
+    expect(texts(step(d, "prop"))[0]).toBe("d = 62.14 mi = 100000 m");
+  });
+});
+
+describe("copying the worked solution", () => {
+  const d = deriveMetrics({ ...BASE, name: "R&D #1", hops: 2 });
+
+  it("writes Markdown with a heading per component", () => {
+    const md = derivationMarkdown(d);
+    expect(md).toMatch(/^## R&D #1: worked solution\n/);
+    expect(md).toContain("### Transmission (all hops) = 24 µs");
+    expect(md).toContain("- each of the 2 links: `R = 1 Gb/s = 1×10⁹ b/s`");
+  });
+
+  it("writes LaTeX with aligned equations and escaped text", () => {
+    const tex = derivationLatex(d);
+    expect(tex).toMatch(/^\\subsection\*\{R\\&D \\#1: worked solution\}/);
+    expect(tex.match(/\\begin\{align\*\}/g)).toHaveLength(d.steps.length);
+    expect(tex.match(/\\end\{align\*\}/g)).toHaveLength(d.steps.length);
+    expect(tex).toContain("d_\\text{tx} &= \\frac{L}{R} = \\frac{12000\\,\\text{bits}}{1 \\times 10^{9}\\,\\text{b/s}}");
+  });
+
+  it("escapes the LaTeX specials that a backslash alone does not", () => {
+    const tex = derivationLatex({ ...d, name: "~home^2 \\ 50% _x_" });
+    expect(tex).toMatch(/^\\subsection\*\{\\textasciitilde\{\}home\\textasciicircum\{\}2 \\textbackslash\{\} 50\\% \\_x\\_: worked solution\}/);
+  });
+});
@@ -0,0 +1,614 @@
+import { describe, it, expect } from "vitest";
+import { readdirSync, readFileSync } from "node:fs";
+import {
+  DEFAULT_SCENARIO, PRESETS, applyPreset, MEDIA, C_M_PER_S, computeMetrics, queueStats, harqStats, arqStats,
+  encapsulate, withField, validateScenario, readDocument, migrate, encodeState, decodeState,
+  libraryDocument, makeEntry, resultsCsv, SCHEMA_VERSION, fmtMs, spaceTime, MAX_SPACETIME_PACKETS,
+  transferTime, MAX_TRANSFER_ROUNDS, classMetrics, DEFAULT_TRAFFIC, fieldClamp,
+  sensitivity, goalSeek, budgetSuggestions, variableFields, simulate,
+  messageDelivery, LINK_DEFAULTS, simulateAqm, DEFAULT_AQM,
+  sampleDelays, makeRng,
+} from "../src/engine/index.js";
+
+// One 1 Gb/s fiber hop with nothing else going on; tests switch on what they look at.
+const BASE = {
+  ...DEFAULT_SCENARIO,
+  packetBytes: 1500, rateMbps: 1000, distanceKm: 100, medium: "Fiber", hops: 1,
+  procUsPerHop: 0, queueMsPerHop: 0, queueModel: "Fixed", utilization: 0,
+};
+const BITS = 1500 * 8;
+const S_MS = (BITS / 1e9) * 1000;
+
+describe("delay components", () => {
+  it("transmission is bits over rate on every hop", () => {
+    const m = computeMetrics({ ...BASE, hops: 4 });
+    expect(m.bits).toBe(BITS);
+    expect(m.txPerHop_ms).toBeCloseTo(S_MS, 12);
+    expect(m.dTransTotalMs).toBeCloseTo(4 * S_MS, 12);
+  });
+
+  it("transmission follows the bottleneck on a per-link path", () => {
+    const m = computeMetrics({ ...BASE, links: [{ ...BASE, rateMbps: 1000 }, { ...BASE, rateMbps: 10 }] });
+    expect(m.bottleneck).toBe(1);
+    expect(m.dTransTotalMs).toBeCloseTo(S_MS + S_MS * 100, 12);
+  });
+
+  it("propagation is distance over the medium's speed", () => {
+    const m = computeMetrics(BASE);
+    expect(m.dPropMs).toBeCloseTo((100e3 / (MEDIA.Fiber.vf * C_M_PER_S)) * 1000, 12);
+    expect(computeMetrics({ ...BASE, medium: "Free Space (RF)" }).dPropMs).toBeCloseTo(100 / 299.792458, 12);
+  });
+
+  it("propagation does not depend on how the distance is split into hops", () => {
+    expect(computeMetrics({ ...BASE, hops: 7 }).dPropMs).toBeCloseTo(computeMetrics(BASE).dPropMs, 12);
+  });
+
+  it("uses a custom medium carried by the scenario", () => {
+    const m = computeMetrics({ ...BASE, medium: "Slow", media: { Slow: { vf: 0.5, note: "" } } });
+    expect(m.dPropMs).toBeCloseTo((100e3 / (0.5 * C_M_PER_S)) * 1000, 12);
+  });
+
+  it("processing and fixed queuing add up per hop", () => {
+    const m = computeMetrics({ ...BASE, hops: 5, procUsPerHop: 40, queueMsPerHop: 0.3 });
+    expect(m.dProcTotalMs).toBeCloseTo(0.2, 12);
+    expect(m.dQueueTotalMs).toBeCloseTo(1.5, 12);
+  });
+
+  it("the total is the sum of the parts", () => {
+    const m = computeMetrics({ ...BASE, hops: 3, procUsPerHop: 25, queueMsPerHop: 0.1, lossRate: 0.1, harqMaxTx: 3, harqRttMs: 4 });
+    const sum = m.parts.reduce((a, p) => a + p.value, 0);
+    expect(m.totalMs).toBeCloseTo(sum, 12);
+    expect(m.parts.map(p => p.key)).toEqual(["tx", "prop", "proc", "queue", "retx"]);
+  });
+
+  it("matches the FTTH preset by hand", () => {
+    const s = applyPreset(DEFAULT_SCENARIO, PRESETS["FTTH (GPON)"]);
+    const m = computeMetrics(s);
+    const prop = (30e3 / (MEDIA.Fiber.vf * C_M_PER_S)) * 1000;
+    expect(m.totalMs).toBeCloseTo(10 * S_MS + prop + 10 * 0.04 + 10 * 0.1, 9);
+  });
+});
+
+describe("queueStats", () => {
+  const q = (queueModel, utilization, extra = {}) => queueStats({ queueModel, utilization, ...extra }, BITS, 1e9);
+
+  it("Fixed returns the configured wait", () => {
+    expect(queueStats({ queueModel: "Fixed", queueMsPerHop: 0.7, utilization: 2 }, BITS, 1e9)).toEqual({ waitMs: 0.7, dropProb: 0, unstable: false });
+  });
+
+  describe("M/M/1", () => {
+    it("has no wait on an idle link", () => {
+      expect(q("MM1", 0)).toEqual({ waitMs: 0, dropProb: 0, unstable: false });
+    });
+
+    it("treats a negative utilization as idle", () => {
+      expect(q("MM1", -0.5).waitMs).toBe(0);
+    });
+
+    it("waits ρS/(1 − ρ)", () => {
+      expect(q("MM1", 0.5).waitMs).toBeCloseTo(S_MS, 12);
+      expect(q("MM1", 0.9).waitMs).toBeCloseTo(9 * S_MS, 9);
+    });
+
+    it("stays finite but grows without bound as ρ approaches 1", () => {
+      const near = q("MM1", 0.999999);
+      expect(near.unstable).toBe(false);
+      expect(isFinite(near.waitMs)).toBe(true);
+      expect(near.waitMs).toBeCloseTo(999999 * S_MS, 3);
+      expect(near.waitMs).toBeGreaterThan(q("MM1", 0.999).waitMs);
+    });
+
+    it("is unstable at ρ = 1 and above", () => {
+      for (const rho of [1, 1.2, 1.5]) expect(q("MM1", rho)).toEqual({ waitMs: Infinity, dropProb: 0, unstable: true });
+    });
+
+    it("makes the whole path unstable", () => {
+      const m = computeMetrics({ ...BASE, hops: 3, queueModel: "MM1", utilization: 1 });
+      expect(m.unstable).toBe(true);
+      expect(m.totalMs).toBe(Infinity);
+      expect(fmtMs(m.totalMs)).toBe("∞");
+    });
+  });
+
+  it("M/D/1 waits half as long as M/M/1", () => {
+    expect(q("MD1", 0.8).waitMs).toBeCloseTo(q("MM1", 0.8).waitMs / 2, 12);
+    expect(q("MD1", 1).unstable).toBe(true);
+  });
+
+  it("M/G/1 spans M/D/1 (C² = 0) to M/M/1 (C² = 1)", () => {
+    expect(q("MG1", 0.7, { serviceScv: 0 }).waitMs).toBeCloseTo(q("MD1", 0.7).waitMs, 12);
+    expect(q("MG1", 0.7, { serviceScv: 1 }).waitMs).toBeCloseTo(q("MM1", 0.7).waitMs, 12);
+    expect(q("MG1", 0.7, { serviceScv: 4 }).waitMs).toBeCloseTo(q("MM1", 0.7).waitMs * 2.5, 12);
+  });
+
+  describe("M/M/1/K", () => {
+    it("stays stable past ρ = 1 and drops instead", () => {
+      const r = q("MM1K", 1.5, { bufferPkts: 10 });
+      expect(r.unstable).toBe(false);
+      expect(isFinite(r.waitMs)).toBe(true);
+      expect(r.dropProb).toBeGreaterThan(0.3);
+    });
+
+    it("uses the ρ = 1 limit, and is continuous around it", () => {
+      const K = 20;
+      const at = q("MM1K", 1, { bufferPkts: K });
+      expect(at.dropProb).toBeCloseTo(1 / (K + 1), 12);
+      for (const rho of [1 - 1e-6, 1 + 1e-6]) {
+        const r = q("MM1K", rho, { bufferPkts: K });
+        expect(r.dropProb).toBeCloseTo(at.dropProb, 5);
+        expect(r.waitMs).toBeCloseTo(at.waitMs, 5);
+      }
+    });
+
+    it("approaches M/M/1 with a large buffer", () => {
+      expect(q("MM1K", 0.5, { bufferPkts: 1000 }).waitMs).toBeCloseTo(q("MM1", 0.5).waitMs, 9);
+    });
+
+    it("never waits with a buffer of one", () => {
+      expect(q("MM1K", 0.8, { bufferPkts: 1 }).waitMs).toBeCloseTo(0, 12);
+    });
+  });
+});
+
+describe("retransmissions", () => {
+  it("HARQ adds one round trip per expected retry and passes on the residual loss", () => {
+    const h = harqStats({ lossRate: 0.1, ber: 0, harqMaxTx: 3, harqRttMs: 8 }, BITS);
+    expect(h.errProb).toBeCloseTo(0.1, 12);
+    expect(h.extraMs).toBeCloseTo(8 * (0.1 + 0.01), 12);
+    expect(h.residual).toBeCloseTo(0.001, 12);
+  });
+
+  it("HARQ turns the bit error rate into a packet error rate", () => {
+    const h = harqStats({ lossRate: 0, ber: 1e-5, harqMaxTx: 1, harqRttMs: 8 }, BITS);
+    expect(h.errProb).toBeCloseTo(1 - Math.pow(1 - 1e-5, BITS), 12);
+    expect(h.extraMs).toBe(0);
+  });
+
+  it("ARQ costs one timeout per expected loss", () => {
+    const a = arqStats({ protocol: "Stop-and-wait", window: 1, timeoutMs: 100 }, 0.2, 5, 1);
+    expect(a.extraMs).toBeCloseTo(25, 12);
+    expect(a.lossProb).toBe(0);
+    expect(a.efficiency).toBeCloseTo(0.8 / 11, 12);
+  });
+
+  it("ARQ never finishes over a path that loses everything", () => {
+    expect(arqStats({ protocol: "Selective Repeat", window: 8, timeoutMs: 100 }, 1, 5, 1).extraMs).toBe(Infinity);
+  });
+
+  it("without ARQ the loss stays loss", () => {
+    const a = arqStats({ protocol: "None", window: 8, timeoutMs: 100 }, 0.2, 5, 1);
+    expect(a).toMatchObject({ lossProb: 0.2, extraMs: 0 });
+  });
+
+  it("computeMetrics folds HARQ and ARQ into the retransmission part", () => {
+    const m = computeMetrics({ ...BASE, lossRate: 0.1, harqMaxTx: 2, harqRttMs: 8, arq: { protocol: "Go-Back-N", window: 8, timeoutMs: 50 } });
+    expect(m.dRetxMs).toBeCloseTo(0.8 + (50 * 0.01) / 0.99, 9);
+  });
+});
+
+describe("encapsulate", () => {
+  const stack = (over) => ({ link: "Ethernet", vlanTags: 0, ip: "IPv4", transport: "TCP", tunnel: "None", pathMtu: 1500, ...over });
+
+  it("adds TCP, IPv4 and Ethernet framing to the payload", () => {
+    const e = encapsulate({ packetBytes: 1000, stack: stack() });
+    expect(e.fragments).toBe(1);
+    expect(e.wireBits).toBe((1000 + 20 + 20 + 38) * 8);
+    expect(e.efficiency).toBeCloseTo(1000 / 1078, 12);
+  });
+
+  it("fragments against the path MTU", () => {
+    const e = encapsulate({ packetBytes: 3000, stack: stack({ transport: "UDP" }) });
+    expect(e.fragments).toBe(3);
+    expect(e.wireBits).toBe((3008 + 3 * 20 + 3 * 38) * 8);
+  });
+
+  it("pads short frames to the Ethernet minimum", () => {
+    const e = encapsulate({ packetBytes: 1, stack: stack({ transport: "UDP" }) });
+    expect(e.wireBits / 8).toBe(64 + 20);
+  });
+
+  it("is what computeMetrics transmits", () => {
+    const m = computeMetrics({ ...BASE, packetBytes: 1000, stack: stack() });
+    expect(m.bits).toBe(1078 * 8);
+  });
+});
+
+describe("withField", () => {
+  it("applies an input to every link of a per-link path", () => {
+    const s = withField({ ...BASE, links: [{ ...BASE }, { ...BASE }] }, "utilization", 0.4);
+    expect(s.links.map(l => l.utilization)).toEqual([0.4, 0.4]);
+  });
+
+  it("rescales link distances to a new total", () => {
+    const s = withField({ ...BASE, links: [{ ...BASE, distanceKm: 10 }, { ...BASE, distanceKm: 30 }] }, "distanceKm", 80);
+    expect(s.links.map(l => l.distanceKm)).toEqual([20, 60]);
+  });
+
+  it("drops per-link detail when the hop count changes", () => {
+    expect(withField({ ...BASE, links: [{ ...BASE }] }, "hops", 4).links).toBeNull();
+  });
+
+  it("never leaves the path without a link", () => {
+    expect(fieldClamp("hops", NaN)).toBe(1);
+    expect(fieldClamp("hops", undefined)).toBe(1);
+    expect(computeMetrics({ ...BASE, hops: NaN }).hops).toBe(1);
+  });
+});
+
+describe("validateScenario", () => {
+  it("fills in defaults", () => {
+    const warnings = [];
+    expect(validateScenario({}, "S", warnings)).toEqual(DEFAULT_SCENARIO);
+    expect(warnings).toEqual([]);
+  });
+
+  it("clamps out-of-range numbers and reports them", () => {
+    const warnings = [];
+    const s = validateScenario({ rateMbps: -5, hops: 2.6, utilization: 9 }, "S", warnings);
+    expect(s.rateMbps).toBe(1);
+    expect(s.hops).toBe(3);
+    expect(s.utilization).toBe(1.5);
+    expect(warnings).toHaveLength(3);
+  });
+
+  it("replaces unknown choices", () => {
+    const warnings = [];
+    const s = validateScenario({ medium: "String and cans", queueModel: "M/M/∞" }, "S", warnings);
+    expect(s.medium).toBe(DEFAULT_SCENARIO.medium);
+    expect(s.queueModel).toBe(DEFAULT_SCENARIO.queueModel);
+    expect(warnings).toHaveLength(2);
+  });
+
+  it("rejects what is not a scenario", () => {
+    expect(() => validateScenario("nope", "S", [])).toThrow(/not a scenario/);
+    expect(() => validateScenario(null, "S", [])).toThrow(/not a scenario/);
+  });
+});
+
+describe("documents and share links", () => {
+  it("round-trips an A/B pair through the share encoding", () => {
+    const A = { ...DEFAULT_SCENARIO, name: "Ünïcode → A", hops: 3 };
+    const B = { ...DEFAULT_SCENARIO, name: "B", rateMbps: 50 };
+    const doc = decodeState(encodeState(A, B));
+    expect(doc.A).toEqual(A);
+    expect(doc.B).toEqual(B);
+    expect(doc.warnings).toEqual([]);
+  });
+
+  it("reports a damaged share link", () => {
+    expect(() => decodeState("not base64!")).toThrow(/damaged/);
+  });
+
+  it("migrates a version-1 library", () => {
+    const doc = readDocument([{ ...DEFAULT_SCENARIO, name: "Old", savedAt: 1 }]);
+    expect(doc.kind).toBe("library");
+    expect(doc.scenarios[0].name).toBe("Old");
+    expect(doc.scenarios[0].scenario.hops).toBe(DEFAULT_SCENARIO.hops);
+    expect(migrate([]).version).toBe(SCHEMA_VERSION);
+  });
+
+  it("moves version-3 packet sizes from KiB to bytes", () => {
+    const doc = readDocument({ app: "ndv", version: 3, kind: "share", A: { packetKB: 1.5, traffic: { scheduler: "FIFO", classes: [{ name: "Voice", packetKB: 0.25 }] } }, B: null });
+    expect(doc.A.packetBytes).toBe(1536);
+    expect(doc.A).not.toHaveProperty("packetKB");
+    expect(doc.A.traffic.classes[0].packetBytes).toBe(256);
+    expect(doc.warnings).toEqual([]);
+  });
+
+  it("round-trips a library document", () => {
+    const entry = makeEntry({ ...DEFAULT_SCENARIO, hops: 4 }, { name: "Mine", tags: ["lab"] });
+    const doc = readDocument(JSON.parse(JSON.stringify(libraryDocument([entry], {}))));
+    expect(doc.scenarios).toEqual([entry]);
+  });
+
+  it("refuses newer schema versions and other apps", () => {
+    expect(() => readDocument({ app: "ndv", version: SCHEMA_VERSION + 1, kind: "share", A: {} })).toThrow(/newer/);
+    expect(() => readDocument({ app: "other", version: 1 })).toThrow(/not a Network Delay Visualizer/);
+  });
+
+  it("exports results as CSV", () => {
+    const csv = resultsCsv([{ name: "a, b", tags: ["x", "y"], s: BASE }]);
+    const [header, row] = csv.trim().split("\n");
+    expect(header.split(",")).toContain("total_ms");
+    expect(row.startsWith('"a, b",x y,1500,1000,100,1,Fixed,')).toBe(true);
+  });
+});
+
+describe("spaceTime", () => {
+  const s = { ...BASE, hops: 3, procUsPerHop: 20, queueMsPerHop: 0.1, lossRate: 0.1, harqMaxTx: 3, harqRttMs: 1 };
+
+  it("walks one packet through every hop and ends at the model's total", () => {
+    const m = computeMetrics({ ...s, arq: { ...DEFAULT_SCENARIO.arq, protocol: "Stop-and-Wait" } });
+    const st = spaceTime(m);
+    expect(st.hops).toHaveLength(3);
+    const [h0, h1] = st.hops.map(h => h.packets[0]);
+    const l = m.links[0];
+    expect(h0).toMatchObject({ at: 0, queueStart: l.procMs });
+    expect(h0.txStart).toBeCloseTo(l.procMs + l.queueMs, 12);
+    expect(h0.txEnd - h0.txStart).toBeCloseTo(S_MS, 12);
+    expect(h0.firstBitMs - h0.txStart).toBeCloseTo(l.propMs, 12);
+    expect(h0.doneMs - h0.lastBitMs).toBeCloseTo(l.retxMs, 12);
+    expect(h1.at).toBe(h0.doneMs);
+    expect(st.arqMs).toBeGreaterThan(0);
+    expect(st.endMs).toBeCloseTo(m.totalMs, 9);
+  });
+
+  it("holds back-to-back packets until the link is free", () => {
+    const st = spaceTime(computeMetrics({ ...BASE, hops: 2 }), 3);
+    const first = st.hops[0].packets;
+    expect(first.map(p => p.txStart)).toEqual([0, first[0].txEnd, first[1].txEnd]);
+    expect(st.hops[1].packets.map(p => p.at)).toEqual(first.map(p => p.doneMs));
+    expect(st.endMs).toBeCloseTo(4 * S_MS + 2 * st.hops[0].link.propMs, 9);
+  });
+
+  it("clamps the packet count", () => {
+    const m = computeMetrics(BASE);
+    expect(spaceTime(m, 0).packets).toBe(1);
+    expect(spaceTime(m, 1e6).packets).toBe(MAX_SPACETIME_PACKETS);
+  });
+
+  it("runs out to infinity behind an unstable queue", () => {
+    expect(spaceTime(computeMetrics({ ...BASE, queueModel: "MM1", utilization: 1.5 })).endMs).toBe(Infinity);
+  });
+});
+
+describe("transferTime", () => {
+  const m = computeMetrics(DEFAULT_SCENARIO);
+  const opts = { handshake: "TCP", initCwnd: 10, mssBytes: 1460, rwndBytes: 65535 };
+
+  // Round by round with no shortcut, as the closed form must match it.
+  function slowTotal(objectBytes) {
+    const r = transferTime(m, { ...opts, objectBytes: 1 });
+    const segMs = ((1460 * 8) / m.rate) * 1000;
+    let remaining = Math.ceil(objectBytes / 1460), cwnd = 10, t = r.rttMs * 1.5, n = 0;
+    while (remaining > 0) {
+      const w = Math.min(cwnd, r.rwndSegs, remaining);
+      remaining -= w;
+      t += remaining > 0 ? Math.max(w * segMs, segMs + r.rttMs) : w * segMs;
+      cwnd *= 2;
+      n++;
+    }
+    return { totalMs: t + r.rttMs / 2, n };
+  }
+
+  it("counts every segment of objects that need more rounds than the chart keeps", () => {
+    const gib = transferTime(m, { ...opts, objectBytes: 1024 ** 3 });
+    const want = slowTotal(1024 ** 3);
+    expect(want.n).toBeGreaterThan(MAX_TRANSFER_ROUNDS);
+    expect(gib.roundCount).toBe(want.n);
+    expect(gib.totalMs).toBeCloseTo(want.totalMs, 6);
+    expect(gib.rounds).toHaveLength(MAX_TRANSFER_ROUNDS);
+    expect(gib.rounds.at(-1).round).toBe(MAX_TRANSFER_ROUNDS);
+    expect(transferTime(m, { ...opts, objectBytes: 2 * 1024 ** 3 }).totalMs).toBeGreaterThan(1.9 * gib.totalMs);
+  });
+
+  it("matches the round-by-round walk for small objects", () => {
+    for (const bytes of [1, 14600, 500000, 3e6]) {
+      const r = transferTime(m, { ...opts, objectBytes: bytes });
+      expect(r.totalMs).toBeCloseTo(slowTotal(bytes).totalMs, 9);
+      expect(r.rounds).toHaveLength(r.roundCount);
+    }
+  });
+});
+
+describe("classMetrics", () => {
+  const two = { ...DEFAULT_TRAFFIC, classes: DEFAULT_TRAFFIC.classes.slice(0, 2) };
+
+  it("adds the class's own queue to the rest of the path", () => {
+    const s = { ...BASE, hops: 2, queueModel: "MM1", utilization: 0.5, traffic: { ...two, scheduler: "FIFO" } };
+    for (const c of classMetrics(s)) {
+      expect(c.totalMs).toBeCloseTo(c.m.totalMs - c.m.dQueueTotalMs + c.queueMs, 12);
+    }
+  });
+
+  it("gives infinite totals, not NaN, behind an unstable queue", () => {
+    const s = { ...BASE, queueModel: "MM1", utilization: 1.2 };
+    for (const c of classMetrics({ ...s, traffic: { ...two, scheduler: "FIFO" } })) {
+      expect(c).toMatchObject({ totalMs: Infinity, unstable: true });
+    }
+    // Strict priority keeps voice's own queue stable even though the link as a whole is not.
+    const [voice] = classMetrics({ ...s, traffic: two });
+    expect(voice.unstable).toBe(false);
+    expect(voice.totalMs).toBeCloseTo(voice.m.dTransTotalMs + voice.m.dPropMs + voice.queueMs, 12);
+  });
+});
+
+describe("sensitivity", () => {
+  it("gives integer inputs such as hops a real elasticity", () => {
+    const rows = sensitivity(DEFAULT_SCENARIO, { pct: 20 });
+    const hops = rows.find(r => r.key === "hops");
+    expect(rows[0].key).toBe("hops");
+    expect(hops.elasticity).toBeCloseTo(0.98, 2);
+    // Every part but propagation grows with the hop count, one hop at a time.
+    const per = (computeMetrics(DEFAULT_SCENARIO).totalMs - computeMetrics(DEFAULT_SCENARIO).dPropMs) / DEFAULT_SCENARIO.hops;
+    expect(hops.derivative).toBeCloseTo(per, 6);
+  });
+
+  it("leaves hops alone on a per-link path", () => {
+    const s = applyPreset(DEFAULT_SCENARIO, PRESETS["DSL → Metro → Backbone"]);
+    const base = computeMetrics(s).totalMs;
+    const rows = sensitivity(s, { pct: 20 });
+    expect(rows.map(r => r.key)).not.toContain("hops");
+    for (const r of rows) {
+      expect(Math.min(r.lowMs, r.highMs)).toBeLessThanOrEqual(base + 1e-9);
+      expect(Math.max(r.lowMs, r.highMs)).toBeGreaterThanOrEqual(base - 1e-9);
+    }
+  });
+});
+
+describe("goal seek", () => {
+  const perLink = applyPreset(DEFAULT_SCENARIO, PRESETS["DSL → Metro → Backbone"]);
+
+  it("finds the input value that lands on the target", () => {
+    const r = goalSeek(BASE, "distanceKm", "total", 2);
+    expect(r.boundaries).toHaveLength(1);
+    const [b] = r.boundaries;
+    expect(b.kind).toBe("max");
+    expect(computeMetrics(withField(BASE, "distanceKm", b.x)).totalMs).toBeCloseTo(2, 9);
+  });
+
+  it("keeps hops out of a per-link path", () => {
+    expect(variableFields(perLink).map(([k]) => k)).not.toContain("hops");
+    expect(variableFields(DEFAULT_SCENARIO).map(([k]) => k)).toContain("hops");
+    expect(() => goalSeek(perLink, "hops", "total", 5)).toThrow(/hops/);
+  });
+
+  it("suggests budget fixes that keep the per-link path", () => {
+    const tips = budgetSuggestions(perLink, 6);
+    expect(tips.length).toBeGreaterThan(0);
+    for (const t of tips) {
+      const next = withField(perLink, t.key, t.to);
+      expect(next.links).toHaveLength(perLink.links.length);
+      expect(computeMetrics(next).totalMs).toBeLessThanOrEqual(6 + 1e-9);
+    }
+  });
+});
+
+describe("engine package", () => {
+  it("imports nothing from outside src/engine", () => {
+    const dir = new URL("../src/engine/", import.meta.url);
+    for (const file of readdirSync(dir).filter(f => f.endsWith(".js"))) {
+      const specs = [...readFileSync(new URL(file, dir), "utf8").matchAll(/^(?:import|export)[^"]*from "([^"]+)"/gm)].map(m => m[1]);
+      for (const spec of specs) expect(spec, file).toMatch(/^\.\/[\w-]+\.js$/);
+    }
+  });
+});
+
+describe("makeRng", () => {
+  const draw = seed => { const rng = makeRng(seed); return [rng(), rng(), rng()]; };
+
+  it("repeats from a seed and gives every seed its own sequence", () => {
+    expect(draw(5)).toEqual(draw(5));
+    expect(draw(0)).not.toEqual(draw(1));
+    expect(new Set([0, 1, 2, 2 ** 32 - 1].map(s => draw(s).join())).size).toBe(4);
+    for (const x of draw(0)) expect(x >= 0 && x < 1).toBe(true);
+  });
+});
+
+describe("simulate", () => {
+  const link = { rate: 1e6, propMs: 1, procMs: 0.1 };
+  const opts = { packets: 2000, bits: 1000, arrivals: "poisson", ratePps: 500, sizes: "exponential", seed: 42 };
+
+  it("repeats the same trace for the same seed", () => {
+    expect(simulate([link, link], opts)).toEqual(simulate([link, link], opts));
+  });
+
+  it("draws a different trace for another seed", () => {
+    expect(simulate([link], { ...opts, seed: 43 }).delays).not.toEqual(simulate([link], opts).delays);
+  });
+
+  it("waits as long as M/M/1 says on average", () => {
+    const r = simulate([{ ...link, procMs: 0 }], { ...opts, packets: 10000 });
+    const [l] = r.perLink;
+    expect(l.rho).toBeCloseTo(0.5, 12);
+    expect(l.mm1WaitMs).toBeCloseTo(1, 12);
+    expect(l.waitMs).toBeGreaterThan(0.9);
+    expect(l.waitMs).toBeLessThan(1.1);
+  });
+
+  it("adds up a lone packet's delay exactly", () => {
+    const r = simulate([link, link], { ...opts, packets: 1, sizes: "fixed" });
+    expect(r.stats.mean).toBeCloseTo(2 * (1 + 0.1 + 1), 12);
+    expect(r.components.queue).toBe(0);
+  });
+});
+
+describe("message delivery", () => {
+  // Three store-and-forward hops with a 10 Mb/s bottleneck in the middle.
+  const hop = (rateMbps, distanceKm) => ({ ...LINK_DEFAULTS, rateMbps, distanceKm, medium: "Fiber", procUsPerHop: 20, queueMsPerHop: 0, queueModel: "Fixed", utilization: 0 });
+  const m = computeMetrics({ ...BASE, links: [hop(100, 10), hop(10, 100), hop(1000, 5)] });
+  const tx = l => (1500 * 8 / l.rate) * 1000;
+  const send = (packets, switching = "store") => messageDelivery(m, { messageBytes: packets * 1460, mtuBytes: 1500, headerBytes: 40, switching });
+  // Full packets pipeline behind the slowest link: the first crosses the path, the rest follow one bottleneck time apart.
+  const pipelined = packets => m.links.reduce((a, l) => a + tx(l) + l.propMs + l.procMs, 0) + (packets - 1) * Math.max(...m.links.map(tx));
+
+  it("pipelines packets behind the bottleneck", () => {
+    for (const packets of [1, 3]) {
+      const r = send(packets);
+      expect(r.packets).toBe(packets);
+      expect(r.totalMs).toBeCloseTo(pipelined(packets), 9);
+      expect(r.firstPacketMs).toBeCloseTo(pipelined(1), 9);
+    }
+  });
+
+  it("skips ahead on long messages without drifting", () => {
+    const r = send(5000);
+    expect(r.packets).toBe(5000);
+    expect(r.totalMs).toBeCloseTo(pipelined(5000), 6);
+  });
+
+  it("is never slower cut-through than store-and-forward", () => {
+    for (const packets of [1, 3, 5000]) expect(send(packets, "cut").totalMs).toBeLessThan(send(packets).totalMs);
+  });
+});
+
+describe("simulateAqm", () => {
+  // Two 100 Mb/s hops, 10 ms each way, with 200 ms of buffer; DEFAULT_AQM runs four uploads for 10 s between idle spells.
+  const hop = scheme => ({ rate: 100e6, delayMs: 10, bufferBits: 20e6, scheme });
+  const run = (scheme, opts) => simulateAqm([hop(scheme), hop(scheme)], { ...DEFAULT_AQM, packetBits: 12000, ...opts });
+  const tail = run("TailDrop").summary;
+
+  it("is deterministic", () => {
+    expect(run("CoDel")).toEqual(run("CoDel"));
+  });
+
+  it("adds nothing to an idle path", () => {
+    const r = run("TailDrop", { profile: [{ durationS: 3, flows: 0 }] });
+    expect(r.summary).toMatchObject({ baseMs: 20, queueMs: 0, latencyMs: 20, maxLatencyMs: 20, dropRate: 0, utilization: 0 });
+  });
+
+  it("fills a tail-drop buffer and drops what overflows", () => {
+    expect(tail.baseMs).toBe(20);
+    expect(tail.maxLatencyMs).toBeCloseTo(20 + 200, 6);
+    expect(tail.dropRate).toBeGreaterThan(0);
+    expect(tail.utilization).toBeGreaterThan(0.99);
+  });
+
+  it("keeps the queue short under RED and CoDel", () => {
+    for (const scheme of ["RED", "CoDel"]) expect(run(scheme).summary.queueMs).toBeLessThan(tail.queueMs / 3);
+  });
+
+  it("only makes a sparse flow wait for one packet under FQ-CoDel", () => {
+    const fq = run("FQCoDel").summary;
+    expect(fq.queueMs).toBeGreaterThan(0);
+    expect(fq.maxLatencyMs).toBeLessThanOrEqual(20 + (12000 / 100e6) * 1000 + 1e-9);
+  });
+});
+
+describe("sampleDelays", () => {
+  // 5 ms fixed, 1 ms of processing that varies, and a queue that makes half the packets wait 4 ms on average.
+  const link = { fixedMs: 5, procMs: 1, procCv: 0.5, waitMs: 2, waitFixed: false, pWait: 0.5, dropProb: 0, errProb: 0, harqMaxTx: 1, harqRttMs: 8 };
+  const path = { arq: { protocol: "None", timeoutMs: 0 }, route: null };
+  const opts = { samples: 20000, seed: 7 };
+
+  it("repeats for the same seed and not for another", () => {
+    expect(sampleDelays([link, link], path, opts)).toEqual(sampleDelays([link, link], path, opts));
+    expect(sampleDelays([link], path, { ...opts, seed: 8 }).delays).not.toEqual(sampleDelays([link], path, opts).delays);
+  });
+
+  it("averages what the links add up to", () => {
+    const r = sampleDelays([link, link], path, opts);
+    expect(r.lost).toBe(0);
+    expect(r.stats.mean).toBeGreaterThan(2 * 8 * 0.98);
+    expect(r.stats.mean).toBeLessThan(2 * 8 * 1.02);
+  });
+
+  it("has no spread when nothing varies", () => {
+    const r = sampleDelays([{ ...link, procCv: 0, waitFixed: true }], path, opts);
+    expect(r.stats).toMatchObject({ mean: 8, std: 0, min: 8, max: 8, p999: 8 });
+    expect(r.ipdv).toEqual({ meanAbs: 0, p99Abs: 0 });
+  });
+
+  it("loses dropped packets without ARQ and resends them with it", () => {
+    const lossy = [{ ...link, dropProb: 0.1 }];
+    expect(sampleDelays(lossy, path, opts).lost / opts.samples).toBeCloseTo(0.1, 2);
+    const r = sampleDelays(lossy, { ...path, arq: { protocol: "Stop-and-wait", timeoutMs: 50 } }, opts);
+    expect(r.lost).toBe(0);
+    expect(r.stats.mean).toBeCloseTo(8 + (0.1 / 0.9) * 50, 0);
+  });
+
+  it("sends the route's share of packets the long way", () => {
+    const r = sampleDelays([link], { ...path, route: { sharePct: 20, dwellPkts: 50, extraMs: 10 } }, opts);
+    expect(r.stats.mean).toBeCloseTo(8 + 0.2 * 10, 0);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from "vitest";
+import {
+  makeQuizSet, quizCode, readQuizCode, gradeAnswer, quizSolution, quizDocument, quizWorksheet, readQuizHistory,
+  computeMetrics, DEFAULT_QUIZ, QUIZ_KINDS, MAX_QUIZ_PROBLEMS, SCHEMA_APP,
+} from "../src/engine/index.js";
+
+const ALL = Object.keys(QUIZ_KINDS);
+
+describe("problem sets", () => {
+  it("are reproduced exactly by their code", () => {
+    for (const level of ["easy", "medium", "hard"]) {
+      const set = makeQuizSet({ level, kinds: ALL, count: 8, seed: 4242 });
+      expect(makeQuizSet(readQuizCode(set.code))).toEqual(set);
+    }
+    const a = makeQuizSet({ ...DEFAULT_QUIZ, seed: 1 }).problems.map(p => p.prompt);
+    const b = makeQuizSet({ ...DEFAULT_QUIZ, seed: 2 }).problems.map(p => p.prompt);
+    expect(a).not.toEqual(b);
+  });
+
+  it("take the kinds in turn and answer from the model", () => {
+    const set = makeQuizSet({ level: "medium", kinds: ["total", "tx"], count: 5, seed: 9 });
+    expect(set.kinds).toEqual(["tx", "total"]);
+    expect(set.problems.map(p => p.kind)).toEqual(["tx", "total", "tx", "total", "tx"]);
+    for (const p of set.problems) {
+      const m = computeMetrics(p.scenario);
+      expect(p.answerMs).toBe(p.kind === "tx" ? m.dTransTotalMs : m.totalMs);
+    }
+  });
+
+  it("ask about the transmission delay with the values in the prompt", () => {
+    const p = makeQuizSet({ level: "easy", kinds: ["tx"], count: 1, seed: 3 }).problems[0];
+    const [, bytes, mbps] = p.prompt.match(/packet of (\d+) B onto a (\d+) Mb\/s link/);
+    expect(p.answerMs).toBeCloseTo(((bytes * 8) / (mbps * 1e6)) * 1000, 12);
+  });
+
+  it("give hard M/M/1 problems an arrival rate to turn into ρ", () => {
+    const p = makeQuizSet({ level: "hard", kinds: ["mm1"], count: 1, seed: 5 }).problems[0];
+    const lambda = +p.prompt.match(/λ = ([\d.]+) packets\/s/)[1];
+    const mu = (p.scenario.rateMbps * 1e6) / (p.scenario.packetBytes * 8);
+    expect(p.scenario.utilization).toBeCloseTo(lambda / mu, 12);
+  });
+
+  it("clamp the count and fall back to every kind", () => {
+    expect(makeQuizSet({ level: "easy", kinds: [], count: 500, seed: 1 })).toMatchObject({ kinds: ALL, count: MAX_QUIZ_PROBLEMS });
+  });
+});
+
+describe("set codes", () => {
+  it("round-trip", () => {
+    const o = { level: "hard", kinds: ["prop", "mm1"], count: 12, seed: 77 };
+    expect(quizCode(o)).toBe("hard-prop+mm1-12-77");
+    expect(readQuizCode(" hard-prop+mm1-12-77 ")).toEqual(o);
+  });
+
+  it("reject anything else", () => {
+    for (const bad of ["", "hard", "expert-tx-5-1", "easy-dns-5-1", "easy-tx-0-1", `easy-tx-${MAX_QUIZ_PROBLEMS + 1}-1`, "easy-tx-5--1"]) {
+      expect(() => readQuizCode(bad)).toThrow(/not a problem set code/);
+    }
+  });
+});
+
+describe("gradeAnswer", () => {
+  const p = { answerMs: 0.12 };
+
+  it("reads bare numbers as ms and parses units", () => {
+    expect(gradeAnswer(p, "0.12", 1)).toMatchObject({ valid: true, ok: true, valueMs: 0.12 });
+    expect(gradeAnswer(p, "120 us", 1).ok).toBe(true);
+    expect(gradeAnswer(p, "1.2e-4 s", 1).ok).toBe(true);
+    expect(gradeAnswer(p, "120", 1).ok).toBe(false);
+  });
+
+  it("allows the tolerance and no more", () => {
+    expect(gradeAnswer(p, "0.1224 ms", 2).ok).toBe(true);
+    expect(gradeAnswer(p, "0.1226 ms", 2)).toMatchObject({ ok: false, valid: true });
+    expect(gradeAnswer(p, "0.1226 ms", 2).errorPct).toBeCloseTo(2.1667, 3);
+  });
+
+  it("flags answers that are not times", () => {
+    for (const bad of ["", "fast", "12 km"]) expect(gradeAnswer(p, bad, 5)).toEqual({ valid: false, ok: false });
+  });
+});
+
+describe("solutions and exports", () => {
+  const set = makeQuizSet({ level: "medium", kinds: ALL, count: 4, seed: 11 });
+
+  it("cut the worked solution down to the question", () => {
+    expect(quizSolution(set.problems[0]).steps.map(s => s.key)).toEqual(["bits", "tx"]);
+    expect(quizSolution(set.problems[1]).steps.map(s => s.key)).toEqual(["prop"]);
+    expect(quizSolution(set.problems[3]).steps.at(-1).key).toBe("total");
+  });
+
+  it("export the set with its answers", () => {
+    const doc = quizDocument(set);
+    expect(doc).toMatchObject({ app: SCHEMA_APP, kind: "quiz", code: set.code, tolerancePct: 2 });
+    expect(doc.problems.map(p => p.answerMs)).toEqual(set.problems.map(p => p.answerMs));
+    const md = quizWorksheet(set);
+    expect(md).toContain(`Set code \`${set.code}\``);
+    expect(md).toContain(`1. ${set.problems[0].prompt}`);
+    expect(md).toContain("## Problem 4: worked solution");
+  });
+});
+
+describe("readQuizHistory", () => {
+  it("keeps well-formed entries only", () => {
+    const ok = { at: "2026-01-01T00:00:00.000Z", code: "easy-tx-5-1", score: 3, total: 5 };
+    expect(readQuizHistory([ok, { ...ok, score: 6 }, { ...ok, total: 0 }, null, "x", { ...ok, extra: 1 }])).toEqual([ok, ok]);
+    expect(readQuizHistory({})).toEqual([]);
+  });
+});
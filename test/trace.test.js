@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import { parseTrace, traceSegments, traceToScenario, traceComparison, computeMetrics, DEFAULT_SCENARIO } from "../src/engine/index.js";
+
+// Hop 3 never answers, hop 5 comes back faster than hop 4 and the far end drops one probe.
+const LINUX = `traceroute to example.com (93.184.216.34), 30 hops max, 60 byte packets
+ 1  router.lan (192.168.1.1)  1.123 ms  0.987 ms  1.045 ms
+ 2  10.0.0.1 (10.0.0.1)  8.512 ms  8.321 ms  9.001 ms
+ 3  * * *
+ 4  core1.isp.net (203.0.113.5)  12.400 ms  11.900 ms  12.100 ms
+ 5  edge.isp.net (203.0.113.9)  10.800 ms  11.000 ms  10.900 ms
+ 6  example.com (93.184.216.34)  20.000 ms * 21.000 ms
+`;
+
+const WINDOWS = `
+Tracing route to example.com [93.184.216.34]
+over a maximum of 30 hops:
+
+  1    <1 ms    <1 ms    <1 ms  192.168.1.1
+  2     9 ms     8 ms     9 ms  10.0.0.1
+  3     *        *        *     Request timed out.
+  4    15 ms    14 ms    16 ms  example.com [93.184.216.34]
+
+Trace complete.
+`;
+
+describe("parseTrace", () => {
+  it("reads Linux traceroute", () => {
+    const t = parseTrace(LINUX);
+    expect(t).toMatchObject({ format: "traceroute", target: "example.com" });
+    expect(t.hops.map(h => h.n)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(t.hops[0]).toMatchObject({ host: "router.lan", ip: "192.168.1.1", rtts: [1.123, 0.987, 1.045], sent: 3, loss: 0, min: 0.987, max: 1.123 });
+    expect(t.hops[5]).toMatchObject({ host: "example.com", rtts: [20, 21], sent: 3, avg: 20.5 });
+    expect(t.hops[5].loss).toBeCloseTo(1 / 3, 12);
+  });
+
+  it("reads Windows tracert, counting <1 ms as half a millisecond", () => {
+    const t = parseTrace(WINDOWS.replace(/\n/g, "\r\n"));
+    expect(t).toMatchObject({ format: "tracert", target: "example.com" });
+    expect(t.hops).toHaveLength(4);
+    expect(t.hops[0]).toMatchObject({ ip: "192.168.1.1", rtts: [0.5, 0.5, 0.5] });
+    expect(t.hops[3]).toMatchObject({ host: "example.com", ip: "93.184.216.34", min: 14, avg: 15, max: 16 });
+  });
+
+  it("keeps * * * hops with no RTTs", () => {
+    for (const text of [LINUX, WINDOWS]) {
+      const silent = parseTrace(text).hops[2];
+      expect(silent).toMatchObject({ n: 3, host: "", ip: "", rtts: [], sent: 3, loss: 1 });
+      expect(silent.avg).toBeNaN();
+    }
+  });
+
+  it("rejects text that is no trace", () => {
+    expect(() => parseTrace("hello\nworld")).toThrow(/No traceroute, tracert, mtr or ping output/);
+  });
+});
+
+describe("trace segments", () => {
+  const trace = parseTrace(LINUX);
+  const segs = traceSegments(trace);
+
+  it("fold silent hops into the next answering one", () => {
+    expect(segs.map(s => [s.from, s.to])).toEqual([[1, 1], [2, 2], [3, 4], [5, 5], [6, 6]]);
+    expect(segs[2].oneWayAvgMs).toBeCloseTo((12.1333333 - 8.6113333) / 2, 6);
+  });
+
+  it("go negative where an RTT dips, and the path built from them stays valid", () => {
+    expect(segs[3].oneWayMinMs).toBeLessThan(0);
+    const s = traceToScenario(trace, DEFAULT_SCENARIO);
+    expect(s.links).toHaveLength(6);
+    expect(s.links[4]).toMatchObject({ distanceKm: 0, queueMsPerHop: 0 });
+    for (const l of s.links) expect(l.distanceKm).toBeGreaterThanOrEqual(0);
+    expect(s.links[5].lossRate).toBeCloseTo(1 / 3, 12);
+  });
+
+  it("compare with the model, reading what is left over as queuing", () => {
+    const s = traceToScenario(trace, DEFAULT_SCENARIO);
+    const rows = traceComparison(trace, computeMetrics(s));
+    expect(rows.every(r => r.covered)).toBe(true);
+    for (const i of [0, 1, 4]) expect(rows[i].remainderMs).toBeCloseTo(rows[i].queueMs, 9);
+    expect(rows[3].remainderMs).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import { convert, unitChoices, bestUnit, formatQuantity, parseQuantity, readUnits, DEFAULT_UNITS, fieldText } from "../src/engine/index.js";
+
+const IEC = { ...DEFAULT_UNITS, system: "iec" };
+const MILES = { ...DEFAULT_UNITS, distance: "mi" };
+
+describe("convert", () => {
+  it("steps SI prefixes by 1000 and IEC ones by 1024", () => {
+    expect(convert("size", 1.5, "kB", "B")).toBe(1500);
+    expect(convert("size", 1.5, "KiB", "B")).toBe(1536);
+    expect(convert("size", 1500, "B", "bits")).toBe(12000);
+    expect(convert("rate", 1, "Gb/s", "Mb/s")).toBe(1000);
+    expect(convert("rate", 1, "Mib/s", "b/s")).toBe(1048576);
+  });
+
+  it("converts distances and times", () => {
+    expect(convert("distance", 1, "mi", "km")).toBeCloseTo(1.609344, 12);
+    expect(convert("time", 250, "µs", "ms")).toBeCloseTo(0.25, 12);
+  });
+
+  it("rejects unknown units", () => {
+    expect(() => convert("size", 1, "parsec", "B")).toThrow(/Unknown size unit/);
+  });
+});
+
+describe("choosing units", () => {
+  it("offers the units of the chosen system", () => {
+    expect(unitChoices("size")).toEqual(["bits", "B", "kB", "MB", "GB"]);
+    expect(unitChoices("rate", IEC)).toEqual(["b/s", "Kib/s", "Mib/s", "Gib/s", "Tib/s"]);
+    expect(unitChoices("distance", MILES)).toEqual(["m", "km", "mi"]);
+  });
+
+  it("scales to the largest unit that keeps a leading digit", () => {
+    expect(bestUnit("size", 1500, "B")).toBe("kB");
+    expect(bestUnit("size", 1000, "B", IEC)).toBe("B");
+    expect(bestUnit("rate", 0.5, "Mb/s")).toBe("kb/s");
+    expect(bestUnit("distance", 0.2, "km")).toBe("m");
+    expect(bestUnit("distance", 0.2, "km", MILES)).toBe("mi");
+    expect(bestUnit("time", 0.0005, "ms")).toBe("ns");
+  });
+
+  it("formats in the best unit", () => {
+    expect(formatQuantity("size", 1536, "B")).toBe("1.536 kB");
+    expect(formatQuantity("size", 1536, "B", IEC)).toBe("1.5 KiB");
+    expect(formatQuantity("rate", 1000, "Mb/s")).toBe("1 Gb/s");
+    expect(formatQuantity("rate", 1000, "Mb/s", IEC)).toBe("953.7 Mib/s");
+    expect(formatQuantity("distance", 100, "km", MILES)).toBe("62.14 mi");
+    expect(formatQuantity("time", Infinity, "ms")).toBe("∞");
+  });
+
+  it("formats scenario fields through their stored unit", () => {
+    expect(fieldText("procUsPerHop", 2500)).toBe("2.5 ms");
+    expect(fieldText("hops", 4)).toBe("4");
+    expect(fieldText("bufferPkts", 20)).toBe("20 pkts");
+  });
+});
+
+describe("parseQuantity", () => {
+  it("takes a bare number in the target unit", () => {
+    expect(parseQuantity("size", "1500", "B")).toBe(1500);
+    expect(parseQuantity("rate", " 2.5e3 ", "Mb/s")).toBe(2500);
+  });
+
+  it("reads symbols and common spellings", () => {
+    expect(parseQuantity("size", "1.5 KiB", "B")).toBe(1536);
+    expect(parseQuantity("size", "12000 bits", "B")).toBe(1500);
+    expect(parseQuantity("rate", "10Gbps", "Mb/s")).toBe(10000);
+    expect(parseQuantity("rate", "100 Mbit/s", "Mb/s")).toBe(100);
+    expect(parseQuantity("distance", "3 miles", "km")).toBeCloseTo(4.828032, 9);
+    expect(parseQuantity("time", "250 us", "ms")).toBeCloseTo(0.25, 12);
+  });
+
+  it("reads a bare KB in the chosen system", () => {
+    expect(parseQuantity("size", "2 KB", "B")).toBe(2000);
+    expect(parseQuantity("size", "2 KB", "B", IEC)).toBe(2048);
+  });
+
+  it("ignores case only when that is unambiguous", () => {
+    expect(parseQuantity("size", "2 kib", "B")).toBe(2048);
+    expect(parseQuantity("distance", "5 KM", "km")).toBe(5);
+  });
+
+  it("returns NaN for what it cannot read", () => {
+    expect(parseQuantity("size", "lots", "B")).toBeNaN();
+    expect(parseQuantity("rate", "10 furlongs", "Mb/s")).toBeNaN();
+  });
+});
+
+describe("readUnits", () => {
+  it("keeps known settings and repairs the rest", () => {
+    expect(readUnits({ system: "iec", distance: "mi" })).toEqual({ system: "iec", distance: "mi" });
+    expect(readUnits({ system: "metric", distance: 3 })).toEqual(DEFAULT_UNITS);
+    expect(readUnits(null)).toEqual(DEFAULT_UNITS);
+    expect(readUnits({ system: "toString", distance: "constructor" })).toEqual(DEFAULT_UNITS);
+  });
+});